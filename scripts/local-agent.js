@@ -1,8 +1,9 @@
 #!/usr/bin/env node
 import 'dotenv/config';
-import { getPriceQuote } from '../src/pricing/engine.js';
+import { getPriceQuote, runPriceCheck, seedProviderUsage } from '../src/pricing/engine.js';
 import { fetchTravelContext } from '../src/context/context.js';
-import { sendPriceDropAlert } from '../src/notifications/email.js';
+import { sendPriceDropAlert, sendWeeklySummary, getEmailProvider } from '../src/notifications/email.js';
+import { closeBrowserPool } from '../src/scraper/browser-pool.js';
 
 const BASE_URL = process.env.AGENT_BASE_URL;
 const AGENT_TOKEN = process.env.AGENT_TOKEN || '';
@@ -74,9 +75,39 @@ async function fetchFlights() {
     return Array.isArray(data) ? data : [];
 }
 
+// Stops, duration, times, seats and segments travel with the price (see src/pricing/itinerary.js)
+function getItineraryFields(quote) {
+    return {
+        stops: quote.stops ?? null,
+        duration_minutes: quote.duration_minutes ?? null,
+        departure_time: quote.departure_time || null,
+        arrival_time: quote.arrival_time || null,
+        seats_left: quote.seats_left ?? null,
+        fare_brand: quote.fare_brand || null,
+        preferred_airline_found: quote.preferred_airline_found ?? null,
+        price_level: quote.price_level || null,
+        typical_price_low: quote.typical_price_low ?? null,
+        typical_price_high: quote.typical_price_high ?? null,
+        segments: quote.segments || [],
+        cards: quote.cards || []
+    };
+}
+
+// Provider quotas are counted server-side; pick up this month's usage before searching
+async function syncProviderUsage() {
+    try {
+        const res = await apiFetch('/api/providers/usage');
+        const data = await readJsonSafe(res);
+        if (!res.ok || !data?.providers) return;
+        seedProviderUsage(data.providers.map(p => ({ provider: p.name, month: data.month, calls: p.calls })));
+    } catch (err) {
+        console.error('[Agent] Could not sync provider usage:', err?.message || err);
+    }
+}
+
 async function handleCheckNow(job) {
     const flight = job.payload?.flight || await fetchFlight(job.flight_id);
-    const quote = await getPriceQuote(flight);
+    const quote = await runPriceCheck(flight);
     await completeJob(job.id, {
         status: 'success',
         result: {
@@ -85,7 +116,12 @@ async function handleCheckNow(job) {
             currency: quote.currency || 'USD',
             airline: quote.airline || null,
             source: quote.source || 'unknown',
-            raw_data: quote.raw_data || null
+            provider: quote.provider,
+            consensus_reason: quote.consensus_reason,
+            cached: Boolean(quote.cached),
+            ...getItineraryFields(quote),
+            raw_data: quote.raw_data || null,
+            attempts: quote.attempts
         }
     });
 }
@@ -96,19 +132,25 @@ async function handleCheckAll(job) {
 
     for (const flight of flights) {
         try {
-            const quote = await getPriceQuote(flight);
+            const quote = await runPriceCheck(flight);
             results.push({
                 flight_id: flight.id,
                 price: quote.price,
                 currency: quote.currency || 'USD',
                 airline: quote.airline || null,
                 source: quote.source || 'unknown',
-                raw_data: quote.raw_data || null
+                provider: quote.provider,
+                consensus_reason: quote.consensus_reason,
+                cached: Boolean(quote.cached),
+                ...getItineraryFields(quote),
+                raw_data: quote.raw_data || null,
+                attempts: quote.attempts
             });
         } catch (err) {
             results.push({
                 flight_id: flight.id,
-                error: err?.message || String(err)
+                error: err?.message || String(err),
+                attempts: err?.attempts || []
             });
         }
     }
@@ -146,7 +188,9 @@ async function handleFlexScan(job) {
                 price: quote.price,
                 currency: quote.currency || 'USD',
                 airline: quote.airline || null,
-                source: quote.source || 'unknown'
+                source: quote.source || 'unknown',
+                cached: Boolean(quote.cached),
+                attempts: quote.attempts
             });
         } catch (err) {
             results.push({
@@ -158,7 +202,8 @@ async function handleFlexScan(job) {
                 currency: 'USD',
                 airline: null,
                 source: 'error',
-                error: err?.message || String(err)
+                error: err?.message || String(err),
+                attempts: err?.attempts || []
             });
         }
     }
@@ -173,68 +218,56 @@ async function handleContextRefresh(job) {
 }
 
 async function handleSendEmail(job) {
-    const flight = await fetchFlight(job.flight_id);
-    const prices = flight.prices || [];
-    const currentPrice = prices[0]?.price || 0;
-    const previousPrice = prices[1]?.price || currentPrice;
-    const lowestPrice = Math.min(...prices.map(p => p.price)) || currentPrice;
+    // The server composes the alert (same document /notify and the scheduler use)
+    const params = new URLSearchParams();
+    if (job.payload?.price_id) params.set('price_id', job.payload.price_id);
+    if (job.payload?.to) params.set('to', job.payload.to);
+    if (job.payload?.origin === 'manual_notify') params.set('type', 'manual');
 
-    let flexSuggestion = null;
-    try {
-        const flexRes = await apiFetch(`/api/flights/${flight.id}/flex?window=5&maxAgeHours=12`);
-        const flexData = await readJsonSafe(flexRes);
-        if (flexRes.ok && flexData?.rows?.length) {
-            const best = flexData.rows.reduce((min, row) => row.price !== null && row.price < min.price ? row : min, flexData.rows[0]);
-            if (best?.price) {
-                flexSuggestion = {
-                    price: best.price,
-                    departure_date: best.departure_date,
-                    return_date: best.return_date,
-                    savings: Math.max(0, Math.round(currentPrice - best.price))
-                };
-            }
+    const res = await apiFetch(`/api/flights/${job.flight_id}/notify/preview?${params}`);
+    const preview = await readJsonSafe(res);
+    if (!res.ok) throw new Error(preview?.error || `Alert preview failed (${res.status})`);
+    if (!preview.to) throw new Error('No email address configured for this flight');
+
+    const reasons = job.payload?.reasons || preview.alert.reasons;
+    // flightId: null - the server logs the delivery when this job completes
+    const response = await sendPriceDropAlert({ ...preview.alert, ...preview.links, reasons, to: preview.to, flightId: null });
+
+    await completeJob(job.id, {
+        status: 'success',
+        result: {
+            sent: true,
+            provider: getEmailProvider(),
+            response: response || null,
+            price_id: preview.alert.priceId
         }
-    } catch {
-        // ignore flex
-    }
+    });
+}
 
-    let context = null;
-    try {
-        const ctxRes = await apiFetch(`/api/flights/${flight.id}/context?maxAgeHours=6`);
-        const ctxData = await readJsonSafe(ctxRes);
-        if (ctxRes.ok && ctxData?.context) context = ctxData.context;
-    } catch {
-        // ignore context
-    }
+async function handleWeeklyDigest(job) {
+    // Digests are prebuilt by the server (see sendScheduledDigests)
+    const digests = job.payload?.digests || [];
+    const sent = [];
+    const failed = [];
 
-    let nextRunAt = null;
-    try {
-        const schedRes = await apiFetch('/api/schedule');
-        const schedData = await readJsonSafe(schedRes);
-        if (schedRes.ok) nextRunAt = schedData?.nextRunAt || null;
-    } catch {
-        // ignore schedule
+    for (const digest of digests) {
+        try {
+            await sendWeeklySummary(digest);
+            sent.push(digest.to);
+        } catch (err) {
+            failed.push({ to: digest.to, error: err?.message || String(err) });
+        }
     }
 
-    await sendPriceDropAlert({
-        to: flight.notify_email,
-        flightName: flight.name,
-        route: `${flight.origin} → ${flight.destination}`,
-        currentPrice,
-        previousPrice,
-        lowestPrice,
-        airline: prices[0]?.airline || 'Various',
-        analysis: null,
-        flexSuggestion,
-        context,
-        nextRunAt
-    });
-
-    await completeJob(job.id, { status: 'success', result: { sent: true } });
+    await completeJob(job.id, { status: 'success', progress_current: digests.length, result: { sent, failed } });
 }
 
 async function processJob(job) {
     try {
+        if (['check_now', 'check_all', 'flex_scan'].includes(job.type)) {
+            await syncProviderUsage();
+        }
+
         switch (job.type) {
             case 'check_now':
                 await handleCheckNow(job);
@@ -251,11 +284,16 @@ async function processJob(job) {
             case 'send_email':
                 await handleSendEmail(job);
                 break;
+            case 'weekly_digest':
+                await handleWeeklyDigest(job);
+                break;
             default:
                 await completeJob(job.id, { status: 'error', error_text: `Unknown job type: ${job.type}` });
         }
     } catch (err) {
-        await completeJob(job.id, { status: 'error', error_text: err?.message || String(err) });
+        // Provider attempts of a failed quote still get logged server-side
+        const result = err?.attempts ? { attempts: err.attempts } : undefined;
+        await completeJob(job.id, { status: 'error', error_text: err?.message || String(err), result });
     }
 }
 
@@ -277,4 +315,14 @@ async function run() {
     }
 }
 
+// Close the pooled Chromium before exiting
+async function shutdown(signal) {
+    console.log(`[Agent] ${signal} received, shutting down...`);
+    await closeBrowserPool();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 run();
@@ -1,15 +1,15 @@
 #!/usr/bin/env node
 
 /**
- * Test email sending with Resend
+ * Test email sending with the configured provider
  *
  * Usage:
- *   1. Set RESEND_API_KEY in .env
+ *   1. Set RESEND_API_KEY, ZAPIER_WEBHOOK_URL or SMTP_HOST in .env
  *   2. Run: node scripts/test-email.js your-email@example.com
  */
 
 import 'dotenv/config';
-import { sendPriceDropAlert } from '../src/notifications/email.js';
+import { sendPriceDropAlert, getEmailProvider } from '../src/notifications/email.js';
 
 const testEmail = process.argv[2];
 
@@ -18,13 +18,13 @@ if (!testEmail) {
     process.exit(1);
 }
 
-if (!process.env.RESEND_API_KEY) {
-    console.log('Missing RESEND_API_KEY in .env');
-    console.log('Get one free at https://resend.com');
+if (getEmailProvider() === 'none') {
+    console.log('No email provider configured in .env');
+    console.log('Set RESEND_API_KEY (free at https://resend.com), ZAPIER_WEBHOOK_URL or SMTP_HOST');
     process.exit(1);
 }
 
-console.log(`Sending test email to ${testEmail}...`);
+console.log(`Sending test email to ${testEmail} via ${getEmailProvider()}...`);
 
 try {
     const result = await sendPriceDropAlert({
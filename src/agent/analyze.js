@@ -10,7 +10,8 @@
  */
 
 import 'dotenv/config';
-import { getAllFlightsWithLatestPrice, getPriceHistory, getFlight, query } from '../db/postgres.js';
+import { getAllFlightsWithLatestPrice, getPriceHistory, getFlight, getLatestPrice, query } from '../db/postgres.js';
+import { describePriceInsight } from '../scraper/insights.js';
 
 // Airport code to city mapping
 const AIRPORT_CITIES = {
@@ -45,8 +46,8 @@ async function webSearch(queryText) {
     }
 }
 
-// Analyze price trend from history
-function analyzePriceTrend(prices) {
+// Analyze price trend from history (newest first)
+export function analyzePriceTrend(prices) {
     if (!prices || prices.length === 0) {
         return { trend: 'unknown', change: 0, current: null, lowest: null, highest: null };
     }
@@ -65,6 +66,68 @@ function analyzePriceTrend(prices) {
     return { trend, change, current, lowest, highest, average, dataPoints: prices.length };
 }
 
+/**
+ * Google's price insight band stored with a price row (scraper/insights.js), or null.
+ * When Google gave only the typical range, the level is read off it.
+ * @returns {{ price: number, level: 'low'|'typical'|'high', typicalLow: number|null, typicalHigh: number|null }|null}
+ */
+export function getPriceInsight(price) {
+    if (!price) return null;
+    const typicalLow = Number(price.typical_price_low) || null;
+    const typicalHigh = Number(price.typical_price_high) || null;
+    let level = price.price_level || null;
+    if (!level && typicalLow && typicalHigh) {
+        level = price.price < typicalLow ? 'low' : price.price > typicalHigh ? 'high' : 'typical';
+    }
+    return level ? { price: Number(price.price), level, typicalLow, typicalHigh } : null;
+}
+
+/**
+ * BOOK NOW / BOOK SOON / CONSIDER BOOKING / MONITOR for the current price. Google's insight
+ * compares it with what the route usually costs, which our own few checks can't, so a low
+ * or high rating decides; otherwise our trend and the days left do.
+ */
+export function recommendAction(priceData, daysUntil, insight = null) {
+    const band = insight && describePriceInsight({
+        price_level: insight.level,
+        typical_price_low: insight.typicalLow,
+        typical_price_high: insight.typicalHigh
+    });
+
+    if (insight?.level === 'low') {
+        return {
+            action: 'BOOK NOW',
+            recommendation: `Google rates $${insight.price} as ${band} for this route. That's a good price.`
+        };
+    }
+    if (insight?.level === 'high' && daysUntil >= 30) {
+        const target = insight.typicalHigh || Math.round((priceData.average || insight.price) * 0.9);
+        return {
+            action: 'MONITOR',
+            recommendation: `Google rates $${insight.price} as ${band} for this route. Set alert for drops below $${target}.`
+        };
+    }
+
+    let recommendation, action;
+    if (priceData.trend === 'dropping') {
+        action = 'CONSIDER BOOKING';
+        recommendation = `Price trending down ${Math.abs(priceData.change)}%. Current $${priceData.current} is good value.`;
+    } else if (priceData.trend === 'rising') {
+        action = 'BOOK SOON';
+        recommendation = `Price up ${priceData.change}%. Book now before further increases.`;
+    } else if (daysUntil < 30) {
+        action = 'BOOK NOW';
+        recommendation = `Only ${daysUntil} days until travel. Prices typically rise closer to departure.`;
+    } else {
+        action = 'MONITOR';
+        const target = Math.round((priceData.average || priceData.current) * 0.9);
+        recommendation = `Price stable. Set alert for drops below $${target}.`;
+    }
+
+    if (band) recommendation += ` Google rates it ${band}.`;
+    return { action, recommendation };
+}
+
 // Generate search queries for a flight
 function getSearchQueries(flight) {
     const dest = AIRPORT_CITIES[flight.destination] || flight.destination;
@@ -93,6 +156,7 @@ export async function analyzeFlightPrice(flightId) {
     const prices = await getPriceHistory(flightId, 30);
 
     const priceData = analyzePriceTrend(prices);
+    const insight = getPriceInsight(await getLatestPrice(flightId));
     const dest = AIRPORT_CITIES[flight.destination] || flight.destination;
     const travelDate = new Date(flight.departure_date);
     const daysUntil = Math.ceil((travelDate - new Date()) / (1000 * 60 * 60 * 24));
@@ -101,6 +165,7 @@ export async function analyzeFlightPrice(flightId) {
     console.log(`Route: ${flight.origin} → ${flight.destination} (${dest})`);
     console.log(`Travel: ${flight.departure_date} (${daysUntil} days away)`);
     console.log(`Price: $${priceData.current || 'unknown'} | Trend: ${priceData.trend}`);
+    if (insight) console.log(`Google price insight: ${insight.level}`);
 
     // Run web searches
     const queries = getSearchQueries(flight);
@@ -135,21 +200,7 @@ export async function analyzeFlightPrice(flightId) {
     }
 
     // Generate recommendation
-    let recommendation, action;
-    if (priceData.trend === 'dropping') {
-        action = 'CONSIDER BOOKING';
-        recommendation = `Price trending down ${Math.abs(priceData.change)}%. Current $${priceData.current} is good value.`;
-    } else if (priceData.trend === 'rising') {
-        action = 'BOOK SOON';
-        recommendation = `Price up ${priceData.change}%. Book now before further increases.`;
-    } else if (daysUntil < 30) {
-        action = 'BOOK NOW';
-        recommendation = `Only ${daysUntil} days until travel. Prices typically rise closer to departure.`;
-    } else {
-        action = 'MONITOR';
-        const target = Math.round((priceData.average || priceData.current) * 0.9);
-        recommendation = `Price stable. Set alert for drops below $${target}.`;
-    }
+    const { action, recommendation } = recommendAction(priceData, daysUntil, insight);
 
     // Build analysis object
     const analysis = {
@@ -168,7 +219,8 @@ export async function analyzeFlightPrice(flightId) {
             average: priceData.average,
             trend: priceData.trend,
             change: priceData.change,
-            dataPoints: priceData.dataPoints
+            dataPoints: priceData.dataPoints,
+            insight
         },
         action,
         recommendation,
@@ -0,0 +1,186 @@
+import {
+    getFlight,
+    getPriceById,
+    getPriceBaseline,
+    getAlertRules,
+    markAlertRulesFired,
+    getLastAlertNotification,
+    recordNotification,
+    createJob,
+    getChannelsForFlight,
+    getFlightRecipients,
+    getLastAlertForRecipient
+} from '../db/postgres.js';
+import { queuePriceDropAlert, processOutbox } from '../notifications/outbox.js';
+import { dispatchToChannels } from '../notifications/channels.js';
+import { composeFlightAlert } from '../notifications/composer.js';
+import { checkDelivery } from '../notifications/preferences.js';
+import { evaluateRules, getDefaultRules } from './rules.js';
+
+function getAlertType(fired) {
+    return fired.every(f => f.type === 'rise_percent') ? 'price_spike' : 'price_drop';
+}
+
+// Preference check for one channel row: recipient channels use that recipient's preferences,
+// flight-wide channels the owner's. During quiet hours the decision carries deferUntil and
+// dispatchToChannels holds the alert in the outbox until then, as with email.
+export function channelFilter(recipients, now = new Date()) {
+    const byEmail = new Map(recipients.map(r => [r.email, r]));
+    const owner = recipients.find(r => r.role === 'owner') || null;
+
+    return row => {
+        const recipient = row.recipient ? byEmail.get(row.recipient) : owner;
+        return checkDelivery(recipient || null, {
+            kind: 'alert',
+            channel: row.channel,
+            lastAlertAt: recipient?.lastAlertAt ?? null,
+            now
+        });
+    };
+}
+
+async function recordSkippedEmail(flight, price, type, email, reason) {
+    console.log(`[Alerts] Not emailing ${email}: ${reason}`);
+    await recordNotification({
+        flight_id: flight.id,
+        price_id: price.id,
+        type,
+        channel: 'email',
+        recipient: email,
+        status: 'skipped',
+        error_text: reason
+    });
+}
+
+// emails: [{ recipient, decision }] that passed their preference check
+async function sendRuleAlert(flight, { price, fired, emails = [], shouldSend = null }) {
+    const type = getAlertType(fired);
+    const alert = await composeFlightAlert(flight, {
+        priceId: price.id,
+        reasons: fired.map(f => f.message),
+        type
+    });
+
+    const deliveries = await dispatchToChannels(flight, alert, { priceId: price.id, type, shouldSend });
+
+    for (const { recipient, decision } of emails) {
+        const notBefore = decision.deferUntil;
+        const outboxId = await queuePriceDropAlert({ ...alert, to: recipient.email, notBefore });
+
+        if (notBefore) {
+            deliveries.push({ channel: 'email', to: recipient.email, status: 'deferred', error: null });
+        } else {
+            // Try right away; if the provider is down the outbox worker retries with backoff
+            const [attempt] = await processOutbox({ id: outboxId });
+            deliveries.push({ channel: 'email', to: recipient.email, status: attempt?.status || 'queued', error: attempt?.error || null });
+        }
+    }
+
+    return deliveries;
+}
+
+/**
+ * Evaluate a flight's alert rules against a price that was just saved,
+ * and notify every recipient and channel of the flight when at least one rule fires.
+ *
+ * Never throws: a failed alert must not abort the price check that called it.
+ * Returns the fired rules.
+ */
+export async function evaluatePriceAlerts(flightId, priceId) {
+    try {
+        const flight = await getFlight(flightId);
+        if (!flight) return [];
+
+        const recipients = await getFlightRecipients(flight.id);
+        const channels = await getChannelsForFlight(flight);
+        if (!recipients.length && !channels.length) return [];
+
+        const price = await getPriceById(priceId);
+        if (!price) return [];
+
+        const baseline = await getPriceBaseline(flightId, priceId);
+        const previousPrice = baseline?.previous_price ?? null;
+        const lowestPrice = baseline?.lowest_price ?? null;
+
+        const storedRules = await getAlertRules(flightId);
+        const rules = storedRules.length ? storedRules : getDefaultRules(flight);
+        const lastAlert = await getLastAlertNotification(flightId);
+
+        const fired = evaluateRules(rules, {
+            flight,
+            price: price.price,
+            previousPrice,
+            lowestPrice,
+            lastAlertPrice: lastAlert?.price ?? null
+        });
+
+        if (!fired.length) return [];
+
+        // Same price point we already alerted on (e.g. a retried job); unchanged fares are left to the rules
+        if (lastAlert && lastAlert.price_id === price.id) {
+            console.log(`[Alerts] ${flight.name}: already alerted at $${price.price}, skipping duplicate`);
+            return [];
+        }
+
+        console.log(`[Alerts] ${flight.name}: ${fired.map(f => f.type).join(', ')} fired at $${price.price}`);
+
+        // Each recipient's own preferences (pause, frequency, channel, quiet hours)
+        const type = getAlertType(fired);
+        const emails = [];
+        for (const recipient of recipients) {
+            recipient.lastAlertAt = (await getLastAlertForRecipient(recipient.email))?.sent_at ?? null;
+            const decision = checkDelivery(recipient, { kind: 'alert', channel: 'email', lastAlertAt: recipient.lastAlertAt });
+            if (decision.allow) {
+                emails.push({ recipient, decision });
+            } else {
+                await recordSkippedEmail(flight, price, type, recipient.email, decision.reason);
+            }
+        }
+        const shouldSend = channelFilter(recipients);
+
+        const localAgentEnabled = ['1', 'true', 'yes'].includes(String(process.env.LOCAL_AGENT_ENABLED || '').toLowerCase());
+        if (localAgentEnabled) {
+            for (const { recipient, decision } of emails) {
+                // Logged as queued now; the job completion marks it sent or failed
+                const notificationId = await recordNotification({
+                    flight_id: flight.id,
+                    price_id: price.id,
+                    type,
+                    channel: 'email',
+                    recipient: recipient.email,
+                    status: 'queued',
+                    message: fired.map(f => f.message).join('; ')
+                });
+                await createJob({
+                    type: 'send_email',
+                    flight_id: flight.id,
+                    progress_total: 1,
+                    payload_json: JSON.stringify({
+                        origin: 'alert_rules',
+                        flight_id: flight.id,
+                        price_id: price.id,
+                        notification_id: notificationId,
+                        to: recipient.email,
+                        reasons: fired.map(f => f.message)
+                    }),
+                    // The agent won't claim it before quiet hours end
+                    run_after: decision.deferUntil ? decision.deferUntil.toISOString() : null
+                });
+            }
+
+            // Chat/webhook channels don't need the agent
+            if (channels.length) {
+                await sendRuleAlert(flight, { price, fired, shouldSend });
+            }
+        } else if (emails.length || channels.length) {
+            const deliveries = await sendRuleAlert(flight, { price, fired, emails, shouldSend });
+            console.log(`[Alerts] Delivered: ${deliveries.map(d => `${d.to || d.channel}=${d.status}`).join(', ') || 'nothing'}`);
+        }
+
+        await markAlertRulesFired(fired.map(f => f.ruleId).filter(Boolean));
+        return fired;
+    } catch (error) {
+        console.error(`[Alerts] Evaluation failed for flight ${flightId}:`, error.message);
+        return [];
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Alert Rules
+ *
+ * Decides whether a freshly saved price is worth an email.
+ * Rules live in the alert_rules table; flights without any rows
+ * fall back to getDefaultRules().
+ */
+
+export const RULE_TYPES = ['below_threshold', 'all_time_low', 'drop_percent', 'rise_percent'];
+
+export function getDefaultRules(flight) {
+    const rules = [
+        { type: 'all_time_low', value: null },
+        { type: 'drop_percent', value: 10 }
+    ];
+    if (Number(flight?.price_threshold) > 0) {
+        rules.unshift({ type: 'below_threshold', value: null });
+    }
+    return rules;
+}
+
+// Returns an error string, or null when the rule is valid
+export function validateRule({ type, value } = {}) {
+    if (!RULE_TYPES.includes(type)) {
+        return `Rule type must be one of: ${RULE_TYPES.join(', ')}`;
+    }
+
+    const hasValue = value !== undefined && value !== null && value !== '';
+    const num = Number(value);
+
+    if (type === 'drop_percent' || type === 'rise_percent') {
+        if (!hasValue || !Number.isFinite(num) || num <= 0 || num >= 100) {
+            return 'Percent rules need a value between 0 and 100';
+        }
+    }
+
+    if (type === 'below_threshold' && hasValue && (!Number.isFinite(num) || num <= 0)) {
+        return 'Threshold must be a positive number';
+    }
+
+    return null;
+}
+
+function percentChange(from, to) {
+    return ((to - from) / from) * 100;
+}
+
+/**
+ * Evaluate rules against a new price.
+ *
+ * @param {Array} rules - [{ id?, type, value }]
+ * @param {Object} snapshot
+ * @param {Object} snapshot.flight - flight row (price_threshold is read from it)
+ * @param {number} snapshot.price - price that was just saved
+ * @param {number|null} snapshot.previousPrice - price saved before this one
+ * @param {number|null} snapshot.lowestPrice - lowest price saved before this one
+ * @param {number|null} snapshot.lastAlertPrice - price in the last email we sent
+ * @returns {Array} fired rules: [{ ruleId, type, value, message }]
+ */
+export function evaluateRules(rules, { flight, price, previousPrice = null, lowestPrice = null, lastAlertPrice = null }) {
+    if (!Number.isFinite(price)) return [];
+
+    const fired = [];
+    // "Since last alert" falls back to the previous check for flights we never emailed about
+    const baseline = lastAlertPrice ?? previousPrice;
+
+    for (const rule of rules) {
+        const value = rule.value === null || rule.value === undefined ? null : Number(rule.value);
+        let message = null;
+
+        switch (rule.type) {
+            case 'below_threshold': {
+                const threshold = value ?? (Number(flight?.price_threshold) || null);
+                if (!threshold || price > threshold) break;
+                // Fire on the way down, not on every check while we stay below
+                const crossed = previousPrice === null || previousPrice > threshold;
+                const lowerThanAlerted = lastAlertPrice !== null && price < lastAlertPrice;
+                if (crossed || lowerThanAlerted || lastAlertPrice === null) {
+                    message = `Below your $${threshold} target`;
+                }
+                break;
+            }
+            case 'all_time_low':
+                if (lowestPrice !== null && price < lowestPrice) {
+                    message = `New all-time low (previous low $${lowestPrice})`;
+                }
+                break;
+            case 'drop_percent':
+                if (baseline && value && percentChange(baseline, price) <= -value) {
+                    message = `Dropped ${Math.abs(percentChange(baseline, price)).toFixed(1)}% from $${baseline}`;
+                }
+                break;
+            case 'rise_percent':
+                if (baseline && value && percentChange(baseline, price) >= value) {
+                    message = `Rose ${percentChange(baseline, price).toFixed(1)}% from $${baseline}`;
+                }
+                break;
+            default:
+                break;
+        }
+
+        if (message) {
+            fired.push({ ruleId: rule.id ?? null, type: rule.type, value, message });
+        }
+    }
+
+    return fired;
+}
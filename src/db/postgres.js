@@ -6,6 +6,7 @@
  */
 
 import pg from 'pg';
+import { randomBytes } from 'node:crypto';
 const { Pool } = pg;
 
 let pool = null;
@@ -157,6 +158,200 @@ export async function initializeDatabase() {
         )
     `);
 
+    await query(`
+        CREATE TABLE IF NOT EXISTS alert_rules (
+            id SERIAL PRIMARY KEY,
+            flight_id INTEGER NOT NULL REFERENCES flights(id) ON DELETE CASCADE,
+            type TEXT NOT NULL,
+            value REAL,
+            is_active INTEGER DEFAULT 1,
+            last_fired_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await query(`
+        CREATE TABLE IF NOT EXISTS digest_settings (
+            recipient TEXT PRIMARY KEY,
+            frequency TEXT NOT NULL DEFAULT 'weekly',
+            last_sent_at TIMESTAMPTZ,
+            updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await query(`
+        CREATE TABLE IF NOT EXISTS email_outbox (
+            id SERIAL PRIMARY KEY,
+            flight_id INTEGER REFERENCES flights(id) ON DELETE CASCADE,
+            price_id INTEGER REFERENCES prices(id) ON DELETE SET NULL,
+            notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+            type TEXT NOT NULL,
+            recipient TEXT NOT NULL,
+            subject TEXT NOT NULL,
+            html TEXT NOT NULL,
+            text_body TEXT,
+            meta_json TEXT,
+            status TEXT NOT NULL DEFAULT 'queued',
+            attempts INTEGER DEFAULT 0,
+            max_attempts INTEGER DEFAULT 6,
+            next_attempt_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            locked_at TIMESTAMPTZ,
+            last_error TEXT,
+            provider TEXT,
+            provider_response TEXT,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            sent_at TIMESTAMPTZ
+        )
+    `);
+
+    await query(`
+        CREATE TABLE IF NOT EXISTS notification_channels (
+            id SERIAL PRIMARY KEY,
+            flight_id INTEGER REFERENCES flights(id) ON DELETE CASCADE,
+            recipient TEXT,
+            channel TEXT NOT NULL,
+            config_json TEXT NOT NULL,
+            is_active INTEGER DEFAULT 1,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await query(`
+        CREATE TABLE IF NOT EXISTS recipients (
+            id SERIAL PRIMARY KEY,
+            email TEXT NOT NULL UNIQUE,
+            status TEXT NOT NULL DEFAULT 'active',
+            paused_until TIMESTAMPTZ,
+            frequency TEXT NOT NULL DEFAULT 'instant',
+            channel TEXT NOT NULL DEFAULT 'all',
+            timezone TEXT,
+            quiet_hours_start TEXT,
+            quiet_hours_end TEXT,
+            link_secret TEXT NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await query(`
+        CREATE TABLE IF NOT EXISTS flight_recipients (
+            id SERIAL PRIMARY KEY,
+            flight_id INTEGER NOT NULL REFERENCES flights(id) ON DELETE CASCADE,
+            recipient_id INTEGER NOT NULL REFERENCES recipients(id) ON DELETE CASCADE,
+            role TEXT NOT NULL DEFAULT 'watcher',
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (flight_id, recipient_id)
+        )
+    `);
+
+    await query(`
+        CREATE TABLE IF NOT EXISTS provider_attempts (
+            id SERIAL PRIMARY KEY,
+            flight_id INTEGER NOT NULL REFERENCES flights(id) ON DELETE CASCADE,
+            job_id INTEGER,
+            provider TEXT NOT NULL,
+            status TEXT NOT NULL,
+            price REAL,
+            error_text TEXT,
+            duration_ms INTEGER,
+            departure_date TEXT,
+            return_date TEXT,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await query(`
+        CREATE TABLE IF NOT EXISTS check_runs (
+            id SERIAL PRIMARY KEY,
+            flight_id INTEGER NOT NULL REFERENCES flights(id) ON DELETE CASCADE,
+            job_id INTEGER,
+            price_id INTEGER REFERENCES prices(id) ON DELETE SET NULL,
+            status TEXT NOT NULL,
+            consensus_price REAL,
+            consensus_provider TEXT,
+            consensus_reason TEXT,
+            error_text TEXT,
+            created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await query(`
+        CREATE TABLE IF NOT EXISTS price_segments (
+            id SERIAL PRIMARY KEY,
+            price_id INTEGER NOT NULL REFERENCES prices(id) ON DELETE CASCADE,
+            itinerary_index INTEGER NOT NULL DEFAULT 0,
+            segment_index INTEGER NOT NULL DEFAULT 0,
+            carrier_code TEXT,
+            flight_number TEXT,
+            operating_carrier TEXT,
+            origin TEXT,
+            destination TEXT,
+            departure_at TEXT,
+            arrival_at TEXT,
+            duration_minutes INTEGER,
+            stops INTEGER DEFAULT 0,
+            aircraft TEXT,
+            cabin TEXT,
+            fare_brand TEXT,
+            booking_class TEXT
+        )
+    `);
+
+    await query(`
+        CREATE TABLE IF NOT EXISTS price_cards (
+            id SERIAL PRIMARY KEY,
+            price_id INTEGER NOT NULL REFERENCES prices(id) ON DELETE CASCADE,
+            flight_id INTEGER NOT NULL REFERENCES flights(id) ON DELETE CASCADE,
+            position INTEGER NOT NULL DEFAULT 0,
+            price REAL NOT NULL,
+            currency TEXT DEFAULT 'USD',
+            airlines TEXT,
+            stops INTEGER,
+            duration_minutes INTEGER,
+            departure_time TEXT,
+            arrival_time TEXT,
+            selected BOOLEAN DEFAULT FALSE
+        )
+    `);
+
+    await query(`
+        CREATE TABLE IF NOT EXISTS provider_usage (
+            provider TEXT NOT NULL,
+            month TEXT NOT NULL,
+            calls INTEGER NOT NULL DEFAULT 0,
+            updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (provider, month)
+        )
+    `);
+
+    // Columns added after the initial schema
+    await query(`ALTER TABLE notifications ALTER COLUMN price_id DROP NOT NULL`);
+    await query(`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS channel TEXT DEFAULT 'email'`);
+    await query(`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS recipient TEXT`);
+    await query(`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS provider TEXT`);
+    await query(`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS provider_response TEXT`);
+    await query(`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'sent'`);
+    await query(`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS error_text TEXT`);
+    await query(`ALTER TABLE jobs ADD COLUMN IF NOT EXISTS run_after TIMESTAMPTZ`);
+    await query(`ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS channel_id INTEGER REFERENCES notification_channels(id) ON DELETE CASCADE`);
+    await query(`ALTER TABLE flights ADD COLUMN IF NOT EXISTS price_providers TEXT`);
+    await query(`ALTER TABLE flights ADD COLUMN IF NOT EXISTS excluded_airlines TEXT`);
+    await query(`ALTER TABLE flights ADD COLUMN IF NOT EXISTS max_stops INTEGER`);
+    await query(`ALTER TABLE flights ADD COLUMN IF NOT EXISTS max_duration_minutes INTEGER`);
+    await query(`ALTER TABLE flights ADD COLUMN IF NOT EXISTS departure_window TEXT`);
+    await query(`ALTER TABLE flights ADD COLUMN IF NOT EXISTS arrival_window TEXT`);
+    await query(`ALTER TABLE prices ADD COLUMN IF NOT EXISTS seats_left INTEGER`);
+    await query(`ALTER TABLE prices ADD COLUMN IF NOT EXISTS fare_brand TEXT`);
+    await query(`ALTER TABLE prices ADD COLUMN IF NOT EXISTS preferred_airline_found BOOLEAN`);
+    await query(`ALTER TABLE prices ADD COLUMN IF NOT EXISTS price_level TEXT`);
+    await query(`ALTER TABLE prices ADD COLUMN IF NOT EXISTS typical_price_low REAL`);
+    await query(`ALTER TABLE prices ADD COLUMN IF NOT EXISTS typical_price_high REAL`);
+    await query(`ALTER TABLE provider_attempts ADD COLUMN IF NOT EXISTS run_id INTEGER REFERENCES check_runs(id) ON DELETE CASCADE`);
+    await query(`ALTER TABLE provider_attempts ADD COLUMN IF NOT EXISTS currency TEXT`);
+    await query(`ALTER TABLE provider_attempts ADD COLUMN IF NOT EXISTS airline TEXT`);
+    await query(`ALTER TABLE provider_attempts ADD COLUMN IF NOT EXISTS cached BOOLEAN DEFAULT false`);
+    await query(`ALTER TABLE provider_attempts ADD COLUMN IF NOT EXISTS error_type TEXT`);
+
     // Create indexes (IF NOT EXISTS works in PostgreSQL 9.5+)
     await query(`CREATE INDEX IF NOT EXISTS idx_prices_flight_id ON prices(flight_id)`);
     await query(`CREATE INDEX IF NOT EXISTS idx_prices_checked_at ON prices(checked_at)`);
@@ -167,6 +362,36 @@ export async function initializeDatabase() {
     await query(`CREATE INDEX IF NOT EXISTS idx_flex_checked_at ON flex_prices(checked_at)`);
     await query(`CREATE INDEX IF NOT EXISTS idx_contexts_flight_id ON contexts(flight_id)`);
     await query(`CREATE INDEX IF NOT EXISTS idx_contexts_expires_at ON contexts(expires_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_alert_rules_flight_id ON alert_rules(flight_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_notifications_flight_id ON notifications(flight_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status, next_attempt_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_notification_channels_flight_id ON notification_channels(flight_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_flight_recipients_flight_id ON flight_recipients(flight_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_provider_attempts_flight_id ON provider_attempts(flight_id, created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_provider_attempts_run_id ON provider_attempts(run_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_price_segments_price_id ON price_segments(price_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_price_cards_price_id ON price_cards(price_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_check_runs_flight_id ON check_runs(flight_id, created_at)`);
+
+    // notify_email predates flight_recipients: flights without any recipient rows get their address as owner.
+    // Recipients are created through ensureRecipient so their link secrets come from randomBytes too.
+    const unmigrated = await getAll(`
+        SELECT DISTINCT LOWER(TRIM(f.notify_email)) as email
+        FROM flights f
+        WHERE f.notify_email IS NOT NULL AND TRIM(f.notify_email) <> ''
+          AND NOT EXISTS (SELECT 1 FROM recipients r WHERE r.email = LOWER(TRIM(f.notify_email)))
+    `);
+    for (const { email } of unmigrated) {
+        await ensureRecipient(email);
+    }
+    await query(`
+        INSERT INTO flight_recipients (flight_id, recipient_id, role)
+        SELECT f.id, r.id, 'owner'
+        FROM flights f
+        JOIN recipients r ON r.email = LOWER(TRIM(f.notify_email))
+        WHERE NOT EXISTS (SELECT 1 FROM flight_recipients fr WHERE fr.flight_id = f.id)
+        ON CONFLICT (flight_id, recipient_id) DO NOTHING
+    `);
 
     console.log('[DB] PostgreSQL database initialized successfully');
 }
@@ -179,21 +404,29 @@ export async function getActiveFlights() {
 
 export async function addFlight({
     name, origin, destination, departure_date, return_date,
-    passengers, cabin_class, preferred_airline, notify_email, price_threshold
+    passengers, cabin_class, preferred_airline, notify_email, price_threshold, price_providers,
+    excluded_airlines, max_stops, max_duration_minutes, departure_window, arrival_window
 }) {
     const res = await query(`
         INSERT INTO flights (
             name, origin, destination, departure_date, return_date,
-            passengers, cabin_class, preferred_airline, notify_email, price_threshold
+            passengers, cabin_class, preferred_airline, notify_email, price_threshold, price_providers,
+            excluded_airlines, max_stops, max_duration_minutes, departure_window, arrival_window
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
         RETURNING id
     `, [
         name, origin, destination, departure_date, return_date || null,
         passengers || 1, cabin_class || 'economy', preferred_airline || 'any',
-        notify_email || null, price_threshold || null
+        notify_email || null, price_threshold || null, price_providers || null,
+        excluded_airlines || null, max_stops ?? null, max_duration_minutes ?? null,
+        departure_window || null, arrival_window || null
     ]);
-    return res.rows[0].id;
+    const flightId = res.rows[0].id;
+    if (notify_email) {
+        await setFlightOwner(flightId, notify_email);
+    }
+    return flightId;
 }
 
 export async function getFlight(flightId) {
@@ -203,7 +436,8 @@ export async function getFlight(flightId) {
 export async function updateFlight(flightId, patch) {
     const allowed = ['name', 'origin', 'destination', 'departure_date', 'return_date',
                      'passengers', 'cabin_class', 'preferred_airline', 'notify_email',
-                     'price_threshold', 'is_active'];
+                     'price_threshold', 'price_providers', 'is_active', 'excluded_airlines', 'max_stops',
+                     'max_duration_minutes', 'departure_window', 'arrival_window'];
 
     const keys = Object.keys(patch || {}).filter(k => allowed.includes(k));
     if (!keys.length) return null;
@@ -211,10 +445,13 @@ export async function updateFlight(flightId, patch) {
     const assignments = keys.map((k, i) => `${k} = $${i + 1}`).join(', ');
     const values = keys.map(k => patch[k]);
 
-    await query(
+    const res = await query(
         `UPDATE flights SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = $${keys.length + 1}`,
         [...values, flightId]
     );
+    if (res.rowCount && keys.includes('notify_email')) {
+        await setFlightOwner(flightId, patch.notify_email);
+    }
 
     return getFlight(flightId);
 }
@@ -238,8 +475,10 @@ export async function getFlightWithPrices(flightId) {
         'SELECT * FROM prices WHERE flight_id = $1 ORDER BY checked_at DESC',
         [flightId]
     );
+    const latest_segments = prices.length ? await getPriceSegments(prices[0].id) : [];
+    const latest_cards = prices.length ? await getPriceCards(prices[0].id) : [];
 
-    return { ...flight, prices };
+    return { ...flight, prices, latest_segments, latest_cards };
 }
 
 export async function deactivateFlight(flightId) {
@@ -255,6 +494,11 @@ export async function getAllFlightsWithLatestPrice() {
             f.*,
             p.price as latest_price,
             p.airline as latest_airline,
+            p.stops as latest_stops,
+            p.duration_minutes as latest_duration_minutes,
+            p.seats_left as latest_seats_left,
+            p.preferred_airline_found as latest_preferred_airline_found,
+            p.price_level as latest_price_level,
             p.checked_at as last_checked,
             (SELECT MIN(price) FROM prices WHERE flight_id = f.id) as lowest_price,
             (SELECT MAX(price) FROM prices WHERE flight_id = f.id) as highest_price,
@@ -269,20 +513,80 @@ export async function getAllFlightsWithLatestPrice() {
 
 // ==================== PRICES ====================
 
-export async function savePrice({ flight_id, price, currency, airline, stops, duration_minutes, departure_time, arrival_time, raw_data, source }) {
+export async function savePrice({
+    flight_id, price, currency, airline, stops, duration_minutes, departure_time, arrival_time,
+    seats_left, fare_brand, preferred_airline_found, price_level, typical_price_low, typical_price_high,
+    raw_data, source
+}) {
     const res = await query(`
-        INSERT INTO prices (flight_id, price, currency, airline, stops, duration_minutes, departure_time, arrival_time, raw_data, source)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        INSERT INTO prices (
+            flight_id, price, currency, airline, stops, duration_minutes, departure_time, arrival_time,
+            seats_left, fare_brand, preferred_airline_found, price_level, typical_price_low, typical_price_high,
+            raw_data, source
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
         RETURNING id
     `, [
         flight_id, price, currency || 'USD', airline || null,
         stops ?? null, duration_minutes || null, departure_time || null,
-        arrival_time || null, raw_data ? JSON.stringify(raw_data) : null,
+        arrival_time || null, seats_left ?? null, fare_brand || null,
+        preferred_airline_found ?? null, price_level || null,
+        typical_price_low ?? null, typical_price_high ?? null,
+        raw_data ? JSON.stringify(raw_data) : null,
         source || 'google_flights'
     ]);
     return res.rows[0].id;
 }
 
+// segments: parseAmadeusOffer().segments (outbound itinerary_index 0, return 1)
+export async function savePriceSegments(priceId, segments) {
+    for (const segment of segments || []) {
+        await query(`
+            INSERT INTO price_segments (
+                price_id, itinerary_index, segment_index, carrier_code, flight_number, operating_carrier,
+                origin, destination, departure_at, arrival_at, duration_minutes, stops, aircraft,
+                cabin, fare_brand, booking_class
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        `, [
+            priceId, segment.itinerary_index ?? 0, segment.segment_index ?? 0,
+            segment.carrier_code || null, segment.flight_number || null, segment.operating_carrier || null,
+            segment.origin || null, segment.destination || null, segment.departure_at || null,
+            segment.arrival_at || null, segment.duration_minutes ?? null, segment.stops ?? 0,
+            segment.aircraft || null, segment.cabin || null, segment.fare_brand || null,
+            segment.booking_class || null
+        ]);
+    }
+}
+
+export async function getPriceSegments(priceId) {
+    return getAll(
+        'SELECT * FROM price_segments WHERE price_id = $1 ORDER BY itinerary_index, segment_index',
+        [priceId]
+    );
+}
+
+// cards: parseCards() output from the Google Flights scraper; `selected` marks the card saved as the price
+export async function savePriceCards(priceId, flightId, cards) {
+    for (const card of cards || []) {
+        await query(`
+            INSERT INTO price_cards (
+                price_id, flight_id, position, price, currency, airlines, stops, duration_minutes,
+                departure_time, arrival_time, selected
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [
+            priceId, flightId, card.position ?? 0, card.price, card.currency || 'USD',
+            (card.airlines || []).join(', ') || null, card.stops ?? null, card.duration_minutes ?? null,
+            card.departure_time || null, card.arrival_time || null, !!card.selected
+        ]);
+    }
+}
+
+export async function getPriceCards(priceId) {
+    return getAll('SELECT * FROM price_cards WHERE price_id = $1 ORDER BY position', [priceId]);
+}
+
 export async function getLatestPrice(flightId) {
     return getOne(
         'SELECT * FROM prices WHERE flight_id = $1 ORDER BY checked_at DESC LIMIT 1',
@@ -297,6 +601,19 @@ export async function getLowestPrice(flightId) {
     );
 }
 
+export async function getPriceById(priceId) {
+    return getOne('SELECT * FROM prices WHERE id = $1', [priceId]);
+}
+
+// Previous and lowest price recorded before the given price row
+export async function getPriceBaseline(flightId, priceId) {
+    return getOne(`
+        SELECT
+            (SELECT price FROM prices WHERE flight_id = $1 AND id <> $2 ORDER BY checked_at DESC, id DESC LIMIT 1) as previous_price,
+            (SELECT MIN(price) FROM prices WHERE flight_id = $1 AND id <> $2) as lowest_price
+    `, [flightId, priceId]);
+}
+
 export async function getPriceHistory(flightId, days = 30) {
     return getAll(`
         SELECT * FROM prices
@@ -308,12 +625,13 @@ export async function getPriceHistory(flightId, days = 30) {
 
 // ==================== JOBS ====================
 
-export async function createJob({ type, flight_id = null, progress_total = 0, payload_json = null }) {
+// run_after holds a job back (e.g. an email during the recipient's quiet hours)
+export async function createJob({ type, flight_id = null, progress_total = 0, payload_json = null, run_after = null }) {
     const res = await query(`
-        INSERT INTO jobs (type, flight_id, status, progress_current, progress_total, payload_json)
-        VALUES ($1, $2, 'queued', 0, $3, $4)
+        INSERT INTO jobs (type, flight_id, status, progress_current, progress_total, payload_json, run_after)
+        VALUES ($1, $2, 'queued', 0, $3, $4, $5)
         RETURNING id
-    `, [type, flight_id, progress_total || 0, payload_json]);
+    `, [type, flight_id, progress_total || 0, payload_json, run_after]);
     return res.rows[0].id;
 }
 
@@ -343,6 +661,7 @@ export async function claimNextJob() {
         const jobRes = await client.query(`
             SELECT * FROM jobs
             WHERE status = 'queued'
+              AND (run_after IS NULL OR run_after <= CURRENT_TIMESTAMP)
             ORDER BY created_at ASC
             LIMIT 1
             FOR UPDATE SKIP LOCKED
@@ -469,6 +788,472 @@ export async function getLatestContext(flightId) {
     );
 }
 
+// ==================== ALERT RULES ====================
+
+export async function getAlertRules(flightId) {
+    return getAll(
+        'SELECT * FROM alert_rules WHERE flight_id = $1 AND is_active = 1 ORDER BY id ASC',
+        [flightId]
+    );
+}
+
+export async function addAlertRule({ flight_id, type, value }) {
+    const res = await query(`
+        INSERT INTO alert_rules (flight_id, type, value)
+        VALUES ($1, $2, $3)
+        RETURNING id
+    `, [flight_id, type, value ?? null]);
+    return res.rows[0].id;
+}
+
+export async function deleteAlertRule(flightId, ruleId) {
+    const res = await query(
+        'DELETE FROM alert_rules WHERE id = $1 AND flight_id = $2',
+        [ruleId, flightId]
+    );
+    return res.rowCount > 0;
+}
+
+export async function markAlertRulesFired(ruleIds) {
+    if (!ruleIds.length) return;
+    await query(
+        'UPDATE alert_rules SET last_fired_at = CURRENT_TIMESTAMP WHERE id = ANY($1::int[])',
+        [ruleIds]
+    );
+}
+
+// ==================== NOTIFICATIONS ====================
+
+export async function recordNotification({
+    flight_id, price_id, type, channel, recipient, provider,
+    provider_response, status, message, error_text
+}) {
+    const res = await query(`
+        INSERT INTO notifications (
+            flight_id, price_id, type, channel, recipient, provider,
+            provider_response, status, message, error_text
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id
+    `, [
+        flight_id, price_id || null, type, channel || 'email', recipient || null,
+        provider || null,
+        provider_response ? JSON.stringify(provider_response).slice(0, 2000) : null,
+        status || 'sent', message || null, error_text || null
+    ]);
+    return res.rows[0].id;
+}
+
+export async function updateNotification(notificationId, fields = {}) {
+    const allowed = ['provider', 'provider_response', 'status', 'error_text', 'sent_at'];
+
+    const keys = Object.keys(fields).filter(k => allowed.includes(k));
+    if (!keys.length) return;
+
+    const assignments = keys.map((k, i) => `${k} = $${i + 1}`).join(', ');
+    const values = keys.map(k => (k === 'provider_response' && fields[k]
+        ? JSON.stringify(fields[k]).slice(0, 2000)
+        : fields[k]));
+
+    await query(`UPDATE notifications SET ${assignments} WHERE id = $${keys.length + 1}`, [...values, notificationId]);
+}
+
+export async function getNotificationsForFlight(flightId, limit = 50) {
+    return getAll(`
+        SELECT n.*, p.price
+        FROM notifications n
+        LEFT JOIN prices p ON p.id = n.price_id
+        WHERE n.flight_id = $1
+        ORDER BY n.sent_at DESC
+        LIMIT $2
+    `, [flightId, limit]);
+}
+
+// Last rule-triggered alert that was sent (or is queued for the local agent)
+export async function getLastAlertNotification(flightId) {
+    return getOne(`
+        SELECT n.*, p.price
+        FROM notifications n
+        LEFT JOIN prices p ON p.id = n.price_id
+        WHERE n.flight_id = $1
+          AND n.type IN ('price_drop', 'price_spike')
+          AND n.status IN ('sent', 'queued')
+        ORDER BY n.sent_at DESC
+        LIMIT 1
+    `, [flightId]);
+}
+
+// ==================== DIGESTS ====================
+
+export async function getDigestSettings() {
+    return getAll('SELECT * FROM digest_settings ORDER BY recipient ASC');
+}
+
+export async function upsertDigestSetting({ recipient, frequency }) {
+    await query(`
+        INSERT INTO digest_settings (recipient, frequency)
+        VALUES ($1, $2)
+        ON CONFLICT (recipient)
+        DO UPDATE SET frequency = $2, updated_at = CURRENT_TIMESTAMP
+    `, [recipient, frequency]);
+}
+
+// frequency only applies to a recipient without a digest_settings row yet
+export async function markDigestSent(recipient, frequency) {
+    await query(`
+        INSERT INTO digest_settings (recipient, frequency, last_sent_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP)
+        ON CONFLICT (recipient)
+        DO UPDATE SET last_sent_at = CURRENT_TIMESTAMP
+    `, [recipient, frequency]);
+}
+
+// ==================== RECIPIENTS ====================
+
+// Recipient row for an email address, created on first use
+export async function ensureRecipient(email) {
+    return getOne(`
+        INSERT INTO recipients (email, link_secret)
+        VALUES (LOWER(TRIM($1)), $2)
+        ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+        RETURNING *
+    `, [email, randomBytes(16).toString('hex')]);
+}
+
+export async function getRecipient(recipientId) {
+    return getOne('SELECT * FROM recipients WHERE id = $1', [recipientId]);
+}
+
+export async function listRecipients() {
+    return getAll(`
+        SELECT r.*, d.frequency as digest_frequency, d.last_sent_at as digest_last_sent_at
+        FROM recipients r
+        LEFT JOIN digest_settings d ON d.recipient = r.email
+        ORDER BY r.email ASC
+    `);
+}
+
+export async function updateRecipient(recipientId, fields = {}) {
+    const allowed = ['status', 'paused_until', 'frequency', 'channel', 'timezone',
+                     'quiet_hours_start', 'quiet_hours_end'];
+
+    const keys = Object.keys(fields).filter(k => allowed.includes(k));
+    if (!keys.length) return getRecipient(recipientId);
+
+    const assignments = keys.map((k, i) => `${k} = $${i + 1}`).join(', ');
+    const values = keys.map(k => fields[k]);
+
+    return getOne(`
+        UPDATE recipients SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${keys.length + 1}
+        RETURNING *
+    `, [...values, recipientId]);
+}
+
+// Last rule-triggered alert to this address on any flight (for the "daily" frequency)
+export async function getLastAlertForRecipient(email) {
+    return getOne(`
+        SELECT * FROM notifications
+        WHERE LOWER(recipient) = LOWER(TRIM($1))
+          AND type IN ('price_drop', 'price_spike')
+          AND status IN ('sent', 'queued')
+        ORDER BY sent_at DESC
+        LIMIT 1
+    `, [email]);
+}
+
+// ==================== FLIGHT RECIPIENTS ====================
+
+// Recipients of a flight with their preferences; the owner comes first
+export async function getFlightRecipients(flightId) {
+    return getAll(`
+        SELECT r.*, fr.role, fr.created_at as added_at
+        FROM flight_recipients fr
+        JOIN recipients r ON r.id = fr.recipient_id
+        WHERE fr.flight_id = $1
+        ORDER BY (fr.role = 'owner') DESC, fr.id ASC
+    `, [flightId]);
+}
+
+// (flight_id, email) for every active flight, used to group digests by person
+export async function getActiveFlightRecipientEmails() {
+    return getAll(`
+        SELECT fr.flight_id, r.email
+        FROM flight_recipients fr
+        JOIN recipients r ON r.id = fr.recipient_id
+        JOIN flights f ON f.id = fr.flight_id
+        WHERE f.is_active = 1
+        ORDER BY r.email ASC, fr.flight_id ASC
+    `);
+}
+
+// One owner per flight; their address is mirrored in flights.notify_email for the UI and older callers.
+// A replaced owner stays on the flight as a watcher (remove them via the recipients API).
+export async function setFlightOwner(flightId, email) {
+    await query(`UPDATE flight_recipients SET role = 'watcher' WHERE flight_id = $1 AND role = 'owner'`, [flightId]);
+
+    if (!email) {
+        await query('UPDATE flights SET notify_email = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [flightId]);
+        return null;
+    }
+
+    const recipient = await ensureRecipient(email);
+    await query(`
+        INSERT INTO flight_recipients (flight_id, recipient_id, role)
+        VALUES ($1, $2, 'owner')
+        ON CONFLICT (flight_id, recipient_id) DO UPDATE SET role = 'owner'
+    `, [flightId, recipient.id]);
+    await query('UPDATE flights SET notify_email = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [email.trim(), flightId]);
+    return recipient;
+}
+
+export async function addFlightRecipient({ flight_id, email, role = 'watcher' }) {
+    if (role === 'owner') {
+        return setFlightOwner(flight_id, email);
+    }
+
+    // Adding the owner again as a watcher leaves them owner
+    const recipient = await ensureRecipient(email);
+    await query(`
+        INSERT INTO flight_recipients (flight_id, recipient_id, role)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (flight_id, recipient_id) DO NOTHING
+    `, [flight_id, recipient.id, role]);
+    return recipient;
+}
+
+export async function removeFlightRecipient(flightId, recipientId) {
+    const removed = await getOne(`
+        DELETE FROM flight_recipients
+        WHERE flight_id = $1 AND recipient_id = $2
+        RETURNING role
+    `, [flightId, recipientId]);
+    if (removed?.role === 'owner') {
+        await query('UPDATE flights SET notify_email = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [flightId]);
+    }
+    return Boolean(removed);
+}
+
+// ==================== NOTIFICATION CHANNELS ====================
+
+// Channels for a flight: its own rows plus rows attached to any of its recipients
+export async function getChannelsForFlight(flight) {
+    return getAll(`
+        SELECT * FROM notification_channels
+        WHERE is_active = 1
+          AND (
+              flight_id = $1
+              OR (flight_id IS NULL AND recipient IN (
+                  SELECT r.email FROM flight_recipients fr
+                  JOIN recipients r ON r.id = fr.recipient_id
+                  WHERE fr.flight_id = $1
+              ))
+          )
+        ORDER BY id ASC
+    `, [flight.id]);
+}
+
+export async function listChannels({ flight_id = null, recipient = null } = {}) {
+    return getAll(`
+        SELECT * FROM notification_channels
+        WHERE ($1::int IS NULL OR flight_id = $1)
+          AND ($2::text IS NULL OR recipient = LOWER($2))
+        ORDER BY id ASC
+    `, [flight_id, recipient]);
+}
+
+export async function getChannel(channelId) {
+    return getOne('SELECT * FROM notification_channels WHERE id = $1', [channelId]);
+}
+
+export async function addChannel({ flight_id, recipient, channel, config }) {
+    const res = await query(`
+        INSERT INTO notification_channels (flight_id, recipient, channel, config_json)
+        VALUES ($1, LOWER($2), $3, $4)
+        RETURNING id
+    `, [flight_id || null, recipient || null, channel, JSON.stringify(config)]);
+    return res.rows[0].id;
+}
+
+export async function deleteChannel(channelId) {
+    const res = await query('DELETE FROM notification_channels WHERE id = $1', [channelId]);
+    return res.rowCount > 0;
+}
+
+// ==================== EMAIL OUTBOX ====================
+
+// channel_id marks a chat/webhook alert held for quiet hours; meta then carries the alert payload
+export async function enqueueOutboxEmail({
+    flight_id, price_id, notification_id, channel_id = null, type, recipient, subject, html,
+    text_body, meta, max_attempts, next_attempt_at = null
+}) {
+    const res = await query(`
+        INSERT INTO email_outbox (
+            flight_id, price_id, notification_id, channel_id, type, recipient, subject, html,
+            text_body, meta_json, max_attempts, next_attempt_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12, CURRENT_TIMESTAMP))
+        RETURNING id
+    `, [
+        flight_id || null, price_id || null, notification_id || null, channel_id || null, type, recipient,
+        subject, html, text_body || null, meta ? JSON.stringify(meta) : null,
+        max_attempts || 6, next_attempt_at
+    ]);
+    return res.rows[0].id;
+}
+
+// Lock due messages for sending. Rows stuck in 'sending' (crashed worker) are picked up again after 10 minutes.
+export async function claimOutboxEmails({ limit = 10, id = null } = {}) {
+    return getAll(`
+        UPDATE email_outbox
+        SET status = 'sending', locked_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+            SELECT id FROM email_outbox
+            WHERE (
+                (status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP)
+                OR (status = 'sending' AND locked_at < NOW() - INTERVAL '10 minutes')
+            )
+            AND ($2::int IS NULL OR id = $2)
+            ORDER BY next_attempt_at ASC
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [limit, id]);
+}
+
+export async function updateOutboxEmail(outboxId, fields = {}) {
+    const allowed = ['status', 'attempts', 'next_attempt_at', 'locked_at', 'last_error',
+                     'provider', 'provider_response', 'sent_at', 'notification_id'];
+
+    const keys = Object.keys(fields).filter(k => allowed.includes(k));
+    if (!keys.length) return;
+
+    const assignments = keys.map((k, i) => `${k} = $${i + 1}`).join(', ');
+    const values = keys.map(k => (k === 'provider_response' && fields[k]
+        ? JSON.stringify(fields[k]).slice(0, 2000)
+        : fields[k]));
+
+    await query(`UPDATE email_outbox SET ${assignments} WHERE id = $${keys.length + 1}`, [...values, outboxId]);
+}
+
+export async function getOutboxEmail(outboxId) {
+    return getOne('SELECT * FROM email_outbox WHERE id = $1', [outboxId]);
+}
+
+export async function getOutboxEmails({ statuses = ['queued', 'sending', 'dead'], limit = 100 } = {}) {
+    return getAll(`
+        SELECT id, flight_id, price_id, notification_id, channel_id, type, recipient, subject, status,
+               attempts, max_attempts, next_attempt_at, last_error, provider, created_at, sent_at
+        FROM email_outbox
+        WHERE status = ANY($1::text[])
+        ORDER BY created_at DESC
+        LIMIT $2
+    `, [statuses, limit]);
+}
+
+// Put dead (or any unsent) messages back in the queue with a fresh attempt budget
+export async function requeueOutboxEmails(outboxIds) {
+    const res = await query(`
+        UPDATE email_outbox
+        SET status = 'queued', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, locked_at = NULL
+        WHERE id = ANY($1::int[]) AND status IN ('dead', 'queued')
+        RETURNING id
+    `, [outboxIds]);
+    return res.rows.map(r => r.id);
+}
+
+export async function getDeadOutboxIds() {
+    const rows = await getAll(`SELECT id FROM email_outbox WHERE status = 'dead'`);
+    return rows.map(r => r.id);
+}
+
+// ==================== PROVIDER ATTEMPTS ====================
+
+// attempts: getPriceQuote()'s quote.attempts / error.attempts.
+// Real searches (not cached or skipped) also count towards the provider's monthly usage.
+export async function recordProviderAttempts(flightId, attempts, { job_id = null, run_id = null } = {}) {
+    for (const attempt of attempts || []) {
+        if (['success', 'empty', 'error'].includes(attempt.status) && !attempt.cached) {
+            await incrementProviderUsage(attempt.provider);
+        }
+        await query(`
+            INSERT INTO provider_attempts (
+                flight_id, job_id, run_id, provider, status, price, currency, airline,
+                error_text, error_type, duration_ms, cached, departure_date, return_date
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        `, [
+            flightId, job_id, run_id, attempt.provider, attempt.status, attempt.price ?? null,
+            attempt.currency || null, attempt.airline || null,
+            attempt.error || null, attempt.error_type || null, attempt.duration_ms ?? null, Boolean(attempt.cached),
+            attempt.departure_date || null, attempt.return_date || null
+        ]);
+    }
+}
+
+// month: 'YYYY-MM' (UTC)
+export async function incrementProviderUsage(provider, month = new Date().toISOString().slice(0, 7), calls = 1) {
+    await query(`
+        INSERT INTO provider_usage (provider, month, calls)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (provider, month) DO UPDATE
+        SET calls = provider_usage.calls + EXCLUDED.calls, updated_at = CURRENT_TIMESTAMP
+    `, [provider, month, calls]);
+}
+
+export async function getProviderUsageRows(month = null) {
+    if (month) {
+        return getAll('SELECT * FROM provider_usage WHERE month = $1 ORDER BY provider', [month]);
+    }
+    return getAll('SELECT * FROM provider_usage ORDER BY month DESC, provider');
+}
+
+export async function getProviderAttempts(flightId, limit = 50) {
+    return getAll(`
+        SELECT * FROM provider_attempts
+        WHERE flight_id = $1
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2
+    `, [flightId, limit]);
+}
+
+// ==================== CHECK RUNS ====================
+
+// One run per price check: every provider's quote (provider_attempts.run_id) plus the consensus
+export async function createCheckRun({
+    flight_id, job_id, price_id, status, consensus_price, consensus_provider, consensus_reason, error_text, attempts
+}) {
+    const res = await query(`
+        INSERT INTO check_runs (flight_id, job_id, price_id, status, consensus_price, consensus_provider, consensus_reason, error_text)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id
+    `, [
+        flight_id, job_id || null, price_id || null, status, consensus_price ?? null,
+        consensus_provider || null, consensus_reason || null, error_text || null
+    ]);
+    const runId = res.rows[0].id;
+    await recordProviderAttempts(flight_id, attempts, { job_id: job_id || null, run_id: runId });
+    return runId;
+}
+
+export async function getCheckRun(flightId, runId) {
+    const run = await getOne('SELECT * FROM check_runs WHERE id = $1 AND flight_id = $2', [runId, flightId]);
+    if (!run) return null;
+
+    const quotes = await getAll('SELECT * FROM provider_attempts WHERE run_id = $1 ORDER BY id', [runId]);
+    return { ...run, quotes };
+}
+
+export async function getCheckRuns(flightId, limit = 20) {
+    return getAll(`
+        SELECT * FROM check_runs
+        WHERE flight_id = $1
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2
+    `, [flightId, limit]);
+}
+
 // ==================== CLEANUP ====================
 
 export async function closePool() {
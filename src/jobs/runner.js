@@ -4,12 +4,20 @@ import {
     getActiveFlights,
     getFlight,
     savePrice,
+    savePriceSegments,
+    savePriceCards,
     updateFlightCheckStatus,
     upsertFlexPrice,
-    upsertContext
+    upsertContext,
+    markDigestSent,
+    recordProviderAttempts,
+    createCheckRun
 } from '../db/postgres.js';
-import { getPriceQuote } from '../pricing/engine.js';
+import { getPriceQuote, runPriceCheck, getFailureType, getProviderOrder } from '../pricing/engine.js';
 import { fetchTravelContext } from '../context/context.js';
+import { evaluatePriceAlerts } from '../alerts/engine.js';
+import { buildDueDigests, getDefaultDigestFrequency } from '../notifications/digest.js';
+import { queueWeeklySummary, processOutbox } from '../notifications/outbox.js';
 
 let jobQueue = Promise.resolve();
 
@@ -24,22 +32,76 @@ function nowIso() {
     return new Date().toISOString();
 }
 
+// Store the provider attempts of a quote (or of a failed quote's error); never fails the check
+export async function recordQuoteAttempts(flightId, attempts, jobId = null) {
+    if (!attempts?.length) return;
+    try {
+        await recordProviderAttempts(flightId, attempts, { job_id: jobId });
+    } catch (e) {
+        console.error('[Jobs] Could not record provider attempts:', e.message);
+    }
+}
+
+/**
+ * Persist a finished check run: the consensus price, the run with every provider's quote,
+ * then alert rules. quote is runPriceCheck()'s result (or the local agent's copy of it).
+ */
+export async function saveCheckRun(flightId, quote, jobId = null) {
+    const priceId = await savePrice({
+        flight_id: flightId,
+        price: quote.price,
+        currency: quote.currency || 'USD',
+        airline: quote.airline || null,
+        stops: quote.stops ?? null,
+        duration_minutes: quote.duration_minutes ?? null,
+        departure_time: quote.departure_time || null,
+        arrival_time: quote.arrival_time || null,
+        seats_left: quote.seats_left ?? null,
+        fare_brand: quote.fare_brand || null,
+        preferred_airline_found: quote.preferred_airline_found ?? null,
+        price_level: quote.price_level || null,
+        typical_price_low: quote.typical_price_low ?? null,
+        typical_price_high: quote.typical_price_high ?? null,
+        raw_data: quote.raw_data || null,
+        source: quote.source || null
+    });
+    await savePriceSegments(priceId, quote.segments);
+    await savePriceCards(priceId, flightId, quote.cards);
+    const runId = await createCheckRun({
+        flight_id: flightId,
+        job_id: jobId,
+        price_id: priceId,
+        status: 'ok',
+        consensus_price: quote.price,
+        consensus_provider: quote.provider || quote.source || null,
+        consensus_reason: quote.consensus_reason || null,
+        attempts: quote.attempts
+    });
+
+    await updateFlightCheckStatus(flightId, 'ok', null);
+    const fired = await evaluatePriceAlerts(flightId, priceId);
+    return { priceId, runId, fired };
+}
+
+// A check run where no provider returned a price (error.attempts says why). The flight's
+// last_check_status gets the failure type (captcha, no_results, ...) rather than plain 'error'.
+export async function saveFailedCheckRun(flightId, error, jobId = null) {
+    const message = error?.message || String(error);
+    try {
+        await createCheckRun({ flight_id: flightId, job_id: jobId, status: 'error', error_text: message, attempts: error?.attempts });
+    } catch (e) {
+        console.error('[Jobs] Could not record failed check run:', e.message);
+    }
+    await updateFlightCheckStatus(flightId, error?.type || getFailureType(error?.attempts), message);
+}
+
 async function runCheckForFlight(jobId, flight) {
     await updateJob(jobId, { status: 'running', started_at: nowIso() });
     await updateFlightCheckStatus(flight.id, 'running', null);
 
     try {
-        const quote = await getPriceQuote(flight);
-        await savePrice({
-            flight_id: flight.id,
-            price: quote.price,
-            currency: quote.currency || 'USD',
-            airline: quote.airline || null,
-            raw_data: quote.raw_data || null,
-            source: quote.source || null
-        });
-
-        await updateFlightCheckStatus(flight.id, 'ok', null);
+        const quote = await runPriceCheck(flight);
+        const { runId } = await saveCheckRun(flight.id, quote, jobId);
         await updateJob(jobId, {
             status: 'success',
             progress_current: 1,
@@ -48,21 +110,76 @@ async function runCheckForFlight(jobId, flight) {
                 price: quote.price,
                 currency: quote.currency || 'USD',
                 airline: quote.airline || null,
-                source: quote.source || 'unknown'
+                source: quote.source || 'unknown',
+                cached: Boolean(quote.cached),
+                cached_at: quote.cached_at || null,
+                run_id: runId,
+                consensus_reason: quote.consensus_reason,
+                attempts: quote.attempts
             }),
             finished_at: nowIso()
         });
     } catch (error) {
-        const message = error?.message || String(error);
-        await updateFlightCheckStatus(flight.id, 'error', message);
+        await saveFailedCheckRun(flight.id, error, jobId);
         await updateJob(jobId, {
             status: 'error',
-            error_text: message,
+            error_text: error?.message || String(error),
             finished_at: nowIso()
         });
     }
 }
 
+// The manual scrape buttons search Google Flights only: the flight's Google providers
+// (e.g. google_flights_form), else the URL search
+function getScrapeProviders(flight) {
+    const google = getProviderOrder(flight).order.filter(name => name.startsWith('google_flights'));
+    return google.length ? google.join(',') : 'google_flights';
+}
+
+/**
+ * Check one flight on Google Flights right away, outside the job queue (POST /api/flights/:id/scrape
+ * and /api/scrape). It goes through the engine and is saved like any check run; a search that
+ * finds no price is recorded on the flight and returned rather than thrown.
+ * @returns {Promise<{ success: true, quote: Object, priceId: number, runId: number }
+ *                  |{ success: false, error: string, error_type: string }>}
+ */
+export async function runScrapeCheck(flight) {
+    let quote;
+    try {
+        quote = await runPriceCheck({ ...flight, price_providers: getScrapeProviders(flight) });
+    } catch (error) {
+        await saveFailedCheckRun(flight.id, error);
+        return {
+            success: false,
+            error: error?.message || String(error),
+            error_type: error?.type || getFailureType(error?.attempts)
+        };
+    }
+
+    const { priceId, runId } = await saveCheckRun(flight.id, quote);
+    return { success: true, quote, priceId, runId };
+}
+
+// Scrape every active flight in turn (POST /api/scrape)
+export async function scrapeAllFlights() {
+    const flights = await getActiveFlights();
+    console.log(`[Scraper] Checking ${flights.length} flight(s)...`);
+
+    const results = [];
+    for (const flight of flights) {
+        const result = await runScrapeCheck(flight);
+        results.push(result.success
+            ? { flight_id: flight.id, name: flight.name, success: true, price: result.quote.price, airline: result.quote.airline || null, run_id: result.runId }
+            : { flight_id: flight.id, name: flight.name, success: false, error: result.error, error_type: result.error_type });
+
+        // Delay between requests
+        await new Promise(r => setTimeout(r, 2000));
+    }
+
+    console.log('[Scraper] Complete!');
+    return { success: true, flights: flights.length, results };
+}
+
 export function runCheckNowJob(jobId, flightId) {
     enqueue(async () => {
         const flight = await getFlight(flightId);
@@ -90,28 +207,26 @@ export function runCheckAllJob(jobId) {
         });
 
         let current = 0;
+        const results = [];
         for (const flight of flights) {
             try {
-                const quote = await getPriceQuote(flight);
-                await savePrice({
-                    flight_id: flight.id,
-                    price: quote.price,
-                    currency: quote.currency || 'USD',
-                    airline: quote.airline || null,
-                    raw_data: quote.raw_data || null,
-                    source: quote.source || null
-                });
-                await updateFlightCheckStatus(flight.id, 'ok', null);
+                const quote = await runPriceCheck(flight);
+                const { runId } = await saveCheckRun(flight.id, quote, jobId);
+                results.push({ flight_id: flight.id, price: quote.price, source: quote.source || 'unknown', cached: Boolean(quote.cached), run_id: runId });
             } catch (error) {
-                const message = error?.message || String(error);
-                await updateFlightCheckStatus(flight.id, 'error', message);
+                await saveFailedCheckRun(flight.id, error, jobId);
+                results.push({ flight_id: flight.id, error: error?.message || String(error) });
             }
 
             current += 1;
             await updateJob(jobId, { progress_current: current });
         }
 
-        await updateJob(jobId, { status: 'success', finished_at: nowIso() });
+        await updateJob(jobId, {
+            status: 'success',
+            result_json: JSON.stringify({ results }),
+            finished_at: nowIso()
+        });
     });
 }
 
@@ -137,6 +252,7 @@ export function runFlexScanJob(jobId, flightId, window = 5) {
         let progress = 0;
         const results = [];
 
+        // Google Flights quotes borrow the shared browser pool, so the whole scan reuses one Chromium
         for (let delta = -window; delta <= window; delta += 1) {
             const shiftedDepart = new Date(departDate);
             shiftedDepart.setDate(shiftedDepart.getDate() + delta);
@@ -153,6 +269,7 @@ export function runFlexScanJob(jobId, flightId, window = 5) {
 
             try {
                 const quote = await getPriceQuote(shiftedFlight);
+                await recordQuoteAttempts(flight.id, quote.attempts, jobId);
                 await upsertFlexPrice({
                     flight_id: flight.id,
                     departure_date: shiftedFlight.departure_date,
@@ -170,9 +287,11 @@ export function runFlexScanJob(jobId, flightId, window = 5) {
                     return_date: shiftedFlight.return_date,
                     price: quote.price,
                     airline: quote.airline || null,
-                    source: quote.source || 'unknown'
+                    source: quote.source || 'unknown',
+                    cached: Boolean(quote.cached)
                 });
             } catch (error) {
+                await recordQuoteAttempts(flight.id, error?.attempts, jobId);
                 await upsertFlexPrice({
                     flight_id: flight.id,
                     departure_date: shiftedFlight.departure_date,
@@ -243,11 +362,62 @@ export function runContextRefreshJob(jobId, flightId) {
     });
 }
 
+export function runWeeklyDigestJob(jobId, { force = false } = {}) {
+    enqueue(async () => {
+        await updateJob(jobId, { status: 'running', started_at: nowIso(), progress_current: 0 });
+
+        try {
+            const digests = await buildDueDigests({ force });
+            await updateJob(jobId, { progress_total: digests.length });
+
+            // Once queued, the outbox owns delivery (and retries), so the period counts as served
+            const queued = [];
+            let progress = 0;
+
+            for (const digest of digests) {
+                const outboxId = await queueWeeklySummary(digest);
+                await markDigestSent(digest.to, getDefaultDigestFrequency());
+                if (digest.notBefore) {
+                    // Recipient's quiet hours; the outbox worker sends it when they end
+                    queued.push({ to: digest.to, outboxId, status: 'deferred' });
+                } else {
+                    const [attempt] = await processOutbox({ id: outboxId });
+                    queued.push({ to: digest.to, outboxId, status: attempt?.status || 'queued' });
+                }
+
+                progress += 1;
+                await updateJob(jobId, { progress_current: progress });
+            }
+
+            await updateJob(jobId, {
+                status: 'success',
+                result_json: JSON.stringify({ queued }),
+                finished_at: nowIso()
+            });
+        } catch (error) {
+            await updateJob(jobId, {
+                status: 'error',
+                error_text: error?.message || String(error),
+                finished_at: nowIso()
+            });
+        }
+    });
+}
+
 export async function createAndRunJob({ type, flightId = null, progressTotal = 0, window = 5, payload = null }) {
+    const localAgentEnabled = ['1', 'true', 'yes'].includes(String(process.env.LOCAL_AGENT_ENABLED || '').toLowerCase());
+
+    // The local agent has no DB access, so digests are built here and shipped in the payload
+    if (localAgentEnabled && type === 'weekly_digest') {
+        // The agent sends right away, so recipients in quiet hours wait for the next digest run
+        const digests = (await buildDueDigests({ force: Boolean(payload?.force) })).filter(d => !d.notBefore);
+        payload = { ...payload, digests };
+        progressTotal = digests.length;
+    }
+
     const payloadJson = payload ? JSON.stringify(payload) : null;
     const jobId = await createJob({ type, flight_id: flightId, progress_total: progressTotal, payload_json: payloadJson });
 
-    const localAgentEnabled = ['1', 'true', 'yes'].includes(String(process.env.LOCAL_AGENT_ENABLED || '').toLowerCase());
     if (localAgentEnabled) {
         return jobId;
     }
@@ -256,6 +426,7 @@ export async function createAndRunJob({ type, flightId = null, progressTotal = 0
     if (type === 'check_all') runCheckAllJob(jobId);
     if (type === 'flex_scan') runFlexScanJob(jobId, flightId, window);
     if (type === 'context_refresh') runContextRefreshJob(jobId, flightId);
+    if (type === 'weekly_digest') runWeeklyDigestJob(jobId, { force: Boolean(payload?.force) });
 
     return jobId;
 }
@@ -0,0 +1,334 @@
+/**
+ * Notification Channels
+ *
+ * Non-email delivery for the same alert payload that sendPriceDropAlert renders.
+ * Each adapter takes (alert, config) where config is the channel row's target
+ * (webhook URL, chat id, topic...). Email keeps going through email.js + the outbox;
+ * channel alerts only use the outbox when quiet hours hold them back.
+ */
+
+import { createHmac } from 'node:crypto';
+import { getChannelsForFlight, getChannel, recordNotification, enqueueOutboxEmail } from '../db/postgres.js';
+
+const BOOK_URL = 'https://www.google.com/travel/flights';
+// Deliveries run on the serial job queue, so a hung endpoint must not hold it up
+const REQUEST_TIMEOUT_MS = 10000;
+
+function getPercentDrop({ currentPrice, previousPrice }) {
+    const prev = Number.isFinite(previousPrice) && previousPrice > 0 ? previousPrice : currentPrice;
+    return prev ? Number((((prev - currentPrice) / prev) * 100).toFixed(1)) : 0;
+}
+
+// Plain-text view of an alert, shared by every chat-style channel
+export function summarizeAlert(alert) {
+    const percentDrop = getPercentDrop(alert);
+    const title = percentDrop > 0
+        ? `Price Drop: ${alert.flightName} now $${alert.currentPrice} (↓${percentDrop}%)`
+        : `Price Alert: ${alert.flightName} now $${alert.currentPrice}`;
+
+    const lines = [
+        `${alert.route} · ${alert.airline || 'Various'}` + (alert.itinerary?.summary ? ` · ${alert.itinerary.summary}` : ''),
+        `Now $${alert.currentPrice}` +
+            (percentDrop > 0 ? ` (was $${alert.previousPrice})` : '') +
+            (alert.lowestPrice ? ` · all-time low $${alert.lowestPrice}` : '') +
+            (alert.priceInsight ? ` · Google says ${alert.priceInsight.level}` : '')
+    ];
+
+    for (const reason of alert.reasons || []) {
+        lines.push(`• ${reason}`);
+    }
+    if (alert.analysis?.action) {
+        lines.push(`${alert.analysis.action}: ${alert.analysis.recommendation || ''}`.trim());
+    }
+    if (alert.flexSuggestion?.price) {
+        lines.push(`Flex: $${alert.flexSuggestion.price} on ${alert.flexSuggestion.departure_date}` +
+            (alert.flexSuggestion.savings ? ` (save ~$${alert.flexSuggestion.savings})` : ''));
+    }
+
+    return { title, lines, text: `${title}\n${lines.join('\n')}`, percentDrop, url: BOOK_URL };
+}
+
+// POST with a timeout; a timed-out request throws like any other failed delivery
+async function post(url, { headers, body }) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        const text = await response.text().catch(() => '');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${text.slice(0, 200)}`);
+        }
+        return { status: response.status, body: text.slice(0, 500) };
+    } catch (error) {
+        if (error?.name === 'TimeoutError') {
+            throw new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+        }
+        throw error;
+    }
+}
+
+async function postJson(url, body, headers = {}) {
+    return post(url, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+}
+
+// Receivers verify with HMAC-SHA256(secret, `${timestamp}.${body}`)
+export function signWebhookBody(secret, timestamp, body) {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function sendWebhook(alert, config) {
+    const summary = summarizeAlert(alert);
+    const body = JSON.stringify({
+        event: 'price_alert',
+        type: alert.type || 'price_drop',
+        flight: { id: alert.flightId || null, name: alert.flightName, route: alert.route },
+        price: {
+            current: alert.currentPrice,
+            previous: alert.previousPrice,
+            lowest: alert.lowestPrice,
+            airline: alert.airline || null,
+            percentDrop: summary.percentDrop
+        },
+        reasons: alert.reasons || [],
+        flexSuggestion: alert.flexSuggestion || null,
+        nextRunAt: alert.nextRunAt || null,
+        text: summary.text
+    });
+
+    const headers = {};
+    const secret = config.secret || process.env.WEBHOOK_SIGNING_SECRET;
+    if (secret) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers['X-Flight-Tracker-Timestamp'] = timestamp;
+        headers['X-Flight-Tracker-Signature'] = `sha256=${signWebhookBody(secret, timestamp, body)}`;
+    }
+
+    return postJson(config.url, body, headers);
+}
+
+async function sendSlack(alert, config) {
+    const summary = summarizeAlert(alert);
+    return postJson(config.url, {
+        text: summary.title,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: `✈️ ${summary.title}`.slice(0, 150) } },
+            { type: 'section', text: { type: 'mrkdwn', text: summary.lines.join('\n') } },
+            { type: 'section', text: { type: 'mrkdwn', text: `<${summary.url}|Book on Google Flights>` } }
+        ]
+    });
+}
+
+async function sendDiscord(alert, config) {
+    const summary = summarizeAlert(alert);
+    return postJson(config.url, {
+        username: 'Flight Tracker',
+        embeds: [{
+            title: summary.title.slice(0, 256),
+            description: summary.lines.join('\n').slice(0, 4000),
+            url: summary.url,
+            color: summary.percentDrop > 0 ? 0x22c55e : 0xeab308
+        }]
+    });
+}
+
+async function sendTelegram(alert, config) {
+    const token = config.bot_token || process.env.TELEGRAM_BOT_TOKEN;
+    if (!token) {
+        throw new Error('Missing TELEGRAM_BOT_TOKEN (or bot_token in the channel config)');
+    }
+
+    const summary = summarizeAlert(alert);
+    return postJson(`https://api.telegram.org/bot${token}/sendMessage`, {
+        chat_id: config.chat_id,
+        text: `✈️ ${summary.text}\n\n${summary.url}`,
+        disable_web_page_preview: true
+    });
+}
+
+async function sendNtfy(alert, config) {
+    const server = (config.server || process.env.NTFY_SERVER || 'https://ntfy.sh').replace(/\/+$/, '');
+    const summary = summarizeAlert(alert);
+
+    const headers = {
+        // Header values must be ASCII; the emoji-free title is fine here
+        Title: summary.title.replace(/[^\x20-\x7E]/g, ''),
+        Tags: 'airplane',
+        Priority: summary.percentDrop >= 10 ? 'high' : 'default',
+        Click: summary.url
+    };
+    const token = config.token || process.env.NTFY_TOKEN;
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    return post(`${server}/${encodeURIComponent(config.topic)}`, { headers, body: summary.lines.join('\n') });
+}
+
+// name -> { required config keys, send }
+export const CHANNELS = {
+    webhook: { required: ['url'], send: sendWebhook },
+    slack: { required: ['url'], send: sendSlack },
+    discord: { required: ['url'], send: sendDiscord },
+    telegram: { required: ['chat_id'], send: sendTelegram },
+    ntfy: { required: ['topic'], send: sendNtfy }
+};
+
+// Returns an error string, or null when the channel config is usable
+export function validateChannelConfig(channel, config) {
+    const adapter = CHANNELS[channel];
+    if (!adapter) {
+        return `Channel must be one of: ${Object.keys(CHANNELS).join(', ')}`;
+    }
+    if (!config || typeof config !== 'object') {
+        return 'Channel config must be an object';
+    }
+    for (const key of adapter.required) {
+        if (typeof config[key] !== 'string' && typeof config[key] !== 'number') {
+            return `${channel} needs config.${key}`;
+        }
+    }
+    if (config.url && !/^https?:\/\//i.test(String(config.url))) {
+        return 'config.url must be an http(s) URL';
+    }
+    return null;
+}
+
+// Hide secrets when channel rows are returned by the API
+export function maskChannelConfig(config) {
+    const masked = { ...config };
+    for (const key of ['secret', 'bot_token', 'token']) {
+        if (masked[key]) masked[key] = '••••';
+    }
+    if (masked.url && /hooks\.slack\.com|discord(app)?\.com\/api\/webhooks/.test(masked.url)) {
+        masked.url = masked.url.replace(/\/[^/]+$/, '/••••');
+    }
+    return masked;
+}
+
+export async function sendToChannel(channel, alert, config) {
+    const adapter = CHANNELS[channel];
+    if (!adapter) {
+        throw new Error(`Unknown notification channel: ${channel}`);
+    }
+    return adapter.send(alert, config);
+}
+
+function parseChannelConfig(row) {
+    try {
+        return JSON.parse(row.config_json);
+    } catch {
+        return null;
+    }
+}
+
+// Outbox delivery of a channel alert that was held back (see queueChannelAlert)
+export async function deliverChannelAlert(channelId, alert) {
+    const row = await getChannel(channelId);
+    if (!row) throw new Error(`Channel #${channelId} no longer exists`);
+    const config = parseChannelConfig(row);
+    if (!config) throw new Error('Invalid channel config');
+    return { provider: row.channel, response: await sendToChannel(row.channel, alert, config) };
+}
+
+// Hold a channel alert in the outbox until notBefore (recipient quiet hours)
+async function queueChannelAlert(row, alert, { flightId, priceId, type, notBefore }) {
+    const summary = summarizeAlert(alert);
+    const notificationId = await recordNotification({
+        flight_id: flightId,
+        price_id: priceId,
+        type,
+        channel: row.channel,
+        recipient: row.recipient || null,
+        provider: row.channel,
+        status: 'queued',
+        message: summary.title
+    });
+    const outboxId = await enqueueOutboxEmail({
+        flight_id: flightId,
+        price_id: priceId,
+        notification_id: notificationId,
+        channel_id: row.id,
+        type,
+        recipient: row.recipient || `${row.channel} #${row.id}`,
+        subject: summary.title,
+        html: '',
+        text_body: summary.text,
+        meta: { alert },
+        next_attempt_at: new Date(notBefore).toISOString()
+    });
+    console.log(`[Channels] ${row.channel} #${row.id} held as outbox #${outboxId} until ${new Date(notBefore).toISOString()}`);
+}
+
+/**
+ * Send an alert to every channel configured for the flight (or its recipient).
+ * shouldSend(row) may veto a channel ({ allow, reason }), e.g. for recipient preferences,
+ * or hold it back ({ allow: true, deferUntil }) for quiet hours: vetoed channels are logged
+ * as 'skipped', held ones wait in the outbox and are logged as 'queued' until it sends them.
+ * Each attempt is logged in notifications; failures never throw.
+ * Returns [{ channel, channelId, status, error? }].
+ */
+export async function dispatchToChannels(flight, alert, { priceId = null, type = 'price_drop', shouldSend = null } = {}) {
+    const rows = await getChannelsForFlight(flight);
+    const results = [];
+
+    for (const row of rows) {
+        const config = parseChannelConfig(row);
+        const decision = shouldSend ? shouldSend(row) : { allow: true };
+        let status = 'sent';
+        let response = null;
+        let errorText = null;
+
+        if (decision.allow && decision.deferUntil) {
+            try {
+                await queueChannelAlert(row, { ...alert, flightId: flight.id, type }, {
+                    flightId: flight.id, priceId, type, notBefore: decision.deferUntil
+                });
+                results.push({ channel: row.channel, channelId: row.id, status: 'deferred', error: null });
+            } catch (error) {
+                console.error(`[Channels] ${row.channel} #${row.id} could not be queued: ${error.message}`);
+                results.push({ channel: row.channel, channelId: row.id, status: 'failed', error: error.message });
+            }
+            continue;
+        }
+
+        if (!decision.allow) {
+            status = 'skipped';
+            errorText = decision.reason || 'skipped';
+            console.log(`[Channels] ${row.channel} #${row.id} skipped: ${errorText}`);
+        } else {
+            try {
+                if (!config) throw new Error('Invalid channel config');
+                response = await sendToChannel(row.channel, { ...alert, flightId: flight.id, type }, config);
+            } catch (error) {
+                status = 'failed';
+                errorText = error?.message || String(error);
+                console.error(`[Channels] ${row.channel} #${row.id} failed: ${errorText}`);
+            }
+        }
+
+        try {
+            await recordNotification({
+                flight_id: flight.id,
+                price_id: priceId,
+                type,
+                channel: row.channel,
+                recipient: row.recipient || null,
+                provider: row.channel,
+                provider_response: response,
+                status,
+                message: summarizeAlert(alert).title,
+                error_text: errorText
+            });
+        } catch (e) {
+            console.error('[Channels] Could not record delivery:', e.message);
+        }
+
+        results.push({ channel: row.channel, channelId: row.id, status, error: errorText });
+    }
+
+    return results;
+}
@@ -0,0 +1,182 @@
+/**
+ * Notification Composer
+ *
+ * Builds the alert document that every price notification is rendered from
+ * (email, chat channels, /notify preview). Callers used to assemble it by hand
+ * with slightly different fallbacks; keep them all going through here.
+ */
+
+import {
+    getLatestPrice,
+    getPriceById,
+    getPriceBaseline,
+    getBestFlexPrice,
+    getContext,
+    getLatestContext,
+    upsertContext
+} from '../db/postgres.js';
+import { analyzeFlightPrice, getPriceInsight } from '../agent/analyze.js';
+import { fetchTravelContext } from '../context/context.js';
+import { getScheduleInfo } from '../scheduler/schedule.js';
+import { formatItinerarySummary } from '../pricing/itinerary.js';
+
+/**
+ * @typedef {Object} AlertDocument
+ * @property {number} flightId
+ * @property {number|null} priceId - price row the alert is about
+ * @property {string} type - price_drop | price_spike | manual
+ * @property {string} flightName
+ * @property {string} route - "ATL → MAD"
+ * @property {number|null} currentPrice
+ * @property {number|null} previousPrice - price before this one (falls back to currentPrice)
+ * @property {number|null} lowestPrice - lowest price seen, including this one
+ * @property {string} airline - "Various" when the quote had none
+ * @property {{stops: number|null, duration_minutes: number|null, departure_time: string|null,
+ *            arrival_time: string|null, seats_left: number|null, fare_brand: string|null,
+ *            summary: string}|null} itinerary - outbound leg of the priced offer ("nonstop 8h05, 4 seats left")
+ * @property {{price: number, level: 'low'|'typical'|'high', typicalLow: number|null, typicalHigh: number|null}|null} priceInsight
+ *           - Google Flights' rating of the price against the route's usual range
+ * @property {Object|null} analysis - analyzeFlightPrice() result
+ * @property {{price: number, departure_date: string, return_date: string|null, savings: number}|null} flexSuggestion
+ * @property {Object|null} context - fetchTravelContext() result
+ * @property {string|null} nextRunAt
+ * @property {string[]} reasons - why the alert fired
+ */
+
+function toNumber(value) {
+    const num = Number(value);
+    return value === null || value === undefined || !Number.isFinite(num) ? null : num;
+}
+
+// Only providers that report an itinerary (Amadeus) fill these columns
+function getItinerary(price) {
+    if (!price) return null;
+    const itinerary = {
+        stops: toNumber(price.stops),
+        duration_minutes: toNumber(price.duration_minutes),
+        departure_time: price.departure_time || null,
+        arrival_time: price.arrival_time || null,
+        seats_left: toNumber(price.seats_left),
+        fare_brand: price.fare_brand || null
+    };
+    const summary = formatItinerarySummary(itinerary);
+    return summary ? { ...itinerary, summary } : null;
+}
+
+/**
+ * Pure part of the composer: apply the shared fallbacks to whatever the caller loaded.
+ * @returns {AlertDocument}
+ */
+export function buildAlertDocument({
+    flight,
+    price = null,
+    previousPrice = null,
+    lowestPrice = null,
+    analysis = null,
+    bestFlex = null,
+    context = null,
+    nextRunAt = null,
+    reasons = [],
+    type = 'price_drop'
+}) {
+    const currentPrice = toNumber(price?.price);
+    const previous = toNumber(previousPrice) ?? currentPrice;
+    const lowest = [toNumber(lowestPrice), currentPrice].filter(p => p !== null);
+
+    let flexSuggestion = null;
+    if (bestFlex?.price) {
+        flexSuggestion = {
+            price: bestFlex.price,
+            departure_date: bestFlex.departure_date,
+            return_date: bestFlex.return_date || null,
+            savings: currentPrice !== null ? Math.max(0, Math.round(currentPrice - bestFlex.price)) : 0
+        };
+    }
+
+    return {
+        flightId: flight.id,
+        priceId: price?.id ?? null,
+        type,
+        flightName: flight.name,
+        route: `${flight.origin} → ${flight.destination}`,
+        currentPrice,
+        previousPrice: previous,
+        lowestPrice: lowest.length ? Math.min(...lowest) : null,
+        airline: price?.airline || 'Various',
+        itinerary: getItinerary(price),
+        priceInsight: getPriceInsight(price),
+        analysis,
+        flexSuggestion,
+        context,
+        nextRunAt,
+        reasons: reasons || []
+    };
+}
+
+// Cached context first (6h), otherwise fetch and cache a fresh one.
+// Without refresh, whatever is cached (of any age) or nothing.
+async function loadContext(flight, { refresh = true } = {}) {
+    const cached = refresh
+        ? await getContext({ flight_id: flight.id, maxAgeHours: 6 })
+        : await getLatestContext(flight.id);
+    if (cached?.context_json) {
+        try {
+            return JSON.parse(cached.context_json);
+        } catch {
+            // fall through to a refresh
+        }
+    }
+    if (!refresh) return null;
+
+    try {
+        const context = await fetchTravelContext(flight);
+        await upsertContext({
+            flight_id: flight.id,
+            context_json: JSON.stringify(context),
+            expires_at: context.expires_at || null
+        });
+        return context;
+    } catch (e) {
+        console.log('[Composer] Context unavailable:', e.message);
+        return null;
+    }
+}
+
+/**
+ * Load everything an alert needs for a flight and build its document.
+ * Uses the latest price unless priceId is given. refreshContext: false keeps it read-only
+ * (cached travel context only, e.g. for previews); /notify and the context_refresh job refresh it.
+ *
+ * @returns {Promise<AlertDocument>}
+ */
+export async function composeFlightAlert(flight, { priceId = null, reasons = [], type = 'price_drop', refreshContext = true } = {}) {
+    const price = priceId ? await getPriceById(priceId) : await getLatestPrice(flight.id);
+    const baseline = price ? await getPriceBaseline(flight.id, price.id) : null;
+
+    let analysis = null;
+    try {
+        analysis = await analyzeFlightPrice(flight.id);
+    } catch (e) {
+        console.log('[Composer] Analysis unavailable:', e.message);
+    }
+
+    const bestFlex = await getBestFlexPrice({
+        flight_id: flight.id,
+        maxAgeHours: 12,
+        cabin_class: flight.cabin_class,
+        passengers: flight.passengers || 1
+    });
+
+    return buildAlertDocument({
+        flight,
+        price,
+        previousPrice: baseline?.previous_price ?? null,
+        lowestPrice: baseline?.lowest_price ?? null,
+        analysis,
+        bestFlex,
+        context: await loadContext(flight, { refresh: refreshContext }),
+        nextRunAt: getScheduleInfo().nextRunAt,
+        reasons,
+        type
+    });
+}
@@ -0,0 +1,106 @@
+import {
+    getAllFlightsWithLatestPrice,
+    getPriceHistory,
+    getDigestSettings,
+    getActiveFlightRecipientEmails,
+    ensureRecipient
+} from '../db/postgres.js';
+import { analyzePriceTrend } from '../agent/analyze.js';
+import { checkDelivery, getRecipientLinkUrls } from './preferences.js';
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly', 'off'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getDefaultDigestFrequency() {
+    const value = String(process.env.DIGEST_FREQUENCY || 'weekly').toLowerCase();
+    return DIGEST_FREQUENCIES.includes(value) ? value : 'weekly';
+}
+
+export function isDigestDue({ frequency, last_sent_at }, now = new Date()) {
+    if (frequency === 'off') return false;
+    if (!last_sent_at) return true;
+
+    const elapsed = now - new Date(last_sent_at);
+    // Leave an hour of slack so a daily cron never skips a day because it ran a little early
+    const period = frequency === 'daily' ? DAY_MS : 7 * DAY_MS;
+    return elapsed >= period - 60 * 60 * 1000;
+}
+
+function describeTrend(trend, days) {
+    if (!trend.dataPoints) return 'No prices yet';
+    if (trend.dataPoints < 2) return 'First check';
+
+    const period = days === 1 ? 'today' : 'this week';
+    if (trend.trend === 'dropping') return `↓ ${Math.abs(trend.change)}% ${period}`;
+    if (trend.trend === 'rising') return `↑ ${trend.change}% ${period}`;
+    return `Stable ${period}`;
+}
+
+async function buildDigestFlight(flight, days) {
+    // getPriceHistory is oldest-first; analyzePriceTrend wants newest-first
+    const history = await getPriceHistory(flight.id, days);
+    const trend = analyzePriceTrend([...history].reverse());
+
+    return {
+        id: flight.id,
+        name: flight.name,
+        route: `${flight.origin} → ${flight.destination}`,
+        currentPrice: flight.latest_price ?? null,
+        lowestPrice: flight.lowest_price ?? null,
+        trend: describeTrend(trend, days)
+    };
+}
+
+/**
+ * Build one digest per recipient whose daily/weekly digest is due.
+ * Pass { force: true } to ignore the schedule (manual runs).
+ * Paused/unsubscribed recipients are left out; notBefore is set during their quiet hours.
+ *
+ * @returns {Promise<Array<{ to: string, frequency: string, flights: Array, notBefore: Date|null, unsubscribeUrl: string, pauseUrl: string }>>}
+ */
+export async function buildDueDigests({ force = false, now = new Date() } = {}) {
+    const flights = new Map((await getAllFlightsWithLatestPrice())
+        .filter(f => f.is_active)
+        .map(f => [f.id, f]));
+
+    // Owners and watchers each get every flight they're on
+    const settings = new Map((await getDigestSettings()).map(s => [s.recipient, s]));
+    const byRecipient = new Map();
+    for (const { flight_id, email } of await getActiveFlightRecipientEmails()) {
+        const flight = flights.get(flight_id);
+        if (!flight) continue;
+        if (!byRecipient.has(email)) byRecipient.set(email, []);
+        byRecipient.get(email).push(flight);
+    }
+
+    const digests = [];
+    for (const [to, recipientFlights] of byRecipient) {
+        const setting = settings.get(to) || { frequency: getDefaultDigestFrequency(), last_sent_at: null };
+        if (setting.frequency === 'off') continue;
+        if (!force && !isDigestDue(setting, now)) continue;
+
+        const recipient = await ensureRecipient(to);
+        const decision = checkDelivery(recipient, { kind: 'digest', channel: 'email', now });
+        if (!decision.allow) {
+            console.log(`[Digest] Skipping ${to}: ${decision.reason}`);
+            continue;
+        }
+
+        const days = setting.frequency === 'daily' ? 1 : 7;
+        const items = [];
+        for (const flight of recipientFlights) {
+            items.push(await buildDigestFlight(flight, days));
+        }
+
+        digests.push({
+            to,
+            frequency: setting.frequency,
+            flights: items,
+            notBefore: decision.deferUntil,
+            ...getRecipientLinkUrls(recipient)
+        });
+    }
+
+    return digests;
+}
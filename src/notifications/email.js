@@ -1,9 +1,15 @@
 import { Resend } from 'resend';
+import nodemailer from 'nodemailer';
 import { execFile } from 'node:child_process';
 import { promisify } from 'node:util';
+import { recordNotification } from '../db/postgres.js';
+import { html, safeUrl, renderTemplate } from './templates.js';
 
 let resendClient = null;
+let smtpTransport = null;
 const execFileAsync = promisify(execFile);
+// Sends run on the serial job queue; a hung webhook must fail instead of blocking it
+const ZAPIER_TIMEOUT_MS = 15000;
 
 function getResendClient() {
     if (resendClient) return resendClient;
@@ -17,6 +23,46 @@ function getResendClient() {
     return resendClient;
 }
 
+function getSmtpTransport() {
+    if (smtpTransport) return smtpTransport;
+
+    const host = process.env.SMTP_HOST;
+    if (!host) {
+        throw new Error('Missing SMTP_HOST. Set SMTP_HOST/SMTP_PORT (and SMTP_USER/SMTP_PASSWORD if your server needs auth).');
+    }
+
+    const port = Number(process.env.SMTP_PORT) || 587;
+    const user = process.env.SMTP_USER;
+    const pass = process.env.SMTP_PASSWORD || process.env.SMTP_PASS;
+    const secure = process.env.SMTP_SECURE
+        ? ['1', 'true', 'yes'].includes(String(process.env.SMTP_SECURE).toLowerCase())
+        : port === 465;
+
+    smtpTransport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        // Local catchers like MailHog (port 1025) take mail without auth
+        auth: user ? { user, pass } : undefined
+    });
+    return smtpTransport;
+}
+
+async function sendEmailViaSmtp({ to, subject, html, text, headers }) {
+    const transport = getSmtpTransport();
+    const from = process.env.SMTP_FROM ||
+        `Flight Tracker <${process.env.SMTP_USER || 'flight-tracker@localhost'}>`;
+
+    const info = await transport.sendMail({ from, to, subject, html, text: text || undefined, headers });
+    return {
+        ok: true,
+        messageId: info.messageId,
+        accepted: info.accepted,
+        rejected: info.rejected,
+        response: info.response
+    };
+}
+
 async function sendEmailViaZapier({ to, subject, html, text, meta }) {
     const url = process.env.ZAPIER_WEBHOOK_URL;
     if (!url) {
@@ -31,11 +77,20 @@ async function sendEmailViaZapier({ to, subject, html, text, meta }) {
         meta: meta || {}
     };
 
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    });
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(ZAPIER_TIMEOUT_MS)
+        });
+    } catch (error) {
+        if (error?.name === 'TimeoutError') {
+            throw new Error(`Zapier webhook timed out after ${ZAPIER_TIMEOUT_MS / 1000}s`);
+        }
+        throw error;
+    }
 
     if (!response.ok) {
         const body = await response.text().catch(() => '');
@@ -45,10 +100,11 @@ async function sendEmailViaZapier({ to, subject, html, text, meta }) {
     return { ok: true };
 }
 
-function getEmailProvider() {
+export function getEmailProvider() {
     if (process.env.EMAIL_PROVIDER) return process.env.EMAIL_PROVIDER;
     if (process.env.ZAPIER_WEBHOOK_URL) return 'zapier';
     if (process.env.RESEND_API_KEY || process.env.RESEND_KEY) return 'resend';
+    if (process.env.SMTP_HOST) return 'smtp';
     return 'none';
 }
 
@@ -94,19 +150,77 @@ Reply with ONLY JSON:
     return { ok: true };
 }
 
-export async function sendPriceDropAlert({
-    to,
+// One-click unsubscribe (RFC 8058) for providers that let us set headers
+function getUnsubscribeHeaders(meta) {
+    if (!meta?.unsubscribeUrl) return undefined;
+    return {
+        'List-Unsubscribe': `<${meta.unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+}
+
+// Single dispatch point for every provider. Returns { provider, response }; throws on failure.
+export async function deliverEmail({ to, subject, html, text, meta }) {
+    const provider = getEmailProvider();
+    const headers = getUnsubscribeHeaders(meta);
+    let response;
+
+    if (provider === 'mcp') {
+        response = await sendEmailViaMcp({ to, subject, html, text });
+    } else if (provider === 'zapier') {
+        response = await sendEmailViaZapier({ to, subject, html, text, meta });
+    } else if (provider === 'smtp') {
+        response = await sendEmailViaSmtp({ to, subject, html, text, headers });
+    } else if (provider === 'resend') {
+        const resend = getResendClient();
+        response = await resend.emails.send({
+            from: 'Flight Tracker <onboarding@resend.dev>',
+            to: to,
+            subject,
+            html: html,
+            text: text || undefined,
+            headers
+        });
+        // The Resend SDK reports API failures in the result instead of throwing
+        if (response?.error) {
+            throw new Error(`Resend error: ${response.error.message || response.error.name || 'unknown'}`);
+        }
+    } else {
+        throw new Error('No email provider configured. Set ZAPIER_WEBHOOK_URL, RESEND_API_KEY or SMTP_HOST.');
+    }
+
+    return { provider, response };
+}
+
+// Pause/unsubscribe links (see notifications/preferences.js); omitted when the caller has none
+function renderFooterLinks({ unsubscribeUrl, pauseUrl }) {
+    if (!unsubscribeUrl && !pauseUrl) return '';
+    return html`
+        <p style="margin: 8px 0 0 0;">
+            ${pauseUrl ? html`<a href="${safeUrl(pauseUrl)}" style="color: #94a3b8;">Pause for a week</a>` : ''}
+            ${pauseUrl && unsubscribeUrl ? ' · ' : ''}
+            ${unsubscribeUrl ? html`<a href="${safeUrl(unsubscribeUrl)}" style="color: #94a3b8;">Unsubscribe</a>` : ''}
+        </p>
+    `;
+}
+
+export function renderPriceDropAlert({
     flightName,
     route,
     currentPrice,
     previousPrice,
     lowestPrice,
     airline,
+    itinerary,
+    priceInsight,
     checkUrl,
     analysis,
     flexSuggestion,
     context,
-    nextRunAt
+    nextRunAt,
+    reasons,
+    unsubscribeUrl,
+    pauseUrl
 }) {
     const safePrev = Number.isFinite(previousPrice) && previousPrice > 0 ? previousPrice : currentPrice;
     const percentDrop = safePrev ? (((safePrev - currentPrice) / safePrev) * 100).toFixed(1) : '0.0';
@@ -115,16 +229,16 @@ export async function sendPriceDropAlert({
     let insightsHtml = '';
     if (analysis && analysis.insights && analysis.insights.length > 0) {
         const topInsights = analysis.insights.slice(0, 3);
-        insightsHtml = `
+        insightsHtml = html`
             <div style="margin-top: 20px; padding: 16px; background: #fefce8; border-radius: 8px; border-left: 4px solid #eab308;">
                 <p style="margin: 0 0 12px 0; font-weight: 600; color: #854d0e; font-size: 14px;">🧠 Price Intelligence</p>
-                ${analysis.action ? `<p style="margin: 0 0 8px 0; font-weight: 600; color: #1e293b;">${analysis.action}: ${analysis.recommendation || ''}</p>` : ''}
-                ${topInsights.map(i => `<p style="margin: 4px 0; font-size: 13px; color: #64748b;">• ${i.text?.substring(0, 120) || ''}</p>`).join('')}
+                ${analysis.action ? html`<p style="margin: 0 0 8px 0; font-weight: 600; color: #1e293b;">${analysis.action}: ${analysis.recommendation || ''}</p>` : ''}
+                ${topInsights.map(i => html`<p style="margin: 4px 0; font-size: 13px; color: #64748b;">• ${i.text?.substring(0, 120) || ''}</p>`)}
             </div>
         `;
     }
 
-    const flexHtml = flexSuggestion ? `
+    const flexHtml = flexSuggestion ? html`
         <div style="margin-top: 16px; padding: 12px; background: #0f172a; border-radius: 8px; color: #e2e8f0;">
             <p style="margin: 0 0 6px 0; font-weight: 600; color: #f8fafc;">Flex ±5 Days</p>
             <p style="margin: 0; font-size: 13px; color: #cbd5f5;">
@@ -134,25 +248,41 @@ export async function sendPriceDropAlert({
         </div>
     ` : '';
 
-    const contextHtml = context?.headlines?.length ? `
+    const contextHtml = context?.headlines?.length ? html`
         <div style="margin-top: 16px; padding: 12px; background: #0f172a; border-radius: 8px; color: #e2e8f0;">
             <p style="margin: 0 0 6px 0; font-weight: 600; color: #f8fafc;">Travel Context</p>
-            ${context.holidayNote ? `<p style="margin: 0 0 8px 0; font-size: 13px; color: #facc15;">${context.holidayNote}</p>` : ''}
-            ${context.headlines.slice(0, 3).map(h => `
+            ${context.holidayNote ? html`<p style="margin: 0 0 8px 0; font-size: 13px; color: #facc15;">${context.holidayNote}</p>` : ''}
+            ${context.headlines.slice(0, 3).map(h => html`
                 <p style="margin: 4px 0; font-size: 13px;">
-                    • <a href="${h.url}" style="color:#93c5fd; text-decoration:none;">${h.title}</a>
+                    • <a href="${safeUrl(h.url)}" style="color:#93c5fd; text-decoration:none;">${h.title}</a>
                 </p>
-            `).join('')}
+            `)}
         </div>
     ` : '';
 
-    const nextRunHtml = nextRunAt ? `
+    const reasonsHtml = reasons?.length ? html`
+        <div style="margin-top: 16px; padding: 12px; background: #f0f9ff; border-radius: 8px; border-left: 4px solid #3b82f6;">
+            <p style="margin: 0 0 6px 0; font-weight: 600; color: #1e3a8a; font-size: 14px;">Why you're getting this</p>
+            ${reasons.map(r => html`<p style="margin: 4px 0; font-size: 13px; color: #334155;">• ${r}</p>`)}
+        </div>
+    ` : '';
+
+    // "nonstop 8h05, 4 seats left" when the provider reported an itinerary
+    const itineraryHtml = itinerary?.summary ? html`
+                    <p><strong>Flight:</strong> ${itinerary.summary}${itinerary.fare_brand ? ` · ${itinerary.fare_brand}` : ''}</p>` : '';
+
+    // Google's "is this a good price": low / typical / high against the route's usual range
+    const insightColor = { low: '#16a34a', typical: '#64748b', high: '#dc2626' }[priceInsight?.level];
+    const insightHtml = insightColor ? html`
+                    <p><strong>Google says:</strong> <span style="color: ${insightColor}; font-weight: 600;">${priceInsight.level}</span> for this route${priceInsight.typicalLow ? ` (usually $${priceInsight.typicalLow}–$${priceInsight.typicalHigh})` : ''}</p>` : '';
+
+    const nextRunHtml = nextRunAt ? html`
         <p style="margin-top: 16px; font-size: 12px; color: #94a3b8;">
             Next scheduled check: ${nextRunAt}
         </p>
     ` : '';
 
-    const html = `
+    const { html: body, text } = renderTemplate(html`
     <!DOCTYPE html>
     <html>
     <head>
@@ -186,11 +316,12 @@ export async function sendPriceDropAlert({
                 </div>
 
                 <div class="details">
-                    <p><strong>Airline:</strong> ${airline || 'Various'}</p>
+                    <p><strong>Airline:</strong> ${airline || 'Various'}</p>${itineraryHtml}${insightHtml}
                     <p><strong>All-time lowest:</strong> $${lowestPrice}</p>
-                    ${currentPrice <= lowestPrice ? '<p style="color: #22c55e; font-weight: bold;">✨ This is the lowest price we\'ve seen!</p>' : ''}
+                    ${currentPrice <= lowestPrice ? html`<p style="color: #22c55e; font-weight: bold;">✨ This is the lowest price we've seen!</p>` : ''}
                 </div>
 
+                ${reasonsHtml}
                 ${insightsHtml}
                 ${flexHtml}
                 ${contextHtml}
@@ -202,45 +333,64 @@ export async function sendPriceDropAlert({
             </div>
             <div class="footer">
                 Altitude Flight Tracker — Made with love for Mom 💛
+                ${renderFooterLinks({ unsubscribeUrl, pauseUrl })}
             </div>
         </div>
     </body>
     </html>
-    `;
-
-    const subject = `Price Drop! ${flightName} now $${currentPrice} (↓${percentDrop}%)`;
-    const provider = getEmailProvider();
+    `);
 
-    try {
-        if (provider === 'mcp') {
-            return await sendEmailViaMcp({ to, subject, html });
-        }
+    const subject = percentDrop > 0
+        ? `Price Drop! ${flightName} now $${currentPrice} (↓${percentDrop}%)`
+        : `Price Alert: ${flightName} now $${currentPrice}`;
 
-        if (provider === 'zapier') {
-            return await sendEmailViaZapier({ to, subject, html, meta: { flightName, route } });
-        }
+    return { subject, html: body, text, meta: { flightName, route, unsubscribeUrl } };
+}
 
-        if (provider === 'resend') {
-            const resend = getResendClient();
-            const result = await resend.emails.send({
-                from: 'Flight Tracker <onboarding@resend.dev>',
-                to: to,
-                subject,
-                html: html
-            });
-            console.log('Email sent:', result);
-            return result;
-        }
+export async function sendPriceDropAlert({ to, flightId, priceId, type = 'price_drop', ...alert }) {
+    const { subject, html, text, meta } = renderPriceDropAlert(alert);
+    const provider = getEmailProvider();
+    let result;
 
-        throw new Error('No email provider configured. Set ZAPIER_WEBHOOK_URL or RESEND_API_KEY.');
+    try {
+        ({ response: result } = await deliverEmail({ to, subject, html, text, meta }));
+        console.log('Email sent:', result);
     } catch (error) {
         console.error('Email error:', error);
+        await logDelivery({ flightId, priceId, type, to, provider, subject, status: 'failed', error });
         throw error;
     }
+
+    await logDelivery({ flightId, priceId, type, to, provider, subject, status: 'sent', response: result });
+    return result;
 }
 
-export async function sendWeeklySummary({ to, flights }) {
-    const html = `
+// Record the attempt in the notifications table. Callers without DB access
+// (scripts/local-agent.js) omit flightId and report back through their job instead.
+async function logDelivery({ flightId, priceId, type, to, provider, subject, status, response, error }) {
+    if (!flightId) return;
+    try {
+        await recordNotification({
+            flight_id: flightId,
+            price_id: priceId || null,
+            type,
+            channel: 'email',
+            recipient: to,
+            provider,
+            provider_response: response || null,
+            status,
+            message: subject,
+            error_text: error ? (error.message || String(error)) : null
+        });
+    } catch (e) {
+        console.error('[Notifications] Could not record delivery:', e.message);
+    }
+}
+
+export function renderWeeklySummary({ flights, frequency = 'weekly', unsubscribeUrl, pauseUrl }) {
+    const title = frequency === 'daily' ? 'Daily Flight Summary' : 'Weekly Flight Summary';
+    const subject = frequency === 'daily' ? 'Your Daily Flight Price Summary' : 'Your Weekly Flight Price Summary';
+    const { html: body, text } = renderTemplate(html`
     <!DOCTYPE html>
     <html>
     <head>
@@ -261,10 +411,10 @@ export async function sendWeeklySummary({ to, flights }) {
     <body>
         <div class="container">
             <div class="header">
-                <h1>Weekly Flight Summary</h1>
+                <h1>${title}</h1>
             </div>
             <div class="content">
-                ${flights.map(f => `
+                ${flights.map(f => html`
                     <div class="flight">
                         <div style="display: flex; justify-content: space-between; align-items: center;">
                             <div>
@@ -272,40 +422,31 @@ export async function sendWeeklySummary({ to, flights }) {
                                 <div class="flight-route">${f.route}</div>
                             </div>
                             <div style="text-align: right;">
-                                <div class="flight-price">$${f.currentPrice}</div>
+                                <div class="flight-price">${f.currentPrice ? `$${f.currentPrice}` : '—'}</div>
                                 <div class="price-trend">${f.trend}</div>
                             </div>
                         </div>
                     </div>
-                `).join('')}
+                `)}
             </div>
             <div class="footer">
                 Flight Tracker - Made with love for you
+                ${renderFooterLinks({ unsubscribeUrl, pauseUrl })}
             </div>
         </div>
     </body>
     </html>
-    `;
+    `);
 
-    const provider = getEmailProvider();
-
-    try {
-        if (provider === 'zapier') {
-            return await sendEmailViaZapier({ to, subject: 'Your Weekly Flight Price Summary', html, meta: { type: 'weekly' } });
-        }
+    return { subject, html: body, text, meta: { type: frequency, unsubscribeUrl } };
+}
 
-        if (provider === 'resend') {
-            const resend = getResendClient();
-            const result = await resend.emails.send({
-                from: 'Flight Tracker <onboarding@resend.dev>',
-                to: to,
-                subject: 'Your Weekly Flight Price Summary',
-                html: html
-            });
-            return result;
-        }
+export async function sendWeeklySummary({ to, flights, frequency = 'weekly', unsubscribeUrl, pauseUrl }) {
+    const { subject, html, text, meta } = renderWeeklySummary({ flights, frequency, unsubscribeUrl, pauseUrl });
 
-        throw new Error('No email provider configured. Set ZAPIER_WEBHOOK_URL or RESEND_API_KEY.');
+    try {
+        const { response } = await deliverEmail({ to, subject, html, text, meta });
+        return response;
     } catch (error) {
         console.error('Email error:', error);
         throw error;
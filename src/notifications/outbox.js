@@ -0,0 +1,178 @@
+/**
+ * Email Outbox
+ *
+ * Composed emails are stored in email_outbox and delivered by a worker,
+ * so a provider outage delays an alert instead of losing it.
+ * Failed sends are retried with exponential backoff; after max attempts
+ * the message is parked as 'dead' until someone retries it via the API.
+ * Chat/webhook alerts held by quiet hours wait here too (rows with a channel_id).
+ */
+
+import {
+    enqueueOutboxEmail,
+    claimOutboxEmails,
+    updateOutboxEmail,
+    recordNotification,
+    updateNotification
+} from '../db/postgres.js';
+import { deliverEmail, renderPriceDropAlert, renderWeeklySummary } from './email.js';
+import { deliverChannelAlert } from './channels.js';
+import { getRecipientLinks } from './preferences.js';
+
+const BACKOFF_BASE_MS = Number(process.env.OUTBOX_BACKOFF_BASE_MS || 60 * 1000);
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 6);
+const POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS || 30 * 1000);
+
+let workerTimer = null;
+let draining = null;
+
+// 1m, 2m, 4m, 8m... capped at 6h
+export function getBackoffMs(attempts) {
+    return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+}
+
+// After a failed attempt: back off and stay queued, or go 'dead' once the attempts are used up
+export function getRetryState(attempts, maxAttempts = MAX_ATTEMPTS, now = Date.now()) {
+    const dead = attempts >= (maxAttempts || MAX_ATTEMPTS);
+    return {
+        status: dead ? 'dead' : 'queued',
+        next_attempt_at: dead ? null : new Date(now + getBackoffMs(attempts)).toISOString()
+    };
+}
+
+// notBefore holds the message until then (recipient quiet hours)
+export async function enqueueEmail({ to, subject, html, text, meta, flightId = null, priceId = null, type, notBefore = null }) {
+    // Flight emails get a notifications row right away so dedup sees them while queued
+    let notificationId = null;
+    if (flightId) {
+        notificationId = await recordNotification({
+            flight_id: flightId,
+            price_id: priceId,
+            type,
+            channel: 'email',
+            recipient: to,
+            status: 'queued',
+            message: subject
+        });
+    }
+
+    const outboxId = await enqueueOutboxEmail({
+        flight_id: flightId,
+        price_id: priceId,
+        notification_id: notificationId,
+        type,
+        recipient: to,
+        subject,
+        html,
+        text_body: text,
+        meta,
+        max_attempts: MAX_ATTEMPTS,
+        next_attempt_at: notBefore ? new Date(notBefore).toISOString() : null
+    });
+
+    console.log(`[Outbox] Queued #${outboxId} (${type}) for ${to}${notBefore ? ` - held until ${new Date(notBefore).toISOString()}` : ''}`);
+    return outboxId;
+}
+
+export async function queuePriceDropAlert({ to, flightId, priceId, type = 'price_drop', notBefore = null, ...alert }) {
+    const links = await getRecipientLinks(to);
+    const { subject, html, text, meta } = renderPriceDropAlert({ ...alert, ...links });
+    return enqueueEmail({ to, subject, html, text, meta, flightId, priceId, type, notBefore });
+}
+
+export async function queueWeeklySummary({ to, flights, frequency = 'weekly', notBefore = null }) {
+    const links = await getRecipientLinks(to);
+    const { subject, html, text, meta } = renderWeeklySummary({ flights, frequency, ...links });
+    return enqueueEmail({ to, subject, html, text, meta, type: `${frequency}_digest`, notBefore });
+}
+
+async function sendOutboxEmail(message) {
+    const attempts = (message.attempts || 0) + 1;
+    let meta = null;
+    try {
+        meta = message.meta_json ? JSON.parse(message.meta_json) : null;
+    } catch {
+        meta = null;
+    }
+
+    try {
+        const { provider, response } = message.channel_id
+            ? await deliverChannelAlert(message.channel_id, meta?.alert)
+            : await deliverEmail({
+                to: message.recipient,
+                subject: message.subject,
+                html: message.html,
+                text: message.text_body,
+                meta
+            });
+
+        const sentAt = new Date().toISOString();
+        await updateOutboxEmail(message.id, {
+            status: 'sent',
+            attempts,
+            locked_at: null,
+            last_error: null,
+            provider,
+            provider_response: response || null,
+            sent_at: sentAt
+        });
+        if (message.notification_id) {
+            await updateNotification(message.notification_id, {
+                status: 'sent',
+                provider,
+                provider_response: response || null,
+                error_text: null,
+                sent_at: sentAt
+            });
+        }
+
+        console.log(`[Outbox] Sent #${message.id} to ${message.recipient} via ${provider}`);
+        return { id: message.id, status: 'sent' };
+    } catch (error) {
+        const errorText = error?.message || String(error);
+        const retry = getRetryState(attempts, message.max_attempts);
+        const dead = retry.status === 'dead';
+
+        await updateOutboxEmail(message.id, {
+            ...retry,
+            attempts,
+            locked_at: null,
+            last_error: errorText
+        });
+        if (dead && message.notification_id) {
+            await updateNotification(message.notification_id, { status: 'failed', error_text: errorText });
+        }
+
+        console.error(`[Outbox] #${message.id} attempt ${attempts} failed${dead ? ' (dead)' : ''}: ${errorText}`);
+        return { id: message.id, status: dead ? 'dead' : 'retrying', error: errorText };
+    }
+}
+
+/**
+ * Send everything that is due. Pass { id } to try a single message right away.
+ * Returns one { id, status, error? } per message attempted.
+ */
+export async function processOutbox({ limit = 20, id = null } = {}) {
+    const results = [];
+    const batch = await claimOutboxEmails({ limit, id });
+    for (const message of batch) {
+        results.push(await sendOutboxEmail(message));
+    }
+    return results;
+}
+
+// Background loop; only one drain runs at a time
+export function startOutboxWorker() {
+    if (workerTimer) return;
+
+    const tick = () => {
+        if (draining) return;
+        draining = processOutbox()
+            .catch(error => console.error('[Outbox] Worker error:', error.message))
+            .finally(() => { draining = null; });
+    };
+
+    workerTimer = setInterval(tick, POLL_INTERVAL_MS);
+    console.log(`[Outbox] Worker started - polling every ${POLL_INTERVAL_MS}ms`);
+}
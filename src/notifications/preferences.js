@@ -0,0 +1,225 @@
+/**
+ * Recipient Preferences
+ *
+ * Every address we email gets a row in recipients (created on first send) with:
+ *   status      active | paused | unsubscribed (paused_until ends a pause)
+ *   frequency   instant | daily (at most one alert per 24h) | off (digests only)
+ *   channel     all | email | webhook | slack | discord | telegram | ntfy
+ *   quiet hours HH:MM-HH:MM in the recipient's timezone; emails and channel alerts wait until they end
+ *
+ * Emails carry signed unsubscribe/pause links handled by GET /api/unsubscribe/:token.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { ensureRecipient, getRecipient, updateRecipient } from '../db/postgres.js';
+import { CHANNELS } from './channels.js';
+
+export const ALERT_FREQUENCIES = ['instant', 'daily', 'off'];
+export const RECIPIENT_STATUSES = ['active', 'paused', 'unsubscribed'];
+export const CHANNEL_PREFERENCES = ['all', 'email', ...Object.keys(CHANNELS)];
+export const LINK_ACTIONS = ['unsubscribe', 'pause', 'resume'];
+
+export const PAUSE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export function getDefaultTimezone() {
+    return process.env.CRON_TZ || 'America/New_York';
+}
+
+export function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Returns an error string, or null when the patch is valid
+export function validatePreferences(patch = {}) {
+    if (patch.status !== undefined && !RECIPIENT_STATUSES.includes(patch.status)) {
+        return `Status must be one of: ${RECIPIENT_STATUSES.join(', ')}`;
+    }
+    if (patch.frequency !== undefined && !ALERT_FREQUENCIES.includes(patch.frequency)) {
+        return `Frequency must be one of: ${ALERT_FREQUENCIES.join(', ')}`;
+    }
+    if (patch.channel !== undefined && !CHANNEL_PREFERENCES.includes(patch.channel)) {
+        return `Channel must be one of: ${CHANNEL_PREFERENCES.join(', ')}`;
+    }
+    if (patch.timezone && !isValidTimezone(patch.timezone)) {
+        return 'Timezone must be an IANA name like America/New_York';
+    }
+    for (const key of ['quiet_hours_start', 'quiet_hours_end']) {
+        if (patch[key] && !TIME_PATTERN.test(patch[key])) {
+            return `${key} must be HH:MM (24h)`;
+        }
+    }
+    if (Boolean(patch.quiet_hours_start) !== Boolean(patch.quiet_hours_end)
+        && (patch.quiet_hours_start !== undefined || patch.quiet_hours_end !== undefined)) {
+        return 'Set both quiet_hours_start and quiet_hours_end (or clear both)';
+    }
+    if (patch.paused_until && Number.isNaN(new Date(patch.paused_until).getTime())) {
+        return 'paused_until must be a date';
+    }
+    return null;
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Minutes since midnight on the recipient's wall clock
+function getLocalMinutes(now, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now);
+    const get = type => Number(parts.find(p => p.type === type)?.value || 0);
+    return get('hour') * 60 + get('minute');
+}
+
+/**
+ * When quiet hours are on right now, the Date they end; otherwise null.
+ * Windows may wrap midnight (22:00-07:00).
+ */
+export function getQuietHoursEnd(recipient, now = new Date()) {
+    const { quiet_hours_start: start, quiet_hours_end: end } = recipient || {};
+    if (!start || !end || start === end) return null;
+
+    const timezone = recipient.timezone && isValidTimezone(recipient.timezone) ? recipient.timezone : getDefaultTimezone();
+    const current = getLocalMinutes(now, timezone);
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+
+    const inside = from < to ? current >= from && current < to : current >= from || current < to;
+    if (!inside) return null;
+
+    const minutesLeft = (to - current + 24 * 60) % (24 * 60);
+    const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    endsAt.setSeconds(0, 0);
+    return endsAt;
+}
+
+export function isPaused(recipient, now = new Date()) {
+    if (!recipient) return false;
+    if (recipient.status === 'unsubscribed') return true;
+    if (recipient.status !== 'paused') return false;
+    return !recipient.paused_until || new Date(recipient.paused_until) > now;
+}
+
+/**
+ * Decide whether a notification may go to a recipient.
+ *
+ * @param {Object|null} recipient - recipients row (null = no preferences, allow)
+ * @param {Object} options
+ * @param {string} options.kind - 'alert' (rule-triggered), 'manual' (/notify) or 'digest'
+ * @param {string} options.channel - 'email' or a channel name
+ * @param {string|null} options.lastAlertAt - when the recipient last got an alert
+ * @returns {{ allow: boolean, reason: string|null, deferUntil: Date|null }}
+ */
+export function checkDelivery(recipient, { kind = 'alert', channel = 'email', lastAlertAt = null, now = new Date() } = {}) {
+    const deny = reason => ({ allow: false, reason, deferUntil: null });
+    if (!recipient) return { allow: true, reason: null, deferUntil: null };
+
+    if (recipient.status === 'unsubscribed') return deny('unsubscribed');
+    if (isPaused(recipient, now)) {
+        return deny(recipient.paused_until ? `paused until ${new Date(recipient.paused_until).toISOString()}` : 'paused');
+    }
+
+    const preferred = recipient.channel || 'all';
+    if (preferred !== 'all' && preferred !== channel) return deny(`prefers ${preferred}`);
+
+    // Manual sends were asked for explicitly, so the frequency cap doesn't apply
+    if (kind === 'alert') {
+        if (recipient.frequency === 'off') return deny('alerts off (digests only)');
+        if (recipient.frequency === 'daily' && lastAlertAt && now - new Date(lastAlertAt) < DAY_MS) {
+            return deny('already alerted in the last 24h');
+        }
+    }
+
+    return { allow: true, reason: null, deferUntil: getQuietHoursEnd(recipient, now) };
+}
+
+// ==================== SIGNED LINKS ====================
+
+export function getPublicBaseUrl() {
+    if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+    if (process.env.RAILWAY_PUBLIC_DOMAIN) return `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
+    return `http://localhost:${process.env.PORT || 3000}`;
+}
+
+function sign(recipient, action) {
+    return createHmac('sha256', recipient.link_secret)
+        .update(`${recipient.id}:${action}`)
+        .digest('base64url')
+        .slice(0, 32);
+}
+
+// Tokens are "<recipientId>.<action>.<signature>", signed with the recipient's own secret
+export function createRecipientToken(recipient, action) {
+    return `${recipient.id}.${action}.${sign(recipient, action)}`;
+}
+
+export function getRecipientLinkUrls(recipient) {
+    const base = getPublicBaseUrl();
+    return {
+        unsubscribeUrl: `${base}/api/unsubscribe/${createRecipientToken(recipient, 'unsubscribe')}`,
+        pauseUrl: `${base}/api/unsubscribe/${createRecipientToken(recipient, 'pause')}`
+    };
+}
+
+// Links for the footer of an email to this address
+export async function getRecipientLinks(email) {
+    return getRecipientLinkUrls(await ensureRecipient(email));
+}
+
+function parseRecipientToken(token) {
+    const [id, action, signature] = String(token || '').split('.');
+    if (!LINK_ACTIONS.includes(action) || !/^\d+$/.test(id || '') || !signature) return null;
+    return { recipientId: parseInt(id), action, signature };
+}
+
+/**
+ * Check a link token against the recipient row it names.
+ * Returns the token's action, or null when it is malformed, names someone else
+ * or wasn't signed with the recipient's current secret.
+ */
+export function verifyRecipientToken(token, recipient) {
+    const parsed = parseRecipientToken(token);
+    if (!parsed || !recipient || Number(recipient.id) !== parsed.recipientId) return null;
+
+    const expected = Buffer.from(sign(recipient, parsed.action));
+    const given = Buffer.from(parsed.signature);
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+    return parsed.action;
+}
+
+/**
+ * Verify a link token and apply its action.
+ * Returns { recipient, action } or null when the token is invalid.
+ */
+export async function applyRecipientToken(token, now = new Date()) {
+    const parsed = parseRecipientToken(token);
+    if (!parsed) return null;
+
+    const recipient = await getRecipient(parsed.recipientId);
+    const action = verifyRecipientToken(token, recipient);
+    if (!action) return null;
+
+    let fields;
+    if (action === 'unsubscribe') {
+        fields = { status: 'unsubscribed', paused_until: null };
+    } else if (action === 'pause') {
+        fields = { status: 'paused', paused_until: new Date(now.getTime() + PAUSE_DAYS * DAY_MS).toISOString() };
+    } else {
+        fields = { status: 'active', paused_until: null };
+    }
+
+    const updated = await updateRecipient(recipient.id, fields);
+    console.log(`[Recipients] ${recipient.email}: ${action}`);
+    return { recipient: updated, action };
+}
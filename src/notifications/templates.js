@@ -0,0 +1,104 @@
+/**
+ * Email Templates
+ *
+ * Tiny templating layer for the emails in email.js:
+ *   html`<p>${value}</p>`  escapes every interpolated value unless it is
+ *                           itself an html`` fragment.
+ *   htmlToText(html)        plain-text alternative from the same markup.
+ *
+ * Flight names, airline names, analysis insights and GDELT headlines are all
+ * user or third-party input, so nothing goes into an email un-escaped.
+ */
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+    let out = strings[0];
+    for (let i = 0; i < values.length; i++) {
+        out += renderValue(values[i]) + strings[i + 1];
+    }
+    return new SafeHtml(out);
+}
+
+// Only http(s)/mailto links make it into an href; anything else (javascript:, data:) becomes '#'
+export function safeUrl(url) {
+    const value = String(url || '').trim();
+    return /^(https?:|mailto:)/i.test(value) ? value : '#';
+}
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': ' '
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity]);
+}
+
+// Marks the blank line kept after headings (other blank lines are dropped)
+const HEADING_BREAK = '\uE000';
+
+/**
+ * Plain-text version of a rendered template: block elements become lines,
+ * headings are followed by a blank line, links become "label (url)".
+ */
+export function htmlToText(markup) {
+    return decodeEntities(String(markup)
+        .replace(/<!DOCTYPE[^>]*>/gi, '')
+        .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/\s+/g, ' ')
+        .replace(/<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const text = label.replace(/<[^>]+>/g, '').trim();
+            return href && href !== '#' && decodeEntities(href) !== decodeEntities(text) ? `${text} (${href})` : text;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/h[1-6]>/gi, `\n${HEADING_BREAK}\n`)
+        .replace(/<\/?(p|div|li|tr)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, ''))
+        .split('\n')
+        .map(line => line.replace(/ {2,}/g, ' ').trim())
+        .filter(Boolean)
+        .map(line => (line === HEADING_BREAK ? '' : line))
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Render a template function into the { html, text } pair every email sends.
+ * @param {SafeHtml} fragment - result of an html`` template
+ */
+export function renderTemplate(fragment) {
+    const markup = String(fragment);
+    return { html: markup, text: htmlToText(markup) };
+}
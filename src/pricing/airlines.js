@@ -0,0 +1,151 @@
+/**
+ * Airline Preferences
+ *
+ * flights.preferred_airline is a comma-separated list of acceptable carriers: airline names
+ * ("Delta", "Air France"), IATA codes ("DL", "AF") and/or alliances ("SkyTeam", "Star Alliance",
+ * "oneworld"). Empty or "any" means no preference.
+ *
+ * Providers use the parsed preference differently: Amadeus searches only those carriers
+ * (includedAirlineCodes; names without a known code can't be searched), Google Flights prices
+ * the cheapest matching card and falls back to the cheapest overall. Either way the quote says
+ * whether a preferred carrier was found, or null when that can't be told.
+ */
+
+const AIRLINE_CODE_MAP = {
+    delta: 'DL',
+    united: 'UA',
+    american: 'AA',
+    southwest: 'WN',
+    alaska: 'AS',
+    jetblue: 'B6',
+    spirit: 'NK',
+    frontier: 'F9',
+    hawaiian: 'HA',
+    'sun country': 'SY',
+    allegiant: 'G4',
+    'british airways': 'BA',
+    lufthansa: 'LH',
+    'air france': 'AF',
+    iberia: 'IB',
+    turkish: 'TK',
+    klm: 'KL',
+    emirates: 'EK',
+    qatar: 'QR',
+    etihad: 'EY',
+    'virgin atlantic': 'VS',
+    'air canada': 'AC',
+    westjet: 'WS',
+    'aer lingus': 'EI',
+    'air europa': 'UX',
+    icelandair: 'FI',
+    swiss: 'LX',
+    austrian: 'OS',
+    brussels: 'SN',
+    'tap air portugal': 'TP',
+    finnair: 'AY',
+    sas: 'SK',
+    ita: 'AZ',
+    aeromexico: 'AM',
+    copa: 'CM',
+    avianca: 'AV',
+    latam: 'LA',
+    qantas: 'QF',
+    'japan airlines': 'JL',
+    ana: 'NH',
+    'cathay pacific': 'CX',
+    singapore: 'SQ',
+    'korean air': 'KE'
+};
+
+// Google and the airlines themselves append these ("Delta Air Lines", "Turkish Airlines")
+const NAME_SUFFIX = /\s+(air lines|airlines|airline|airways)$/i;
+
+// Member carriers, keyed by the alliance names tfs.js understands
+const ALLIANCE_MEMBERS = {
+    STAR_ALLIANCE: ['A3', 'AC', 'CA', 'AI', 'NZ', 'NH', 'OZ', 'OS', 'AV', 'SN', 'CM', 'OU', 'MS', 'ET', 'BR', 'LO', 'LH', 'SQ', 'SA', 'LX', 'TP', 'TG', 'TK', 'UA', 'ZH'],
+    SKYTEAM: ['AR', 'AM', 'UX', 'AF', 'CI', 'MU', 'DL', 'GA', 'KQ', 'KL', 'KE', 'ME', 'SV', 'SK', 'RO', 'VN', 'VS', 'MF'],
+    ONEWORLD: ['AS', 'AA', 'BA', 'CX', 'AY', 'IB', 'JL', 'MH', 'QF', 'QR', 'AT', 'RJ', 'UL', 'WY', 'FJ']
+};
+
+const NO_PREFERENCE = new Set(['any', 'none', 'cheapest']);
+
+/**
+ * An airline name or IATA code as the IATA code, or null when the name isn't known.
+ */
+export function normalizeAirlineCode(value) {
+    if (!value) return null;
+    const v = String(value).trim();
+    if (!v) return null;
+    const code = v.toUpperCase();
+    if (/^[A-Z0-9]{2}$/.test(code)) return code;
+    const name = v.toLowerCase();
+    return AIRLINE_CODE_MAP[name] || AIRLINE_CODE_MAP[name.replace(NAME_SUFFIX, '')] || null;
+}
+
+// "Star Alliance", "star_alliance", "SkyTeam", "oneworld" -> the ALLIANCE_MEMBERS key
+function normalizeAlliance(value) {
+    const key = String(value || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+    return ALLIANCE_MEMBERS[key] ? key : null;
+}
+
+/**
+ * Parse flights.preferred_airline.
+ * @returns {{ entries: string[], airlines: string[], alliances: string[], codes: string[], names: string[] }|null}
+ *   airlines: IATA codes given directly or by name; alliances: ALLIANCE_MEMBERS keys;
+ *   codes: every acceptable carrier (airlines plus alliance members); names: the entries
+ *   as typed (lower case), matched as whole words in carrier names. null = any airline.
+ */
+export function parseAirlinePreference(value) {
+    const entries = String(value || '')
+        .split(',')
+        .map(s => s.trim())
+        .filter(s => s && !NO_PREFERENCE.has(s.toLowerCase()));
+    if (!entries.length) return null;
+
+    const airlines = [];
+    const alliances = [];
+    const names = [];
+    for (const entry of entries) {
+        const alliance = normalizeAlliance(entry);
+        if (alliance) {
+            alliances.push(alliance);
+            continue;
+        }
+        const code = normalizeAirlineCode(entry);
+        if (code) airlines.push(code);
+        if (entry.length > 2) names.push(entry.toLowerCase());
+    }
+
+    const codes = [...new Set([...airlines, ...alliances.flatMap(a => ALLIANCE_MEMBERS[a])])];
+    return { entries, airlines: [...new Set(airlines)], alliances, codes, names };
+}
+
+// Whole-word match, so "ana" doesn't match "Air Canada" but "delta" matches "Delta Connection"
+function containsWords(text, words) {
+    const escaped = words.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(text);
+}
+
+/**
+ * Whether any of a fare's carriers (names or IATA codes) is acceptable under a parsed preference.
+ * Without a preference every fare matches.
+ */
+export function matchesAirlinePreference(carriers, preference) {
+    if (!preference) return true;
+    return (carriers || []).filter(Boolean).some(carrier => {
+        const code = normalizeAirlineCode(carrier);
+        if (code && preference.codes.includes(code)) return true;
+        const name = String(carrier).toLowerCase();
+        return preference.names.some(wanted => containsWords(name, wanted));
+    });
+}
+
+/**
+ * For providers that report carriers only as IATA codes (Amadeus): whether a fare's carriers are
+ * acceptable, or null when there's no preference or none of it resolves to a code (an unknown
+ * airline name), since then the codes can't tell either way.
+ */
+export function matchesAirlinePreferenceByCode(codes, preference) {
+    if (!preference?.codes.length) return null;
+    return (codes || []).some(code => preference.codes.includes(normalizeAirlineCode(code)));
+}
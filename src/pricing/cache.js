@@ -0,0 +1,76 @@
+/**
+ * Quote Cache
+ *
+ * Short-lived, in-memory cache of provider quotes keyed on the normalized search
+ * (route, dates, cabin, passengers, preferred airline, itinerary constraints). Flights
+ * that share a search, and flex scans that overlap the main check, reuse a quote instead
+ * of launching another browser or API call.
+ *
+ * QUOTE_CACHE_TTL_MINUTES (default 30; 0 disables). Only quotes with a price are cached.
+ */
+
+import { CONSTRAINT_FIELDS } from './constraints.js';
+
+const MAX_ENTRIES = 500;
+const cache = new Map();
+
+export function getQuoteCacheTtlMs() {
+    const value = Number(process.env.QUOTE_CACHE_TTL_MINUTES);
+    return (Number.isFinite(value) && value >= 0 ? value : 30) * 60 * 1000;
+}
+
+// Same trip searched the same way -> same key, whatever flight row it came from
+export function getSearchKey(flight) {
+    const airline = String(flight.preferred_airline || '').trim().toLowerCase();
+    return [
+        String(flight.origin || '').trim().toUpperCase(),
+        String(flight.destination || '').trim().toUpperCase(),
+        String(flight.departure_date || '').slice(0, 10),
+        String(flight.return_date || '').slice(0, 10),
+        String(flight.cabin_class || 'economy').trim().toLowerCase(),
+        Number(flight.passengers) || 1,
+        airline === 'any' ? '' : airline,
+        // Itinerary constraints (constraints.js) change which fare is priced
+        ...CONSTRAINT_FIELDS.map(key => String(flight[key] ?? '').trim().toLowerCase())
+    ].join('|');
+}
+
+function getEntryKey(provider, flight) {
+    return `${provider}:${getSearchKey(flight)}`;
+}
+
+/**
+ * @returns {{ quote: Object, cachedAt: number }|null}
+ */
+export function getCachedQuote(provider, flight, now = Date.now()) {
+    const key = getEntryKey(provider, flight);
+    const entry = cache.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+        cache.delete(key);
+        return null;
+    }
+    return { quote: entry.quote, cachedAt: entry.cachedAt };
+}
+
+export function cacheQuote(provider, flight, quote, now = Date.now()) {
+    const ttl = getQuoteCacheTtlMs();
+    if (!ttl || !quote?.price) return;
+
+    if (cache.size >= MAX_ENTRIES) {
+        for (const [key, entry] of cache) {
+            if (entry.expiresAt <= now) cache.delete(key);
+        }
+        // Still full: drop the oldest entries (Map keeps insertion order)
+        for (const key of cache.keys()) {
+            if (cache.size < MAX_ENTRIES) break;
+            cache.delete(key);
+        }
+    }
+
+    cache.set(getEntryKey(provider, flight), { quote, cachedAt: now, expiresAt: now + ttl });
+}
+
+export function clearQuoteCache() {
+    cache.clear();
+}
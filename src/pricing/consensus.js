@@ -0,0 +1,59 @@
+/**
+ * Consensus Price
+ *
+ * A check run asks every enabled provider for a quote; this picks the one we store
+ * as the flight's price and says why:
+ *   one quote              -> that quote
+ *   quotes agree (spread <= CONSENSUS_TOLERANCE_PERCENT, default 5%) -> the lowest
+ *   two quotes disagree    -> the first in the flight's provider order (the one we trust most)
+ *   three or more disagree -> the median, so one bad scrape can't move the price
+ */
+
+export function getConsensusTolerance() {
+    const value = Number(process.env.CONSENSUS_TOLERANCE_PERCENT);
+    return Number.isFinite(value) && value >= 0 ? value : 5;
+}
+
+function formatPrice(quote) {
+    return `$${Math.round(quote.price)} from ${quote.provider}`;
+}
+
+/**
+ * @param {Array<{provider: string, price: number}>} quotes - in provider order
+ * @returns {{ quote: Object, reason: string, spreadPercent: number }|null}
+ */
+export function chooseConsensus(quotes, { tolerancePercent = getConsensusTolerance() } = {}) {
+    const valid = (quotes || []).filter(q => Number.isFinite(q?.price) && q.price > 0);
+    if (!valid.length) return null;
+    if (valid.length === 1) {
+        return { quote: valid[0], reason: `Only ${valid[0].provider} returned a price`, spreadPercent: 0 };
+    }
+
+    const byPrice = [...valid].sort((a, b) => a.price - b.price);
+    const lowest = byPrice[0];
+    const highest = byPrice[byPrice.length - 1];
+    const spreadPercent = Math.round(((highest.price - lowest.price) / lowest.price) * 1000) / 10;
+
+    if (spreadPercent <= tolerancePercent) {
+        return {
+            quote: lowest,
+            reason: `${valid.length} providers agree within ${spreadPercent}%; using the lowest (${formatPrice(lowest)})`,
+            spreadPercent
+        };
+    }
+
+    if (valid.length === 2) {
+        return {
+            quote: valid[0],
+            reason: `Providers disagree by ${spreadPercent}% (${valid.map(formatPrice).join(' vs ')}); using ${valid[0].provider}, first in the provider order`,
+            spreadPercent
+        };
+    }
+
+    const median = byPrice[Math.floor((byPrice.length - 1) / 2)];
+    return {
+        quote: median,
+        reason: `Providers disagree by ${spreadPercent}%; using the median of ${valid.length} quotes (${formatPrice(median)})`,
+        spreadPercent
+    };
+}
@@ -0,0 +1,136 @@
+/**
+ * Itinerary Constraints
+ *
+ * Per-flight limits on what counts as a bookable fare, stored on the flight row:
+ *   excluded_airlines     comma-separated names, IATA codes and/or alliances (as preferred_airline)
+ *   max_stops             0 = nonstop only
+ *   max_duration_minutes  total travel time
+ *   departure_window      "HH:MM-HH:MM" local departure time; "22:00-06:00" wraps past midnight
+ *   arrival_window        "HH:MM-HH:MM" local arrival time
+ *
+ * Providers apply them where they can (Amadeus nonStop/excludedAirlineCodes, the Google tfs
+ * stops filter) and every fare is checked with getConstraintViolation() before it's priced.
+ * Stops, duration and times are those of the outbound leg. A fare missing a field (e.g. a
+ * Google card without times) isn't rejected for it.
+ */
+
+import { parseAirlinePreference, matchesAirlinePreference } from './airlines.js';
+
+export const CONSTRAINT_FIELDS = ['excluded_airlines', 'max_stops', 'max_duration_minutes', 'departure_window', 'arrival_window'];
+
+const WINDOW = /^([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function parseCount(value) {
+    if (isBlank(value)) return null;
+    const num = Number(value);
+    return Number.isInteger(num) && num >= 0 ? num : NaN;
+}
+
+// "06:00-21:00" -> { start: 360, end: 1260 } (minutes after midnight); null when blank, NaN when invalid
+function parseWindow(value) {
+    if (isBlank(value)) return null;
+    const match = String(value).trim().match(WINDOW);
+    if (!match) return NaN;
+    const [, h1, m1, h2, m2] = match.map(Number);
+    return { start: h1 * 60 + m1, end: h2 * 60 + m2 };
+}
+
+function formatWindow({ start, end }) {
+    const hhmm = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    return `${hhmm(start)}-${hhmm(end)}`;
+}
+
+/**
+ * Check the constraint fields of a flight create/update body.
+ * @returns {string[]} error messages (empty when valid)
+ */
+export function validateFlightConstraints(body = {}) {
+    const errors = [];
+    const maxStops = parseCount(body.max_stops);
+    if (Number.isNaN(maxStops) || maxStops > 3) errors.push('Max stops must be 0, 1, 2 or 3');
+    const maxDuration = parseCount(body.max_duration_minutes);
+    if (Number.isNaN(maxDuration) || maxDuration === 0) errors.push('Max duration must be a positive number of minutes');
+    if (Number.isNaN(parseWindow(body.departure_window))) errors.push('Departure window must look like 06:00-21:00');
+    if (Number.isNaN(parseWindow(body.arrival_window))) errors.push('Arrival window must look like 06:00-23:00');
+    return errors;
+}
+
+/**
+ * The constraint fields present in a (validated) body, normalized for storage; blank clears a constraint.
+ */
+export function parseConstraintFields(body = {}) {
+    const fields = {};
+    for (const key of CONSTRAINT_FIELDS) {
+        if (body[key] === undefined) continue;
+        if (key === 'excluded_airlines') {
+            fields[key] = parseAirlinePreference(body[key])?.entries.join(', ') || null;
+        } else if (key === 'max_stops' || key === 'max_duration_minutes') {
+            fields[key] = parseCount(body[key]);
+        } else {
+            const window = parseWindow(body[key]);
+            fields[key] = window ? formatWindow(window) : null;
+        }
+    }
+    return fields;
+}
+
+/**
+ * A flight row's constraints, or null when it has none.
+ * @returns {{ excluded: Object|null, maxStops: number|null, maxDurationMinutes: number|null,
+ *            departureWindow: { start: number, end: number }|null, arrivalWindow: { start: number, end: number }|null }|null}
+ */
+export function getFlightConstraints(flight = {}) {
+    // Invalid stored values (NaN) count as unset
+    const maxStops = parseCount(flight.max_stops);
+    const constraints = {
+        excluded: parseAirlinePreference(flight.excluded_airlines),
+        maxStops: Number.isInteger(maxStops) ? maxStops : null,
+        maxDurationMinutes: parseCount(flight.max_duration_minutes) || null,
+        departureWindow: parseWindow(flight.departure_window) || null,
+        arrivalWindow: parseWindow(flight.arrival_window) || null
+    };
+    return Object.values(constraints).some(v => v !== null) ? constraints : null;
+}
+
+// Minutes after midnight of a local ISO time ("2026-12-18T18:10:00")
+function minutesOfDay(isoTime) {
+    const match = String(isoTime || '').match(/T(\d{2}):(\d{2})/);
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function inWindow(minutes, { start, end }) {
+    return start <= end ? minutes >= start && minutes <= end : minutes >= start || minutes <= end;
+}
+
+/**
+ * Why a fare breaks the flight's constraints, or null when it's bookable.
+ * @param {{ airlines?: string[], stops?: number|null, duration_minutes?: number|null,
+ *           departure_time?: string|null, arrival_time?: string|null }} fare
+ */
+export function getConstraintViolation(fare, constraints) {
+    if (!constraints || !fare) return null;
+    const { excluded, maxStops, maxDurationMinutes, departureWindow, arrivalWindow } = constraints;
+
+    if (excluded && matchesAirlinePreference(fare.airlines, excluded)) {
+        return `excluded airline (${fare.airlines.join(', ')})`;
+    }
+    if (maxStops !== null && Number.isFinite(fare.stops) && fare.stops > maxStops) {
+        return `${fare.stops} stop(s), max ${maxStops}`;
+    }
+    if (maxDurationMinutes && Number.isFinite(fare.duration_minutes) && fare.duration_minutes > maxDurationMinutes) {
+        return `${fare.duration_minutes} min, max ${maxDurationMinutes}`;
+    }
+    const departs = minutesOfDay(fare.departure_time);
+    if (departureWindow && departs !== null && !inWindow(departs, departureWindow)) {
+        return `departs ${fare.departure_time.slice(11, 16)}, outside ${formatWindow(departureWindow)}`;
+    }
+    const arrives = minutesOfDay(fare.arrival_time);
+    if (arrivalWindow && arrives !== null && !inWindow(arrives, arrivalWindow)) {
+        return `arrives ${fare.arrival_time.slice(11, 16)}, outside ${formatWindow(arrivalWindow)}`;
+    }
+    return null;
+}
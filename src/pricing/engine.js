@@ -1,5 +1,19 @@
 import Amadeus from 'amadeus';
 import { getGoogleFlightQuote } from '../scraper/google-flights.js';
+import { registerProvider, getProvider, getProviderOrder, getUnsupportedReason } from './providers.js';
+import { chooseConsensus } from './consensus.js';
+import { checkCircuit, recordProviderOutcome } from './health.js';
+import { getCachedQuote, cacheQuote } from './cache.js';
+import { checkBudget, takeToken, countProviderCall } from './limits.js';
+import { parseAmadeusOffer } from './itinerary.js';
+import { parseAirlinePreference, matchesAirlinePreferenceByCode } from './airlines.js';
+import { getFlightConstraints, getConstraintViolation } from './constraints.js';
+
+// Import the registry helpers from here so the built-in providers below are registered
+export { listProviders, describeProvider, getProviderOrder, parseProviderList, validateProviderList } from './providers.js';
+export { getProviderHealth, recordProviderOutcomes } from './health.js';
+export { getProviderUsage, seedProviderUsage, getUsageMonth } from './limits.js';
+export { normalizeAirlineCode, parseAirlinePreference } from './airlines.js';
 
 let amadeusClient = null;
 
@@ -26,44 +40,19 @@ function mapCabinClass(cabin) {
     }
 }
 
-const AIRLINE_CODE_MAP = {
-    delta: 'DL',
-    united: 'UA',
-    american: 'AA',
-    southwest: 'WN',
-    alaska: 'AS',
-    jetblue: 'B6',
-    spirit: 'NK',
-    frontier: 'F9',
-    'british airways': 'BA',
-    lufthansa: 'LH',
-    'air france': 'AF',
-    iberia: 'IB',
-    turkish: 'TK',
-    klm: 'KL',
-    emirates: 'EK',
-    qatar: 'QR',
-    'virgin atlantic': 'VS',
-    'air canada': 'AC'
-};
-
-function normalizeAirlineCode(value) {
-    if (!value) return null;
-    const v = String(value).trim();
-    if (!v) return null;
-    const code = v.toUpperCase();
-    if (/^[A-Z0-9]{2}$/.test(code)) return code;
-    const mapped = AIRLINE_CODE_MAP[v.toLowerCase()];
-    return mapped || null;
-}
-
 async function getAmadeusQuote(flight) {
     const amadeus = getAmadeusClient();
     if (!amadeus) return null;
 
     const adults = Number.isFinite(flight.passengers) ? Math.max(1, flight.passengers) : 1;
     const travelClass = mapCabinClass(flight.cabin_class);
-    const includedAirlineCodes = normalizeAirlineCode(flight.preferred_airline);
+    // Alliances are searched as their member carriers; airline names we have no code for can't be
+    // searched for, so those flights search every carrier and report the preference as unknown
+    const preference = parseAirlinePreference(flight.preferred_airline);
+    const includedAirlineCodes = preference?.codes.join(',');
+    if (preference && !includedAirlineCodes) {
+        console.log(`[Amadeus] No airline codes for preference "${flight.preferred_airline}", searching all carriers`);
+    }
 
     const params = {
         originLocationCode: flight.origin,
@@ -78,35 +67,262 @@ async function getAmadeusQuote(flight) {
         params.returnDate = flight.return_date;
     }
 
+    const constraints = getFlightConstraints(flight);
     if (includedAirlineCodes) {
         params.includedAirlineCodes = includedAirlineCodes;
+    } else if (constraints?.excluded?.codes.length) {
+        // Amadeus takes included or excluded carriers, not both; exclusions are checked per offer below anyway
+        params.excludedAirlineCodes = constraints.excluded.codes.join(',');
+    }
+    if (constraints?.maxStops === 0) {
+        params.nonStop = true;
     }
 
     const response = await amadeus.shopping.flightOffersSearch.get(params);
     const offers = response?.data || [];
     if (!offers.length) return null;
 
+    // Cheapest offer that meets the flight's constraints, with its stops, duration, times, seats
+    // and per-segment carriers/fare brand
     let best = null;
+    let rejected = 0;
     for (const offer of offers) {
         const priceValue = parseFloat(offer?.price?.grandTotal);
         if (!Number.isFinite(priceValue)) continue;
-        if (!best || priceValue < best.price) {
-            const airline = offer?.validatingAirlineCodes?.[0] || null;
-            best = {
-                price: priceValue,
-                currency: offer?.price?.currency || 'USD',
-                airline,
-                source: 'amadeus',
-                raw_data: offer
-            };
+        if (best && priceValue >= best.price) continue;
+
+        const itinerary = parseAmadeusOffer(offer);
+        const airline = offer?.validatingAirlineCodes?.[0] || null;
+        const carriers = [...new Set([airline, ...itinerary.segments.flatMap(s => [s.carrier_code, s.operating_carrier])].filter(Boolean))];
+        if (getConstraintViolation({ ...itinerary, airlines: carriers }, constraints)) {
+            rejected += 1;
+            continue;
         }
+        best = {
+            price: priceValue,
+            currency: offer?.price?.currency || 'USD',
+            airline,
+            source: 'amadeus',
+            raw_data: offer,
+            ...itinerary,
+            preferred_airline_found: matchesAirlinePreferenceByCode(carriers, preference)
+        };
     }
 
+    if (!best && rejected) {
+        const error = new Error(`No Amadeus offer meets this flight's constraints (${rejected} filtered out)`);
+        error.type = 'no_results';
+        throw error;
+    }
     return best;
 }
 
+registerProvider({
+    name: 'amadeus',
+    label: 'Amadeus Self-Service API',
+    capabilities: {
+        oneWay: true,
+        roundTrip: true,
+        cabins: ['economy', 'premium_economy', 'business', 'first'],
+        maxPassengers: 9
+    },
+    // Free monthly quota, billed per search beyond it
+    cost: 1,
+    priority: 10,
+    // Self-service tier: keep well under the per-second limit; the monthly quota is the free allowance
+    limits: { ratePerSecond: 5, burst: 5, monthlyQuota: 2000 },
+    isConfigured: () => Boolean(process.env.AMADEUS_CLIENT_ID && process.env.AMADEUS_CLIENT_SECRET),
+    getQuote: flight => getAmadeusQuote(flight)
+});
+
+registerProvider({
+    name: 'google_flights',
+    label: 'Google Flights (Puppeteer)',
+    capabilities: {
+        oneWay: true,
+        roundTrip: true,
+        cabins: ['economy', 'premium_economy', 'business', 'first'],
+        maxPassengers: 9
+    },
+    // Free, but slow and the most likely to break
+    cost: 0,
+    priority: 20,
+    // Be polite: at most one page load every 5 seconds on average
+    limits: { ratePerSecond: 0.2, burst: 2 },
+    getQuote: (flight, { browser }) => getGoogleFlightQuote(flight, browser)
+});
+
+// The same scraper filling in the search form, for routes where the URL search fails.
+// Only used when a flight (price_providers) or PRICE_PROVIDERS names it.
+registerProvider({
+    name: 'google_flights_form',
+    label: 'Google Flights (Puppeteer, search form)',
+    capabilities: {
+        oneWay: true,
+        roundTrip: true,
+        cabins: ['economy', 'premium_economy', 'business', 'first'],
+        maxPassengers: 9
+    },
+    cost: 0,
+    priority: 30,
+    optIn: true,
+    // A form search is several times the page interactions of a URL search
+    limits: { ratePerSecond: 0.1, burst: 1 },
+    getQuote: (flight, { browser }) => getGoogleFlightQuote(flight, browser, { strategy: 'form' })
+});
+
+// One provider, one search: { attempt, quote } where quote is null unless it returned a price
+async function tryProvider(name, flight, { browser }) {
+    const provider = getProvider(name);
+    const attempt = {
+        provider: name,
+        status: 'skipped',
+        price: null,
+        currency: null,
+        airline: null,
+        error: null,
+        error_type: null,
+        duration_ms: 0,
+        cached: false,
+        departure_date: flight.departure_date,
+        return_date: flight.return_date || null
+    };
+
+    const unsupported = getUnsupportedReason(provider, flight);
+    if (unsupported) {
+        return { attempt: { ...attempt, error: unsupported }, quote: null };
+    }
+
+    // Same search priced recently (another flight, or a flex scan overlapping the check)
+    const hit = getCachedQuote(name, flight);
+    if (hit) {
+        const cachedAt = new Date(hit.cachedAt).toISOString();
+        return {
+            attempt: { ...attempt, status: 'success', price: hit.quote.price, currency: hit.quote.currency || 'USD', airline: hit.quote.airline || null, cached: true },
+            quote: { ...hit.quote, provider: name, cached: true, cached_at: cachedAt }
+        };
+    }
+
+    // Out of monthly budget: fall through to the next provider
+    const budget = checkBudget(provider);
+    if (!budget.allow) {
+        return { attempt: { ...attempt, error: budget.reason }, quote: null };
+    }
+
+    // Failing providers sit out their cool-down instead of failing every check slowly.
+    // Checked last: a half-open circuit hands out its one trial here, and the search below
+    // always records an outcome that releases it.
+    const circuit = checkCircuit(name);
+    if (!circuit.allow) {
+        return { attempt: { ...attempt, error: circuit.reason }, quote: null };
+    }
+
+    const waitedMs = await takeToken(provider);
+    if (waitedMs) console.log(`[Pricing] ${name} rate limited, waited ${waitedMs}ms`);
+
+    countProviderCall(name);
+    const startedAt = Date.now();
+    let result;
+    try {
+        const quote = await provider.getQuote(flight, { browser });
+        const duration_ms = Date.now() - startedAt;
+        if (quote?.price) {
+            cacheQuote(name, flight, quote);
+            result = {
+                attempt: { ...attempt, status: 'success', price: quote.price, currency: quote.currency || 'USD', airline: quote.airline || null, duration_ms },
+                quote: { ...quote, provider: name, cached: false }
+            };
+        } else {
+            result = { attempt: { ...attempt, status: 'empty', error: 'No price returned', duration_ms }, quote: null };
+        }
+    } catch (error) {
+        console.log(`[Pricing] ${name} failed for ${flight.origin} → ${flight.destination}: ${error?.message || error}`);
+        // A search that worked but found no flights isn't the provider failing
+        const status = error?.type === 'no_results' ? 'empty' : 'error';
+        result = {
+            attempt: {
+                ...attempt,
+                status,
+                error: error?.message || String(error),
+                error_type: error?.type || null,
+                duration_ms: Date.now() - startedAt
+            },
+            quote: null
+        };
+    }
+
+    recordProviderOutcome(result.attempt);
+    return result;
+}
+
+/**
+ * Why a search found no price, as one status word for flights.last_check_status: the first
+ * typed failure among the attempts (consent_required, captcha, no_results, layout_changed,
+ * timeout - see scraper/page-state.js), else 'error'.
+ */
+export function getFailureType(attempts) {
+    return (attempts || []).find(a => a?.error_type)?.error_type || 'error';
+}
+
+function noPriceError(attempts) {
+    const summary = attempts.map(a => `${a.provider}: ${a.error}`).join('; ') || 'no providers enabled';
+    const error = new Error(`No price from any provider (${summary})`);
+    error.attempts = attempts;
+    error.type = getFailureType(attempts);
+    return error;
+}
+
+/**
+ * Quote a flight from the first provider (in the flight's provider order) that returns a price.
+ * Used where one price per search is enough (flex scans).
+ *
+ * Every provider tried or skipped is listed in quote.attempts (or error.attempts when
+ * none returned a price) as { provider, status, price, currency, airline, error, error_type,
+ * duration_ms, cached, departure_date, return_date } with status success | empty | error | skipped.
+ * error_type classifies scraper failures (page-state.js); error.type summarizes them (getFailureType).
+ * quote.cached / attempt.cached say the price came from the quote cache (cache.js). Callers with
+ * DB access store them (recordQuoteAttempts); the local agent sends them back with its job result.
+ */
 export async function getPriceQuote(flight, { browser } = {}) {
-    const amadeusQuote = await getAmadeusQuote(flight);
-    if (amadeusQuote) return amadeusQuote;
-    return getGoogleFlightQuote(flight, browser);
+    const attempts = [];
+    for (const name of getProviderOrder(flight).order) {
+        const { attempt, quote } = await tryProvider(name, flight, { browser });
+        attempts.push(attempt);
+        if (quote) return { ...quote, attempts };
+    }
+    throw noPriceError(attempts);
+}
+
+/**
+ * A check run: ask every enabled provider for this flight and pick a consensus price.
+ *
+ * Returns the chosen quote plus attempts (one per provider, as in getPriceQuote) and
+ * consensus_reason. Throws (with error.attempts) when no provider returned a price.
+ */
+export async function runPriceCheck(flight, { browser } = {}) {
+    const attempts = [];
+    const quotes = [];
+    for (const name of getProviderOrder(flight).order) {
+        const { attempt, quote } = await tryProvider(name, flight, { browser });
+        attempts.push(attempt);
+        if (quote) quotes.push(quote);
+    }
+
+    const consensus = chooseConsensus(quotes);
+    if (!consensus) throw noPriceError(attempts);
+
+    // Google's typical range describes the route, so keep it whichever quote won. Its low/typical/high
+    // level rated Google's own fare and only carries over at that price; otherwise the range decides.
+    const hasBand = q => Boolean(q.price_level || q.typical_price_low);
+    const insight = hasBand(consensus.quote) ? null : quotes.find(hasBand);
+    const band = insight
+        ? {
+            price_level: insight.price === consensus.quote.price ? insight.price_level : null,
+            typical_price_low: insight.typical_price_low,
+            typical_price_high: insight.typical_price_high
+        }
+        : {};
+
+    console.log(`[Pricing] ${flight.origin} → ${flight.destination}: $${consensus.quote.price} - ${consensus.reason}`);
+    return { ...consensus.quote, ...band, attempts, consensus_reason: consensus.reason };
 }
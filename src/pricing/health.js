@@ -0,0 +1,131 @@
+/**
+ * Price Provider Health
+ *
+ * In-memory health per provider (this process only; resets on restart):
+ *   success rate and average latency over the last HEALTH_WINDOW attempts,
+ *   consecutive failures, last error.
+ *
+ * Circuit breaker: after PROVIDER_FAILURE_THRESHOLD consecutive errors (default 3) the
+ * circuit opens and the engine skips the provider for PROVIDER_COOLDOWN_MINUTES (default 15).
+ * Once the cool-down is over one trial search is let through (half-open) and other callers
+ * are refused until its outcome is recorded: success closes the circuit, another error opens
+ * it again. A trial that never reports back frees up after another cool-down.
+ *
+ * A CAPTCHA (attempt.error_type 'captcha') opens the circuit on the first occurrence.
+ *
+ * An 'empty' result (search worked, no offers) counts against the success rate but not
+ * as a failure - it says nothing about the provider being broken.
+ */
+
+const HEALTH_WINDOW = 20;
+const health = new Map();
+
+function getFailureThreshold() {
+    const value = parseInt(process.env.PROVIDER_FAILURE_THRESHOLD);
+    return Number.isFinite(value) && value > 0 ? value : 3;
+}
+
+function getCooldownMs() {
+    const value = Number(process.env.PROVIDER_COOLDOWN_MINUTES);
+    return (Number.isFinite(value) && value > 0 ? value : 15) * 60 * 1000;
+}
+
+function getState(name) {
+    if (!health.has(name)) {
+        health.set(name, {
+            recent: [],
+            consecutiveFailures: 0,
+            openedAt: null,
+            openUntil: null,
+            trialStartedAt: null,
+            lastError: null,
+            lastSuccessAt: null,
+            lastFailureAt: null
+        });
+    }
+    return health.get(name);
+}
+
+function getCircuitState(state, now) {
+    if (!state.openUntil) return 'closed';
+    return now < state.openUntil ? 'open' : 'half_open';
+}
+
+/**
+ * Whether the engine may call this provider right now. Allowing the half-open trial claims it,
+ * so only call this right before the search (its outcome must reach recordProviderOutcome).
+ * @returns {{ allow: boolean, reason: string|null }}
+ */
+export function checkCircuit(name, now = Date.now()) {
+    const state = getState(name);
+    const circuit = getCircuitState(state, now);
+    if (circuit === 'closed') return { allow: true, reason: null };
+    if (circuit === 'half_open') {
+        if (state.trialStartedAt && now - state.trialStartedAt < getCooldownMs()) {
+            return { allow: false, reason: 'circuit half-open, trial search already in flight' };
+        }
+        state.trialStartedAt = now;
+        return { allow: true, reason: null };
+    }
+    return {
+        allow: false,
+        reason: `circuit open until ${new Date(state.openUntil).toISOString()} after ${state.consecutiveFailures} consecutive failures`
+    };
+}
+
+// attempt: { provider, status: success | empty | error | skipped, duration_ms, error, error_type, cached }
+// Cache hits never reached the provider, so they say nothing about its health.
+export function recordProviderOutcome(attempt, now = Date.now()) {
+    if (!attempt?.provider || attempt.cached || !['success', 'empty', 'error'].includes(attempt.status)) return;
+
+    const state = getState(attempt.provider);
+    state.trialStartedAt = null;
+    state.recent.push({ status: attempt.status, duration_ms: attempt.duration_ms ?? null });
+    if (state.recent.length > HEALTH_WINDOW) state.recent.shift();
+
+    if (attempt.status === 'error') {
+        const wasHalfOpen = getCircuitState(state, now) === 'half_open';
+        state.consecutiveFailures += 1;
+        state.lastError = attempt.error || null;
+        state.lastFailureAt = now;
+
+        // A CAPTCHA means we're flagged: more searches only make it worse, so cool down right away
+        if (wasHalfOpen || attempt.error_type === 'captcha' || state.consecutiveFailures >= getFailureThreshold()) {
+            state.openedAt = now;
+            state.openUntil = now + getCooldownMs();
+            console.log(`[Pricing] Circuit open for ${attempt.provider} until ${new Date(state.openUntil).toISOString()}: ${state.lastError}`);
+        }
+        return;
+    }
+
+    if (state.openUntil) console.log(`[Pricing] Circuit closed for ${attempt.provider}`);
+    state.consecutiveFailures = 0;
+    state.openedAt = null;
+    state.openUntil = null;
+    if (attempt.status === 'success') state.lastSuccessAt = now;
+}
+
+export function recordProviderOutcomes(attempts, now = Date.now()) {
+    for (const attempt of attempts || []) recordProviderOutcome(attempt, now);
+}
+
+// Health snapshot for /api/health
+export function getProviderHealth(name, now = Date.now()) {
+    const state = getState(name);
+    const total = state.recent.length;
+    const successes = state.recent.filter(r => r.status === 'success').length;
+    const latencies = state.recent.map(r => r.duration_ms).filter(ms => Number.isFinite(ms));
+    const toIso = ms => (ms ? new Date(ms).toISOString() : null);
+
+    return {
+        circuit: getCircuitState(state, now),
+        attempts: total,
+        success_rate: total ? Math.round((successes / total) * 100) / 100 : null,
+        avg_latency_ms: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+        consecutive_failures: state.consecutiveFailures,
+        last_error: state.lastError,
+        last_success_at: toIso(state.lastSuccessAt),
+        last_failure_at: toIso(state.lastFailureAt),
+        open_until: toIso(state.openUntil)
+    };
+}
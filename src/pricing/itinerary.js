@@ -0,0 +1,98 @@
+/**
+ * Itinerary Details
+ *
+ * Turns a provider offer into the itinerary fields stored with a price:
+ *   prices          stops, duration_minutes, departure_time, arrival_time, seats_left (outbound leg)
+ *   price_segments  one row per flown segment, both legs (carrier, operating carrier, times, fare brand)
+ * and formats the one-line summary the UI and emails show ("nonstop 8h05, 4 seats left").
+ */
+
+// Amadeus never reports more than 9 bookable seats, so 9 means "9 or more"
+const MAX_REPORTED_SEATS = 9;
+
+// ISO 8601 duration ("PT8H5M", "P1DT2H") -> minutes
+export function parseIsoDuration(value) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(String(value || ''));
+    if (!match || value === 'P' || value === 'PT') return null;
+    const [, days, hours, minutes] = match.map(n => Number(n) || 0);
+    return days * 24 * 60 + hours * 60 + minutes;
+}
+
+function toCount(value) {
+    const num = Number(value);
+    return value === null || value === undefined || !Number.isFinite(num) ? null : num;
+}
+
+/**
+ * Itinerary fields of one Amadeus flight offer.
+ * @returns {{ stops: number|null, duration_minutes: number|null, departure_time: string|null,
+ *            arrival_time: string|null, seats_left: number|null, fare_brand: string|null, segments: Object[] }}
+ */
+export function parseAmadeusOffer(offer) {
+    const fareDetails = new Map(
+        (offer?.travelerPricings?.[0]?.fareDetailsBySegment || []).map(d => [String(d.segmentId), d])
+    );
+
+    const segments = [];
+    (offer?.itineraries || []).forEach((itinerary, itineraryIndex) => {
+        (itinerary.segments || []).forEach((segment, segmentIndex) => {
+            const fare = fareDetails.get(String(segment.id)) || {};
+            segments.push({
+                itinerary_index: itineraryIndex,
+                segment_index: segmentIndex,
+                carrier_code: segment.carrierCode || null,
+                flight_number: segment.number || null,
+                operating_carrier: segment.operating?.carrierCode || segment.carrierCode || null,
+                origin: segment.departure?.iataCode || null,
+                destination: segment.arrival?.iataCode || null,
+                departure_at: segment.departure?.at || null,
+                arrival_at: segment.arrival?.at || null,
+                duration_minutes: parseIsoDuration(segment.duration),
+                stops: toCount(segment.numberOfStops) ?? 0,
+                aircraft: segment.aircraft?.code || null,
+                cabin: fare.cabin || null,
+                fare_brand: fare.brandedFareLabel || fare.brandedFare || null,
+                booking_class: fare.class || null
+            });
+        });
+    });
+
+    const outbound = offer?.itineraries?.[0];
+    const outboundSegments = segments.filter(s => s.itinerary_index === 0);
+    const first = outboundSegments[0];
+    const last = outboundSegments[outboundSegments.length - 1];
+    const segmentMinutes = outboundSegments.reduce((sum, s) => sum + (s.duration_minutes || 0), 0);
+
+    return {
+        stops: outboundSegments.length
+            ? outboundSegments.length - 1 + outboundSegments.reduce((sum, s) => sum + s.stops, 0)
+            : null,
+        duration_minutes: parseIsoDuration(outbound?.duration) ?? (segmentMinutes || null),
+        departure_time: first?.departure_at || null,
+        arrival_time: last?.arrival_at || null,
+        seats_left: toCount(offer?.numberOfBookableSeats),
+        fare_brand: first?.fare_brand || null,
+        segments
+    };
+}
+
+// 485 -> "8h05"
+export function formatDuration(minutes) {
+    if (!Number.isFinite(minutes) || minutes <= 0) return null;
+    return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * "nonstop 8h05, 4 seats left" - parts that are unknown are left out; empty string when nothing is known.
+ */
+export function formatItinerarySummary({ stops = null, duration_minutes = null, seats_left = null } = {}) {
+    const stopsText = stops === null || stops === undefined
+        ? null
+        : (Number(stops) === 0 ? 'nonstop' : `${stops} stop${Number(stops) === 1 ? '' : 's'}`);
+    const leg = [stopsText, formatDuration(Number(duration_minutes))].filter(Boolean).join(' ');
+    const seatCount = toCount(seats_left);
+    const seats = seatCount !== null && seatCount < MAX_REPORTED_SEATS
+        ? `${seatCount} seat${seatCount === 1 ? '' : 's'} left`
+        : null;
+    return [leg, seats].filter(Boolean).join(', ');
+}
@@ -0,0 +1,112 @@
+/**
+ * Price Provider Limits
+ *
+ * Two limits per provider, declared in the registry (provider.limits) and overridable
+ * from the environment with the provider name upper-cased:
+ *   ratePerSecond / burst  token bucket; searches wait for a token (AMADEUS_RATE_PER_SECOND, AMADEUS_BURST)
+ *   monthlyQuota           searches per calendar month (UTC); once used up the engine skips
+ *                          the provider until next month (AMADEUS_MONTHLY_QUOTA, 0 = unlimited)
+ *
+ * Monthly usage is persisted in provider_usage (counted when attempts are recorded). This
+ * module keeps the running count for the current process and is seeded from the DB on
+ * startup (the local agent seeds it from GET /api/providers/usage).
+ */
+
+const buckets = new Map();
+const usage = new Map();
+
+function readEnvNumber(name) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') return null;
+    const value = Number(raw);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+export function getUsageMonth(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 7);
+}
+
+export function getProviderLimits(provider) {
+    const prefix = provider.name.toUpperCase();
+    const declared = provider.limits || {};
+    const ratePerSecond = readEnvNumber(`${prefix}_RATE_PER_SECOND`) ?? declared.ratePerSecond ?? null;
+    return {
+        ratePerSecond: ratePerSecond || null,
+        burst: Math.max(1, readEnvNumber(`${prefix}_BURST`) ?? declared.burst ?? 1),
+        monthlyQuota: readEnvNumber(`${prefix}_MONTHLY_QUOTA`) ?? declared.monthlyQuota ?? 0
+    };
+}
+
+/**
+ * Wait for a token from the provider's bucket (no-op without a rate limit).
+ * Returns how long we waited, in ms.
+ */
+export async function takeToken(provider, now = Date.now()) {
+    const { ratePerSecond, burst } = getProviderLimits(provider);
+    if (!ratePerSecond) return 0;
+
+    let bucket = buckets.get(provider.name);
+    if (!bucket) {
+        bucket = { tokens: burst, updatedAt: now };
+        buckets.set(provider.name, bucket);
+    }
+
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * ratePerSecond);
+    bucket.updatedAt = now;
+
+    // Claim the token now (possibly going negative) so back-to-back callers queue up behind us
+    bucket.tokens -= 1;
+    if (bucket.tokens >= 0) return 0;
+
+    const waitMs = Math.ceil((-bucket.tokens / ratePerSecond) * 1000);
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+    return waitMs;
+}
+
+function getUsage(name, now) {
+    const month = getUsageMonth(now);
+    const current = usage.get(name);
+    if (current?.month === month) return current;
+    const fresh = { month, calls: 0 };
+    usage.set(name, fresh);
+    return fresh;
+}
+
+// One real search (cached and skipped attempts don't count)
+export function countProviderCall(name, now = Date.now()) {
+    getUsage(name, now).calls += 1;
+}
+
+// rows: [{ provider, month, calls }] from provider_usage
+export function seedProviderUsage(rows, now = Date.now()) {
+    const month = getUsageMonth(now);
+    for (const row of rows || []) {
+        if (row.month !== month) continue;
+        const current = getUsage(row.provider, now);
+        current.calls = Math.max(current.calls, Number(row.calls) || 0);
+    }
+}
+
+/**
+ * Whether the provider still has monthly budget.
+ * @returns {{ allow: boolean, reason: string|null }}
+ */
+export function checkBudget(provider, now = Date.now()) {
+    const { monthlyQuota } = getProviderLimits(provider);
+    if (!monthlyQuota) return { allow: true, reason: null };
+
+    const { calls, month } = getUsage(provider.name, now);
+    if (calls < monthlyQuota) return { allow: true, reason: null };
+    return { allow: false, reason: `monthly quota used (${calls}/${monthlyQuota} in ${month})` };
+}
+
+export function getProviderUsage(provider, now = Date.now()) {
+    const limits = getProviderLimits(provider);
+    const { month, calls } = getUsage(provider.name, now);
+    return {
+        month,
+        calls,
+        ...limits,
+        remaining: limits.monthlyQuota ? Math.max(0, limits.monthlyQuota - calls) : null
+    };
+}
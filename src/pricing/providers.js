@@ -0,0 +1,107 @@
+/**
+ * Price Provider Registry
+ *
+ * Every quote source registers itself here with what it can price and what it costs:
+ *   name          'amadeus', 'google_flights', ...
+ *   capabilities  { oneWay, roundTrip, cabins: [...], maxPassengers }
+ *   cost          relative cost of one search (0 = free)
+ *   priority      lower runs first when nothing else decides the order
+ *   limits        { ratePerSecond, burst, monthlyQuota } (see limits.js)
+ *   isConfigured  () => boolean (e.g. API keys present)
+ *   optIn         true = only used when named in an explicit list (an alternative way of
+ *                 querying a source another provider already covers)
+ *   getQuote      (flight, { browser }) => quote | null
+ *
+ * The order providers are tried in comes from, in turn:
+ *   flights.price_providers ("google_flights,amadeus") for that flight,
+ *   PRICE_PROVIDERS in the environment,
+ *   priority (then cost) of every registered provider that isn't opt-in.
+ * Providers missing from an explicit list are not used for that flight.
+ */
+
+const registry = new Map();
+
+export function registerProvider(provider) {
+    if (!provider?.name || typeof provider.getQuote !== 'function') {
+        throw new Error('A price provider needs a name and a getQuote function');
+    }
+    registry.set(provider.name, {
+        cost: 0,
+        priority: 100,
+        limits: {},
+        isConfigured: () => true,
+        optIn: false,
+        ...provider,
+        capabilities: {
+            oneWay: true,
+            roundTrip: true,
+            cabins: ['economy', 'premium_economy', 'business', 'first'],
+            maxPassengers: 9,
+            ...provider.capabilities
+        }
+    });
+}
+
+export function getProvider(name) {
+    return registry.get(name) || null;
+}
+
+export function listProviders() {
+    return [...registry.values()].sort((a, b) => a.priority - b.priority || a.cost - b.cost);
+}
+
+// "amadeus, Google_Flights" or ['amadeus', 'google_flights'] -> ['amadeus', 'google_flights']
+export function parseProviderList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(items.map(s => String(s).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Returns an error string, or null when every name is a registered provider
+export function validateProviderList(value) {
+    const unknown = parseProviderList(value).filter(name => !registry.has(name));
+    if (unknown.length) {
+        return `Unknown price provider(s): ${unknown.join(', ')} (known: ${[...registry.keys()].join(', ')})`;
+    }
+    return null;
+}
+
+/**
+ * Provider names to try for a flight, in order.
+ * @returns {{ order: string[], source: 'flight'|'env'|'priority' }}
+ */
+export function getProviderOrder(flight = {}) {
+    const perFlight = parseProviderList(flight.price_providers).filter(name => registry.has(name));
+    if (perFlight.length) return { order: perFlight, source: 'flight' };
+
+    const fromEnv = parseProviderList(process.env.PRICE_PROVIDERS).filter(name => registry.has(name));
+    if (fromEnv.length) return { order: fromEnv, source: 'env' };
+
+    return { order: listProviders().filter(p => !p.optIn).map(p => p.name), source: 'priority' };
+}
+
+// Why a provider can't price this flight, or null when it can
+export function getUnsupportedReason(provider, flight) {
+    const { capabilities } = provider;
+    const cabin = (flight.cabin_class || 'economy').toLowerCase();
+    const passengers = Number(flight.passengers) || 1;
+
+    if (!provider.isConfigured()) return 'not configured';
+    if (flight.return_date && !capabilities.roundTrip) return 'round trips not supported';
+    if (!flight.return_date && !capabilities.oneWay) return 'one-way trips not supported';
+    if (!capabilities.cabins.includes(cabin)) return `${cabin} cabin not supported`;
+    if (passengers > capabilities.maxPassengers) return `more than ${capabilities.maxPassengers} passengers`;
+    return null;
+}
+
+// Public view of a provider (what /api/providers returns)
+export function describeProvider(provider) {
+    return {
+        name: provider.name,
+        label: provider.label || provider.name,
+        capabilities: provider.capabilities,
+        cost: provider.cost,
+        priority: provider.priority,
+        opt_in: Boolean(provider.optIn),
+        configured: Boolean(provider.isConfigured())
+    };
+}
@@ -0,0 +1,309 @@
+/**
+ * Browser Pool
+ *
+ * One long-lived Chromium shared by every scrape in this process (check runs, flex scans,
+ * the /scrape routes) instead of a launch per quote:
+ *   BROWSER_POOL_PAGES          pages open at once; further scrapes wait for a slot (default 2)
+ *   BROWSER_MAX_PAGES           pages a browser serves before it's replaced, to keep Chromium's
+ *                               memory in check (default 50)
+ *   BROWSER_IDLE_CLOSE_MINUTES  close the browser after this long unused (default 5, 0 = keep)
+ *
+ * Before lending, the browser is health-checked (still connected and answering); a crashed
+ * or unresponsive browser is dropped and relaunched. A retired browser closes once its last
+ * page is done.
+ */
+
+import puppeteer from 'puppeteer-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import { accessSync, constants } from 'fs';
+import { delimiter, isAbsolute, join } from 'path';
+
+puppeteer.use(StealthPlugin());
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+let current = null;       // { browser, pagesServed, active, retired }
+let launching = null;
+let idleTimer = null;
+let activeLeases = 0;
+const waiting = [];
+const retiring = new Set(); // retired browsers still finishing pages
+const stats = { launches: 0, retired: 0, crashed: 0 };
+
+function resolveExecutablePath(candidate) {
+    if (!candidate) return null;
+    const c = String(candidate).trim();
+    if (!c) return null;
+    if (c === ':memory:') return c;
+
+    // Puppeteer expects an absolute path. If we were given a command name,
+    // resolve it from PATH.
+    if (!isAbsolute(c) && !c.includes('/')) {
+        const pathEnv = process.env.PATH || '';
+        for (const dir of pathEnv.split(delimiter)) {
+            if (!dir) continue;
+            const full = join(dir, c);
+            try {
+                accessSync(full, constants.X_OK);
+                return full;
+            } catch {
+                // continue
+            }
+        }
+    }
+
+    return c;
+}
+
+function getBrowserExecutableCandidates() {
+    const candidates = [];
+
+    const envCandidates = [
+        process.env.PUPPETEER_EXECUTABLE_PATH,
+        process.env.CHROME_BIN,
+        process.env.CHROMIUM_BIN
+    ].filter(Boolean).map(s => String(s).trim()).filter(Boolean);
+
+    candidates.push(...envCandidates);
+
+    // Common names on PATH in container environments (nixpacks, apt, etc)
+    candidates.push('chromium');
+    candidates.push('google-chrome-stable');
+    candidates.push('google-chrome');
+    candidates.push('chromium-browser');
+
+    // Common absolute paths (last-resort)
+    candidates.push('/usr/bin/chromium');
+    candidates.push('/usr/bin/google-chrome');
+    candidates.push('/usr/bin/chromium-browser');
+
+    return [...new Set(candidates)];
+}
+
+export async function launchBrowser() {
+    const args = [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-blink-features=AutomationControlled'
+    ];
+
+    const errors = [];
+
+    // First try: let puppeteer pick (works if Chromium was downloaded during install)
+    try {
+        const browser = await puppeteer.launch({ headless: 'new', args });
+        console.log('[Scraper] Browser launched (bundled Chromium)');
+        return browser;
+    } catch (e) {
+        errors.push({ candidate: '(bundled)', error: e?.message || String(e) });
+    }
+
+    // Next: try known executables
+    for (const executablePath of getBrowserExecutableCandidates()) {
+        const resolved = resolveExecutablePath(executablePath);
+        if (!resolved) continue;
+        try {
+            const browser = await puppeteer.launch({ headless: 'new', executablePath: resolved, args });
+            console.log(`[Scraper] Browser launched (${resolved})`);
+            return browser;
+        } catch (e) {
+            const message = e?.message || String(e);
+            errors.push({ candidate: resolved, error: message });
+        }
+    }
+
+    const details = errors
+        .slice(0, 6)
+        .map(x => `${x.candidate}: ${x.error.split('\n')[0]}`)
+        .join(' | ');
+
+    const hint =
+        'Unable to launch Chromium. ' +
+        'On Railway + nixpacks, install chromium and set PUPPETEER_EXECUTABLE_PATH=chromium (not /usr/bin/chromium-browser).';
+
+    throw new Error(`${hint}\nTried: ${details}`);
+}
+
+function readPositiveInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getPoolSize() {
+    return readPositiveInt('BROWSER_POOL_PAGES', 2);
+}
+
+function getMaxPages() {
+    return readPositiveInt('BROWSER_MAX_PAGES', 50);
+}
+
+function getIdleCloseMs() {
+    const value = Number(process.env.BROWSER_IDLE_CLOSE_MINUTES);
+    return (Number.isFinite(value) && value >= 0 ? value : 5) * 60 * 1000;
+}
+
+async function closeEntry(entry) {
+    try {
+        await entry.browser.close();
+    } catch (e) {
+        // already gone
+    }
+}
+
+async function isHealthy(entry) {
+    if (!entry.browser.isConnected()) return false;
+    let timer;
+    try {
+        await Promise.race([
+            entry.browser.version(),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('health check timed out')), HEALTH_CHECK_TIMEOUT_MS);
+            })
+        ]);
+        return true;
+    } catch (e) {
+        console.log(`[BrowserPool] Browser unresponsive: ${e.message}`);
+        return false;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function launchEntry() {
+    const browser = await launchBrowser();
+    const entry = { browser, pagesServed: 0, active: 0, retired: false };
+    stats.launches += 1;
+
+    browser.on('disconnected', () => {
+        if (current === entry) {
+            stats.crashed += 1;
+            console.log('[BrowserPool] Browser disconnected, will relaunch on next use');
+            current = null;
+        }
+    });
+    return entry;
+}
+
+function retire(entry, reason) {
+    if (entry.retired) return;
+    entry.retired = true;
+    stats.retired += 1;
+    if (current === entry) current = null;
+    console.log(`[BrowserPool] Retiring browser (${reason}) after ${entry.pagesServed} page(s)`);
+    if (entry.active === 0) {
+        closeEntry(entry);
+    } else {
+        retiring.add(entry);
+    }
+}
+
+// A healthy browser with page budget left, launching one if needed (one launch at a time)
+async function getEntry() {
+    if (current && !(await isHealthy(current))) {
+        stats.crashed += 1;
+        retire(current, 'failed health check');
+    }
+    if (current) return current;
+
+    if (!launching) {
+        launching = launchEntry().finally(() => { launching = null; });
+        current = await launching;
+        return current;
+    }
+    await launching;
+    return getEntry();
+}
+
+async function acquireSlot() {
+    if (activeLeases < getPoolSize()) {
+        activeLeases += 1;
+        return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+        next();
+        return;
+    }
+    activeLeases -= 1;
+}
+
+function scheduleIdleClose() {
+    clearTimeout(idleTimer);
+    const idleMs = getIdleCloseMs();
+    if (!idleMs || activeLeases > 0 || !current) return;
+
+    idleTimer = setTimeout(() => {
+        if (activeLeases === 0 && current) retire(current, 'idle');
+    }, idleMs);
+    idleTimer.unref?.();
+}
+
+/**
+ * Run fn with a pooled browser. fn gets a browser-like object with newPage(); pages it opens
+ * count towards the recycle limit. Waits while BROWSER_POOL_PAGES scrapes are already running.
+ */
+export async function withPooledBrowser(fn) {
+    await acquireSlot();
+    clearTimeout(idleTimer);
+
+    let entry;
+    try {
+        entry = await getEntry();
+    } catch (error) {
+        releaseSlot();
+        scheduleIdleClose();
+        throw error;
+    }
+
+    entry.active += 1;
+    const lease = {
+        async newPage() {
+            entry.pagesServed += 1;
+            if (entry.pagesServed >= getMaxPages()) retire(entry, `page limit ${getMaxPages()}`);
+            return entry.browser.newPage();
+        }
+    };
+
+    try {
+        return await fn(lease);
+    } finally {
+        entry.active -= 1;
+        if (entry.retired && entry.active === 0) {
+            retiring.delete(entry);
+            closeEntry(entry);
+        }
+        releaseSlot();
+        scheduleIdleClose();
+    }
+}
+
+// For /api/health
+export function getBrowserPoolStatus() {
+    return {
+        running: Boolean(current),
+        pages_served: current?.pagesServed ?? 0,
+        active_pages: activeLeases,
+        waiting: waiting.length,
+        pool_pages: getPoolSize(),
+        max_pages_per_browser: getMaxPages(),
+        ...stats
+    };
+}
+
+// Shutdown: the current browser and any retired one still finishing pages, so none outlive the process
+export async function closeBrowserPool() {
+    clearTimeout(idleTimer);
+    const entries = [...retiring];
+    retiring.clear();
+    if (current) {
+        entries.push(current);
+        current = null;
+    }
+    await Promise.all(entries.map(closeEntry));
+}
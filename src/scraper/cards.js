@@ -0,0 +1,162 @@
+/**
+ * Google Flights Result Cards
+ *
+ * scrapeFlight collects { label, text } for every result card on the page (the card's
+ * aria-label, which Google fills with a full sentence, and its visible text). The parsing
+ * happens here, outside the browser, so it can be tested without Chromium:
+ *
+ *   "From 612 US dollars round trip total. Nonstop flight with Delta. Leaves Hartsfield-Jackson
+ *    Atlanta International Airport at 5:35 PM on Friday, December 18 and arrives at Adolfo Suárez
+ *    Madrid–Barajas Airport at 7:40 AM on Saturday, December 19. Total duration 8 hr 5 min."
+ *
+ * The label is preferred; the visible text ("5:35 PM – 7:40 AM+1", "8 hr 5 min", "Nonstop",
+ * "$612") is the fallback for fields the label doesn't have.
+ */
+
+import { matchesAirlinePreference } from '../pricing/airlines.js';
+
+const TIME = '(\\d{1,2}:\\d{2}\\s?[AP]M)';
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+function normalizeSpaces(value) {
+    // Google separates times and units with narrow and non-breaking spaces
+    return String(value || '').replace(/[\u00a0\u2009\u202f]/g, ' ').replace(/[ \t]+/g, ' ').trim();
+}
+
+function toNumber(value) {
+    const num = Number(String(value).replace(/,/g, ''));
+    return Number.isFinite(num) ? num : null;
+}
+
+// "5:35 PM" -> "17:35"
+function to24h(time) {
+    const match = /^(\d{1,2}):(\d{2})\s?([AP])M$/i.exec(time.trim());
+    if (!match) return null;
+    let hours = Number(match[1]) % 12;
+    if (match[3].toUpperCase() === 'P') hours += 12;
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+function addDays(isoDate, days) {
+    const d = new Date(`${isoDate}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+// "Saturday, December 19" relative to the departure date (handles the year wrap)
+function resolveDate(dayText, departureDate) {
+    const match = /([A-Za-z]+) (\d{1,2})\s*$/.exec(dayText || '');
+    const month = match ? MONTHS.indexOf(match[1].toLowerCase()) : -1;
+    if (!departureDate || month < 0) return null;
+
+    const year = Number(departureDate.slice(0, 4));
+    const candidate = new Date(Date.UTC(year, month, Number(match[2])));
+    if (candidate < new Date(`${departureDate}T00:00:00Z`)) candidate.setUTCFullYear(year + 1);
+    return candidate.toISOString().slice(0, 10);
+}
+
+// "Delta and Air France" / "Iberia, American" -> ['Delta', 'Air France']
+function splitAirlines(value) {
+    return value
+        .split(/,| and /)
+        .map(s => s.trim())
+        .filter(s => s && !/^operated by/i.test(s));
+}
+
+function parseDuration(text) {
+    const match = /(\d+)\s*hr(?:\s*(\d+)\s*min)?/.exec(text) || /(\d+)\s*h\s*(\d+)\s*m\b/.exec(text);
+    return match ? Number(match[1]) * 60 + Number(match[2] || 0) : null;
+}
+
+function parseStops(text) {
+    if (/\bnonstop\b/i.test(text)) return 0;
+    const match = /(\d+)\s+stops?\b/i.exec(text);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * One card -> { price, currency, airlines, airline, stops, duration_minutes, departure_time, arrival_time }
+ * (times as local ISO "2026-12-18T17:35:00" when the departure date is known). Null without a price.
+ */
+export function parseCard({ label = '', text = '' } = {}, { departureDate = null } = {}) {
+    const aria = normalizeSpaces(label);
+    const visible = normalizeSpaces(text);
+
+    const priceMatch = /(\d[\d,]*) US dollars/i.exec(aria) || /\$\s?(\d[\d,]*)/.exec(visible);
+    const price = priceMatch ? toNumber(priceMatch[1]) : null;
+    if (!price) return null;
+
+    const airlineMatch = /flight with ([^.]+)\./i.exec(aria);
+    const airlines = airlineMatch ? splitAirlines(airlineMatch[1]) : [];
+
+    let departure = null;
+    let arrival = null;
+    const legMatch = new RegExp(`Leaves .*? at ${TIME} on ([^.]*?) and arrives at .*? at ${TIME} on ([^.]*?)\\.`, 'i').exec(aria);
+    if (legMatch) {
+        departure = { time: to24h(legMatch[1]), date: resolveDate(legMatch[2], departureDate) || departureDate };
+        arrival = { time: to24h(legMatch[3]), date: resolveDate(legMatch[4], departureDate) || departureDate };
+    } else {
+        const timesMatch = new RegExp(`${TIME}\\s*[–-]\\s*${TIME}(?:\\s*\\+(\\d))?`, 'i').exec(visible);
+        if (timesMatch) {
+            departure = { time: to24h(timesMatch[1]), date: departureDate };
+            arrival = {
+                time: to24h(timesMatch[2]),
+                date: departureDate && timesMatch[3] ? addDays(departureDate, Number(timesMatch[3])) : departureDate
+            };
+        }
+    }
+
+    const toIso = point => {
+        if (!point?.time) return null;
+        return point.date ? `${point.date}T${point.time}:00` : point.time;
+    };
+
+    const durationMatch = /Total duration ([^.]+)\./i.exec(aria);
+    const stops = parseStops(aria);
+
+    return {
+        price,
+        currency: 'USD',
+        airlines,
+        airline: airlines.length ? airlines.join(', ') : null,
+        stops: stops ?? parseStops(visible),
+        duration_minutes: (durationMatch ? parseDuration(durationMatch[1]) : null) ?? parseDuration(visible),
+        departure_time: toIso(departure),
+        arrival_time: toIso(arrival)
+    };
+}
+
+/**
+ * Parse every collected card, dropping ones without a price and duplicates
+ * (Google lists the "best" flights again under "other flights").
+ */
+export function parseCards(rawCards, { departureDate = null } = {}) {
+    const seen = new Set();
+    const cards = [];
+    for (const raw of rawCards || []) {
+        const card = parseCard(raw, { departureDate });
+        if (!card) continue;
+        const key = [card.price, card.airline, card.departure_time, card.arrival_time, card.stops].join('|');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        cards.push({ ...card, position: cards.length });
+    }
+    return cards;
+}
+
+/**
+ * Cheapest card, or the cheapest card flown by a preferred carrier when a preference
+ * (parseAirlinePreference() in pricing/airlines.js) is given and one is present.
+ * Returns { card, matched } where matched says a preferred carrier was found; null without cards.
+ */
+export function pickCheapestCard(cards, { preference = null } = {}) {
+    if (!cards?.length) return null;
+    const byPrice = [...cards].sort((a, b) => a.price - b.price);
+
+    if (preference) {
+        const match = byPrice.find(card => matchesAirlinePreference(card.airlines, preference));
+        if (match) return { card: match, matched: true };
+    }
+    return { card: byPrice[0], matched: false };
+}
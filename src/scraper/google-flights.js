@@ -1,106 +1,10 @@
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import { accessSync, constants } from 'fs';
-import { delimiter, isAbsolute, join } from 'path';
-import { getActiveFlights, savePrice } from '../db/postgres.js';
-
-puppeteer.use(StealthPlugin());
-
-function resolveExecutablePath(candidate) {
-    if (!candidate) return null;
-    const c = String(candidate).trim();
-    if (!c) return null;
-    if (c === ':memory:') return c;
-
-    // Puppeteer expects an absolute path. If we were given a command name,
-    // resolve it from PATH.
-    if (!isAbsolute(c) && !c.includes('/')) {
-        const pathEnv = process.env.PATH || '';
-        for (const dir of pathEnv.split(delimiter)) {
-            if (!dir) continue;
-            const full = join(dir, c);
-            try {
-                accessSync(full, constants.X_OK);
-                return full;
-            } catch {
-                // continue
-            }
-        }
-    }
-
-    return c;
-}
-
-function getBrowserExecutableCandidates() {
-    const candidates = [];
-
-    const envCandidates = [
-        process.env.PUPPETEER_EXECUTABLE_PATH,
-        process.env.CHROME_BIN,
-        process.env.CHROMIUM_BIN
-    ].filter(Boolean).map(s => String(s).trim()).filter(Boolean);
-
-    candidates.push(...envCandidates);
-
-    // Common names on PATH in container environments (nixpacks, apt, etc)
-    candidates.push('chromium');
-    candidates.push('google-chrome-stable');
-    candidates.push('google-chrome');
-    candidates.push('chromium-browser');
-
-    // Common absolute paths (last-resort)
-    candidates.push('/usr/bin/chromium');
-    candidates.push('/usr/bin/google-chrome');
-    candidates.push('/usr/bin/chromium-browser');
-
-    return [...new Set(candidates)];
-}
-
-async function launchBrowser() {
-    const args = [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-blink-features=AutomationControlled'
-    ];
-
-    const errors = [];
-
-    // First try: let puppeteer pick (works if Chromium was downloaded during install)
-    try {
-        const browser = await puppeteer.launch({ headless: 'new', args });
-        console.log('[Scraper] Browser launched (bundled Chromium)');
-        return browser;
-    } catch (e) {
-        errors.push({ candidate: '(bundled)', error: e?.message || String(e) });
-    }
-
-    // Next: try known executables
-    for (const executablePath of getBrowserExecutableCandidates()) {
-        const resolved = resolveExecutablePath(executablePath);
-        if (!resolved) continue;
-        try {
-            const browser = await puppeteer.launch({ headless: 'new', executablePath: resolved, args });
-            console.log(`[Scraper] Browser launched (${resolved})`);
-            return browser;
-        } catch (e) {
-            const message = e?.message || String(e);
-            errors.push({ candidate: resolved, error: message });
-        }
-    }
-
-    const details = errors
-        .slice(0, 6)
-        .map(x => `${x.candidate}: ${x.error.split('\n')[0]}`)
-        .join(' | ');
-
-    const hint =
-        'Unable to launch Chromium. ' +
-        'On Railway + nixpacks, install chromium and set PUPPETEER_EXECUTABLE_PATH=chromium (not /usr/bin/chromium-browser).';
-
-    throw new Error(`${hint}\nTried: ${details}`);
-}
+import { parseCards, pickCheapestCard } from './cards.js';
+import { collectInsightText, parsePriceInsights, describePriceInsight } from './insights.js';
+import { classifyPage, collectPageSignals, scrapeError } from './page-state.js';
+import { withPooledBrowser } from './browser-pool.js';
+import { buildTfsUrl, getTfsProblem } from './tfs.js';
+import { parseAirlinePreference } from '../pricing/airlines.js';
+import { getFlightConstraints, getConstraintViolation } from '../pricing/constraints.js';
 
 // Map cabin class to Google Flights cabin code
 // 1 = Economy, 2 = Premium Economy, 3 = Business, 4 = First
@@ -132,7 +36,8 @@ function getCabinName(cabinClass) {
     }
 }
 
-function buildGoogleFlightsUrl(flight) {
+// Free-text search (?q=); only used when the flight can't be expressed as a tfs search
+function buildQueryUrl(flight) {
     const { origin, destination, departure_date, return_date, passengers, cabin_class } = flight;
 
     // Format: /travel/flights?q=ATL+to+MAD&curr=USD
@@ -154,200 +59,387 @@ function buildGoogleFlightsUrl(flight) {
     return `https://www.google.com/travel/flights?q=${encodeURIComponent(query)}&curr=USD`;
 }
 
-// Scrape a single flight from Google Flights
-async function scrapeFlight(browser, flight) {
+// A flight record as a tfs search (see tfs.js); Google applies the max-stops constraint itself
+function getTfsSearch(flight) {
+    const pax = Number.isFinite(flight.passengers) ? Math.max(1, flight.passengers) : 1;
+    return {
+        maxStops: getFlightConstraints(flight)?.maxStops ?? null,
+        origin: String(flight.origin || '').trim().toUpperCase(),
+        destination: String(flight.destination || '').trim().toUpperCase(),
+        departureDate: String(flight.departure_date || '').slice(0, 10),
+        returnDate: flight.return_date ? String(flight.return_date).slice(0, 10) : null,
+        cabin: (flight.cabin_class || 'economy').toLowerCase(),
+        passengers: { adults: pax }
+    };
+}
+
+// Exact structured search (?tfs=), falling back to the free-text query when the flight can't be encoded
+export function buildGoogleFlightsUrl(flight) {
+    const search = getTfsSearch(flight);
+    const problem = getTfsProblem(search);
+    if (problem) {
+        console.log(`[Scraper] Using free-text search: ${problem}`);
+        return buildQueryUrl(flight);
+    }
+    return buildTfsUrl(search);
+}
+
+// Click "Accept all" on Google's consent interstitial and wait to be sent back to the search
+async function acceptConsent(page, settleMs) {
+    const handle = await page.evaluateHandle(() => [...document.querySelectorAll('button, input[type="submit"]')]
+        .find(el => /^accept all$/i.test((el.getAttribute('aria-label') || el.innerText || el.value || '').trim())));
+    const button = handle.asElement();
+    if (!button) return false;
+
+    await Promise.all([
+        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 15000 }).catch(() => null),
+        button.click()
+    ]);
+    await new Promise(r => setTimeout(r, settleMs));
+    return true;
+}
+
+// Runs inside the page: one { label, text } per result card. Google's cards are <li> rows whose
+// main element carries an aria-label sentence ("From 612 US dollars ... Total duration 8 hr 5 min.")
+function collectResultCards() {
+    const items = document.querySelectorAll('li.pIav2d, ul.Rk10dc > li, [role="main"] ul > li');
+    const cards = [];
+    for (const item of items) {
+        const labelled = [item, ...item.querySelectorAll('[aria-label]')]
+            .find(el => /US dollars/i.test(el.getAttribute('aria-label') || ''));
+        const label = labelled ? labelled.getAttribute('aria-label') : '';
+        const text = item.innerText || '';
+        if (!label && !/\$\s?\d/.test(text)) continue;
+        cards.push({ label, text });
+    }
+    return cards;
+}
+
+const GOOGLE_FLIGHTS_HOME = 'https://www.google.com/travel/flights?hl=en&curr=USD';
+
+const pause = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Scrape a single flight from Google Flights. options.strategy says how to reach the results:
+ *   url   open the search URL (default): the structured tfs search first, then the free-text
+ *         query if Google didn't show results for it (layout_changed - e.g. it no longer understands tfs)
+ *   form  fill in the search form on the Google Flights home page like a person would
+ * The pricing engine registers one provider per strategy (google_flights, google_flights_form).
+ * options.url replaces the search URL (the start page for the form) and options.settleMs the render
+ * wait (the fixture tests load saved pages from disk); options.screenshot: false skips the debug
+ * screenshot and options.acceptConsent: false leaves a consent page alone.
+ *
+ * Failures come back as { success: false, error, error_type } with error_type one of
+ * SCRAPE_ERROR_TYPES (page-state.js), or null for anything else.
+ */
+export async function scrapeFlight(browser, flight, options = {}) {
+    if (options.strategy === 'form') return withStrategy('form', await scrapeSearchForm(browser, flight, options));
+
+    const url = options.url || buildGoogleFlightsUrl(flight);
+    let result = await scrapeSearchPage(browser, flight, url, options);
+    if (!options.url && result.error_type === 'layout_changed' && url.includes('tfs=')) {
+        console.log(`[Scraper] No results from the structured search for ${flight.name}, retrying with free-text query`);
+        result = await scrapeSearchPage(browser, flight, buildQueryUrl(flight), options);
+    }
+    return withStrategy('url', result);
+}
+
+function withStrategy(strategy, result) {
+    return result.success ? { ...result, raw_data: { ...result.raw_data, strategy } } : result;
+}
+
+function getSettleMs(flight, options) {
+    // Wait for page to render (longer for premium cabins)
+    const isPremiumCabin = ['business', 'first', 'premium_economy'].includes((flight.cabin_class || '').toLowerCase());
+    return options.settleMs ?? (isPremiumCabin ? 6000 : 4000);
+}
+
+// A fresh page for fn; errors become { success: false } results and the page is always closed
+async function withSearchPage(browser, flight, fn) {
     const page = await browser.newPage();
 
     try {
         await page.setViewport({ width: 1400, height: 900 });
         await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+        console.log(`[Scraper] ${flight.name}: ${flight.origin} → ${flight.destination} (${getCabinName(flight.cabin_class)})`);
+        return await fn(page);
+    } catch (error) {
+        console.error(`[Scraper] Error: ${error.message}`);
+        return {
+            success: false,
+            error: error.message,
+            error_type: error?.type || (error?.name === 'TimeoutError' ? 'timeout' : null)
+        };
+    } finally {
+        try { await page.close(); } catch (e) {}
+    }
+}
 
-        const { origin, destination, cabin_class } = flight;
-        const prefersDelta = String(flight.preferred_airline || '').toLowerCase() === 'delta';
-        const cabinName = getCabinName(cabin_class);
-        const url = buildGoogleFlightsUrl(flight);
-
-        console.log(`[Scraper] ${flight.name}: ${origin} → ${destination} (${cabinName})`);
+async function scrapeSearchPage(browser, flight, url, options) {
+    return withSearchPage(browser, flight, async page => {
         console.log(`[Scraper] URL: ${url}`);
         await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
 
-        // Wait for page to render (longer for premium cabins)
-        const isPremiumCabin = ['business', 'first', 'premium_economy'].includes((cabin_class || '').toLowerCase());
-        const waitTime = isPremiumCabin ? 6000 : 4000;
-        await new Promise(r => setTimeout(r, waitTime));
+        const waitTime = getSettleMs(flight, options);
+        await pause(waitTime);
 
         // Take a screenshot for debugging (can be disabled in production)
-        await page.screenshot({ path: `/tmp/flight-${flight.id}.png`, fullPage: false });
+        if (options.screenshot !== false) {
+            await page.screenshot({ path: `/tmp/flight-${flight.id}.png`, fullPage: false });
+        }
 
         // Try to click through to search results if we're on explore page
         const exploreBtn = await page.$('button[aria-label="Explore"]');
         if (exploreBtn) {
             await exploreBtn.click();
-            await new Promise(r => setTimeout(r, 3000));
+            await pause(3000);
         }
 
-        // Extract price and airline from page - look for flight cards
-        const result = await page.evaluate(() => {
-            let deltaPrice = null;
-            let cheapestPrice = null;
-            let cheapestAirline = null;
-
-            // Find all flight result rows/cards
-            const flightCards = document.querySelectorAll('li[data-ved], [jsname] ul > li, .pIav2d, .Rk10dc');
-
-            // Also look at the raw text for price patterns near airline names
-            const pageText = document.body.innerText;
-            const lines = pageText.split('\n');
-
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i].trim();
-
-                // Look for Delta flight with price
-                if (line.includes('Delta') || (lines[i-1] && lines[i-1].includes('Delta'))) {
-                    // Look for price in nearby lines
-                    for (let j = Math.max(0, i-3); j < Math.min(lines.length, i+5); j++) {
-                        const priceMatch = lines[j].match(/\$(\d{1,3}(?:,\d{3})*)/);
-                        if (priceMatch) {
-                            const p = parseInt(priceMatch[1].replace(',', ''));
-                            if (p >= 100 && p <= 50000) {
-                                if (!deltaPrice || p < deltaPrice) {
-                                    deltaPrice = p;
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-
-            // Get all prices and cheapest
-            const allPrices = [];
-            const priceRegex = /\$(\d{1,3}(?:,\d{3})*)/g;
-            let match;
-            while ((match = priceRegex.exec(pageText)) !== null) {
-                const p = parseInt(match[1].replace(',', ''));
-                if (p >= 50 && p <= 50000) {
-                    allPrices.push(p);
-                }
-            }
-
-            if (allPrices.length > 0) {
-                allPrices.sort((a, b) => a - b);
-                cheapestPrice = allPrices[0];
-            }
-
-            // Determine airline for cheapest
-            const airlines = ['JetBlue', 'Delta', 'United', 'American', 'Southwest', 'Spirit', 'Frontier', 'Alaska', 'Turkish', 'Iberia', 'British Airways', 'Lufthansa', 'Air France'];
-            for (const name of airlines) {
-                if (pageText.includes(name)) {
-                    cheapestAirline = name;
-                    break;
-                }
-            }
-
-            return {
-                deltaPrice,
-                cheapestPrice,
-                cheapestAirline,
-                foundPrices: allPrices.slice(0, 8)
-            };
-        });
-
-        // Prefer Delta price only when requested, otherwise use cheapest
-        const finalPrice = (prefersDelta && result.deltaPrice) ? result.deltaPrice : result.cheapestPrice;
-        const finalAirline = (prefersDelta && result.deltaPrice) ? 'Delta' : result.cheapestAirline;
-
-        await page.close();
-
-        if (finalPrice) {
-            console.log(`[Scraper] Found: $${finalPrice} (${finalAirline}) | Delta: $${result.deltaPrice || 'N/A'} | Cheapest: $${result.cheapestPrice} | All: ${result.foundPrices.join(', ')}`);
-            return { price: finalPrice, airline: finalAirline, success: true, raw_data: result };
-        } else {
-            console.log(`[Scraper] No price found for ${flight.name}`);
-            return { success: false, error: 'No prices found on page' };
-        }
+        return readResults(page, flight, options, waitTime);
+    });
+}
 
-    } catch (error) {
-        console.error(`[Scraper] Error: ${error.message}`);
-        try { await page.close(); } catch (e) {}
-        return { success: false, error: error.message };
+// ==================== FORM STRATEGY ====================
+// Drives the search form the way the early prototype scrapers did: click "Where from?", type the
+// airport, pick it from the suggestions, then the dates from the calendar, then Search.
+
+function formError(step) {
+    return scrapeError('layout_changed', `Search form: could not ${step}`);
+}
+
+// Click the first element matching selector whose aria-label (or text) matches pattern
+async function clickByText(page, selector, pattern) {
+    const handle = await page.evaluateHandle((sel, source, flags) => {
+        const re = new RegExp(source, flags);
+        return [...document.querySelectorAll(sel)]
+            .find(el => re.test((el.getAttribute('aria-label') || el.innerText || '').trim()));
+    }, selector, pattern.source, pattern.flags);
+    const element = handle.asElement();
+    if (!element) return false;
+    await element.click();
+    return true;
+}
+
+async function selectTripType(page, roundTrip) {
+    if (roundTrip) return; // Google's default
+    if (!await clickByText(page, '[role="combobox"], button', /^Round trip/i)) throw formError('open the trip type menu');
+    await pause(500);
+    if (!await clickByText(page, 'li[role="option"]', /^One way$/i)) throw formError('select one way');
+    await pause(1000);
+}
+
+async function selectCabin(page, cabinClass) {
+    const cabinName = getCabinName(cabinClass);
+    if (cabinName === 'Economy') return; // Google's default
+    if (!await clickByText(page, '[role="combobox"], button', /^Economy/i)) throw formError('open the cabin menu');
+    await pause(500);
+    if (!await clickByText(page, 'li[role="option"]', new RegExp(`^${cabinName}$`, 'i'))) throw formError(`select ${cabinName}`);
+    await pause(1000);
+}
+
+async function selectPassengers(page, passengers) {
+    const adults = Number.isFinite(passengers) ? Math.max(1, passengers) : 1;
+    if (adults === 1) return;
+    if (!await clickByText(page, 'button', /passenger/i)) throw formError('open the passenger menu');
+    await pause(500);
+    for (let i = 1; i < adults; i++) {
+        if (!await clickByText(page, 'button', /^Add adult$/i)) throw formError('add an adult');
+        await pause(300);
     }
+    await clickByText(page, 'button', /^Done$/i);
+    await pause(500);
 }
 
-export async function getGoogleFlightQuote(flight, browser = null) {
-    const ownBrowser = !browser;
-    const activeBrowser = browser || await launchBrowser();
+async function fillAirport(page, field, code) {
+    const input = await page.$(`input[aria-label^="${field}"], input[placeholder="${field}"]`);
+    if (!input) throw formError(`find the "${field}" field`);
+    await input.click();
+    await pause(500);
+
+    // The click opens a search box that takes the focus: clear it and type into whatever has focus
+    await page.keyboard.down('Control');
+    await page.keyboard.press('A');
+    await page.keyboard.up('Control');
+    await page.keyboard.press('Backspace');
+    await page.keyboard.type(code, { delay: 100 });
+    await page.waitForSelector('ul[role="listbox"] li[role="option"]', { timeout: 5000 }).catch(() => null);
+    await pause(500);
+    await page.keyboard.press('Enter');
+    await pause(1500);
+}
 
-    try {
-        const result = await scrapeFlight(activeBrowser, flight);
-        if (!result.success) {
-            throw new Error(result.error || 'No prices found on page');
+// Open the calendar and click each date, paging forward month by month until it's shown
+async function pickDates(page, dates) {
+    const field = await page.$('input[aria-label^="Departure"], input[placeholder="Departure"]');
+    if (!field) throw formError('find the departure date field');
+    await field.click();
+    await pause(1500);
+
+    for (const date of dates) {
+        let cell = await page.$(`[data-iso="${date}"]`);
+        for (let month = 0; !cell && month < 12; month++) {
+            if (!await clickByText(page, 'button', /^Next$/i)) break;
+            await pause(500);
+            cell = await page.$(`[data-iso="${date}"]`);
         }
+        if (!cell) throw formError(`find ${date} in the date picker`);
+        await cell.click();
+        await pause(700);
+    }
 
-        return {
-            price: result.price,
-            airline: result.airline,
-            currency: 'USD',
-            source: 'google_flights',
-            raw_data: result.raw_data
-        };
-    } finally {
-        if (ownBrowser) {
-            await activeBrowser.close();
+    await clickByText(page, 'button', /^Done$/i);
+    await pause(1000);
+}
+
+async function submitSearch(page) {
+    if (await clickByText(page, 'button', /^Search$/i)) return;
+    const searchButton = await page.$('button[jsname="vLv7ab"]');
+    if (!searchButton) throw formError('find the Search button');
+    await searchButton.click();
+}
+
+async function scrapeSearchForm(browser, flight, options) {
+    return withSearchPage(browser, flight, async page => {
+        const startUrl = options.url || GOOGLE_FLIGHTS_HOME;
+        console.log(`[Scraper] Form search from ${startUrl}`);
+        await page.goto(startUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+        const waitTime = getSettleMs(flight, options);
+        await pause(Math.min(waitTime, 3000));
+
+        // The consent page comes before the form, so it has to go first here
+        const landing = classifyPage(await page.evaluate(collectPageSignals), 0);
+        if (landing === 'captcha') throw scrapeError('captcha');
+        if (landing === 'consent_required') {
+            if (options.acceptConsent === false || !await acceptConsent(page, waitTime)) throw scrapeError('consent_required');
+            const after = classifyPage(await page.evaluate(collectPageSignals), 0);
+            if (after === 'consent_required' || after === 'captcha') throw scrapeError(after);
         }
-    }
+
+        const departureDate = String(flight.departure_date || '').slice(0, 10);
+        const returnDate = flight.return_date ? String(flight.return_date).slice(0, 10) : null;
+
+        await selectTripType(page, Boolean(returnDate));
+        await selectCabin(page, flight.cabin_class);
+        await selectPassengers(page, flight.passengers);
+        await fillAirport(page, 'Where from?', String(flight.origin || '').trim());
+        await fillAirport(page, 'Where to?', String(flight.destination || '').trim());
+        await pickDates(page, [departureDate, returnDate].filter(Boolean));
+        await submitSearch(page);
+
+        await pause(waitTime);
+        if (options.screenshot !== false) {
+            await page.screenshot({ path: `/tmp/flight-${flight.id}.png`, fullPage: false });
+        }
+
+        return readResults(page, flight, options, waitTime);
+    });
 }
 
-// Main scrape function
-export async function scrapeAllFlights() {
-    console.log('[Scraper] Starting flight price check...');
+// ==================== RESULTS ====================
+
+// Read the result cards off a loaded results page and pick the price
+async function readResults(page, flight, options, waitTime) {
+    const preference = parseAirlinePreference(flight.preferred_airline);
 
-    const flights = await getActiveFlights();
+    // Collect every result card (its aria-label sentence and visible text); parsing happens in cards.js
+    const departureDate = String(flight.departure_date || '').slice(0, 10) || null;
+    let cards = parseCards(await page.evaluate(collectResultCards), { departureDate });
+    let state = classifyPage(await page.evaluate(collectPageSignals), cards.length);
 
-    if (flights.length === 0) {
-        console.log('[Scraper] No flights to check');
-        return { success: true, flights: 0, results: [] };
+    if (state === 'consent_required' && options.acceptConsent !== false && await acceptConsent(page, waitTime)) {
+        cards = parseCards(await page.evaluate(collectResultCards), { departureDate });
+        state = classifyPage(await page.evaluate(collectPageSignals), cards.length);
+        // Still on the interstitial, or somewhere we don't recognise: the accept didn't go through
+        if (state === 'layout_changed') state = 'consent_required';
+        console.log(`[Scraper] Accepted Google consent page, now: ${state}`);
     }
 
-    console.log(`[Scraper] Checking ${flights.length} flight(s)...`);
-
-    const browser = await launchBrowser();
-
-    const results = [];
-
-    for (const flight of flights) {
-        const result = await scrapeFlight(browser, flight);
-
-        if (result.success && result.price) {
-            // Save to database
-            await savePrice({
-                flight_id: flight.id,
-                price: result.price,
-                currency: 'USD',
-                airline: result.airline
-            });
-
-            results.push({
-                flight_id: flight.id,
-                name: flight.name,
-                price: result.price,
-                airline: result.airline,
-                success: true
-            });
-        } else {
-            results.push({
-                flight_id: flight.id,
-                name: flight.name,
-                success: false,
-                error: result.error
-            });
-        }
+    if (state !== 'results' || !cards.length) {
+        const type = state === 'results' ? 'layout_changed' : state;
+        console.log(`[Scraper] No price found for ${flight.name} (${type})`);
+        return { success: false, error: scrapeError(type).message, error_type: type };
+    }
 
-        // Delay between requests
-        await new Promise(r => setTimeout(r, 2000));
+    // Only cards the flight's constraints allow (constraints.js) can become the price
+    const constraints = getFlightConstraints(flight);
+    const rejected = [];
+    const bookable = cards.filter(c => {
+        const reason = getConstraintViolation(c, constraints);
+        if (reason) rejected.push({ position: c.position, price: c.price, reason });
+        return !reason;
+    });
+    if (!bookable.length) {
+        const message = `No flights meet this flight's constraints (${rejected.length} filtered out)`;
+        console.log(`[Scraper] ${message} for ${flight.name}`);
+        return { success: false, error: message, error_type: 'no_results' };
     }
 
-    await browser.close();
+    const picked = pickCheapestCard(bookable, { preference });
+
+    // The cheapest preferred-carrier card when there is one, otherwise the cheapest card
+    const { card, matched } = picked;
+    const preferred_airline_found = preference ? matched : null;
+    const raw_data = {
+        cardCount: cards.length,
+        selectedPosition: card.position,
+        preferredAirline: preference ? preference.entries.join(', ') : null,
+        preferredPrice: matched ? card.price : null,
+        cheapestPrice: pickCheapestCard(bookable).card.price,
+        foundPrices: cards.map(c => c.price).sort((a, b) => a - b).slice(0, 8),
+        rejectedCards: rejected
+    };
+
+    // Google's low/typical/high band for the route, when the page shows one (insights.js).
+    // The level rates the cheapest fare on the page; any other card (a preferred carrier, the
+    // cheapest one the constraints allow) keeps only the typical range and is judged against it.
+    const insight = parsePriceInsights(await page.evaluate(collectInsightText));
+    const isGoogleCheapest = card.price === pickCheapestCard(cards).card.price;
+
+    const preferredNote = preference ? ` | ${raw_data.preferredAirline}: ${matched ? `$${card.price}` : 'not found'}` : '';
+    const insightNote = insight ? ` | Prices ${describePriceInsight(insight)}` : '';
+    console.log(`[Scraper] Found: $${card.price} (${card.airline || 'unknown airline'})${preferredNote} | Cheapest: $${raw_data.cheapestPrice}${insightNote} | Cards: ${cards.length}`);
+    return {
+        success: true,
+        price: card.price,
+        airline: card.airline,
+        preferred_airline_found,
+        price_level: isGoogleCheapest ? insight?.price_level ?? null : null,
+        typical_price_low: insight?.typical_price_low ?? null,
+        typical_price_high: insight?.typical_price_high ?? null,
+        stops: card.stops,
+        duration_minutes: card.duration_minutes,
+        departure_time: card.departure_time,
+        arrival_time: card.arrival_time,
+        cards: cards.map(c => ({ ...c, selected: c.position === card.position })),
+        raw_data
+    };
+}
+
+// Scrapes with the given browser, or borrows a page from the shared pool (browser-pool.js).
+// options go to scrapeFlight (strategy).
+export async function getGoogleFlightQuote(flight, browser = null, options = {}) {
+    const result = browser
+        ? await scrapeFlight(browser, flight, options)
+        : await withPooledBrowser(pooled => scrapeFlight(pooled, flight, options));
+    if (!result.success) {
+        throw scrapeError(result.error_type || null, result.error || 'No prices found on page');
+    }
 
-    console.log('[Scraper] Complete!');
-    return { success: true, flights: flights.length, results };
+    return {
+        price: result.price,
+        airline: result.airline,
+        currency: 'USD',
+        source: 'google_flights',
+        stops: result.stops,
+        duration_minutes: result.duration_minutes,
+        departure_time: result.departure_time,
+        arrival_time: result.arrival_time,
+        preferred_airline_found: result.preferred_airline_found,
+        price_level: result.price_level,
+        typical_price_low: result.typical_price_low,
+        typical_price_high: result.typical_price_high,
+        cards: result.cards,
+        raw_data: result.raw_data
+    };
 }
@@ -0,0 +1,67 @@
+/**
+ * Google Flights Price Insights
+ *
+ * Above the results Google says how the current prices compare with what the route usually costs:
+ *
+ *   "Prices are currently low for your search"          (or typical / high; also "$498 is low")
+ *   "The least expensive flights with similar stops and duration to your search usually cost
+ *    between $450–900."
+ *
+ * scrapeFlight collects the matching lines of page text (collectInsightText) and parsePriceInsights
+ * turns them into { price_level, typical_price_low, typical_price_high }, stored with the price.
+ * Not every search shows the panel; then there is no insight.
+ */
+
+const INSIGHT_LINE = /prices are (currently|usually)|\bis (low|typical|high)\b|usually cost|typical (price|range)|than usual/i;
+const RANGE = '\\$\\s?([\\d,]+)\\s*(?:–|—|-|and|to)\\s*\\$?\\s?([\\d,]+)';
+
+// Runs inside the page; keep it self-contained
+export function collectInsightText() {
+    const pattern = /prices are (currently|usually)|\bis (low|typical|high)\b|usually cost|typical (price|range)|than usual/i;
+    return (document.body?.innerText || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && line.length < 300 && pattern.test(line))
+        .slice(0, 10)
+        .join('\n');
+}
+
+function toAmount(value) {
+    const num = Number(String(value).replace(/,/g, ''));
+    return Number.isFinite(num) && num > 0 ? num : null;
+}
+
+/**
+ * @param {string} text insight lines from the results page
+ * @returns {{ price_level: 'low'|'typical'|'high'|null, typical_price_low: number|null,
+ *            typical_price_high: number|null }|null} null when the page had no insight
+ */
+export function parsePriceInsights(text) {
+    const lines = String(text || '').replace(/[\u00a0\u202f]/g, ' ').split('\n').filter(line => INSIGHT_LINE.test(line));
+    if (!lines.length) return null;
+    const joined = lines.join('\n');
+
+    const level = joined.match(/prices are currently (low|typical|high)\b/i)
+        || joined.match(/\$[\d,]+ is (low|typical|high)\b/i);
+    const range = joined.match(new RegExp(`usually cost(?:s)? between ${RANGE}`, 'i'))
+        || joined.match(new RegExp(`typical (?:price|range)[^$\\n]{0,40}${RANGE}`, 'i'));
+
+    let low = range ? toAmount(range[1]) : null;
+    let high = range ? toAmount(range[2]) : null;
+    if (low && high && low > high) [low, high] = [high, low];
+
+    const insight = {
+        price_level: level ? level[1].toLowerCase() : null,
+        typical_price_low: low && high ? low : null,
+        typical_price_high: low && high ? high : null
+    };
+    return insight.price_level || insight.typical_price_low ? insight : null;
+}
+
+// "low (usually $450–$900)" for logs, emails and analysis text
+export function describePriceInsight(insight) {
+    if (!insight?.price_level && !insight?.typical_price_low) return null;
+    const range = insight.typical_price_low ? `usually $${insight.typical_price_low}–$${insight.typical_price_high}` : null;
+    if (!insight.price_level) return range;
+    return range ? `${insight.price_level} (${range})` : insight.price_level;
+}
@@ -0,0 +1,61 @@
+/**
+ * Google Flights Page State
+ *
+ * What scrapeFlight landed on, decided from a few signals collected in the page:
+ *   results           result cards were found
+ *   consent_required  Google's cookie consent interstitial (consent.google.com); the scraper
+ *                     clicks "Accept all" once and only reports this when that didn't get it through
+ *   captcha           the "unusual traffic" bot check (google.com/sorry, reCAPTCHA)
+ *   no_results        a search that worked but has no flights
+ *   layout_changed    none of the above: cards are missing and we don't know why (markup changed)
+ *   timeout           the page didn't load in time (set from the navigation error, not classified)
+ *
+ * Failures surface as errors with `type` set to one of these; it ends up in provider
+ * attempts and flights.last_check_status.
+ */
+
+export const SCRAPE_ERROR_TYPES = ['consent_required', 'captcha', 'no_results', 'layout_changed', 'timeout'];
+
+const MESSAGES = {
+    consent_required: 'Google consent page could not be accepted',
+    captcha: 'Google served a CAPTCHA (unusual traffic check)',
+    no_results: 'Google Flights returned no results for this search',
+    layout_changed: 'No flight cards found on page (layout may have changed)',
+    timeout: 'Google Flights did not load in time'
+};
+
+export function scrapeError(type, message = MESSAGES[type]) {
+    const error = new Error(message || 'Scrape failed');
+    error.type = type;
+    return error;
+}
+
+// Runs inside the page; keep it self-contained
+export function collectPageSignals() {
+    return {
+        url: location.href,
+        title: document.title || '',
+        text: (document.body?.innerText || '').slice(0, 5000),
+        hasConsentForm: !!document.querySelector('form[action*="consent.google"]'),
+        hasCaptcha: !!document.querySelector('#captcha-form, .g-recaptcha, iframe[src*="recaptcha"]')
+    };
+}
+
+/**
+ * @param {{ url: string, title: string, text: string, hasConsentForm: boolean, hasCaptcha: boolean }} signals
+ * @param {number} cardCount parsed result cards
+ * @returns {'results'|'consent_required'|'captcha'|'no_results'|'layout_changed'}
+ */
+export function classifyPage(signals, cardCount = 0) {
+    const { url = '', title = '', text = '', hasConsentForm = false, hasCaptcha = false } = signals || {};
+
+    if (/^https?:\/\/consent\.google\./i.test(url) || hasConsentForm || /before you continue to google/i.test(title)) {
+        return 'consent_required';
+    }
+    if (/google\.[a-z.]+\/sorry\//i.test(url) || hasCaptcha || /unusual traffic from your computer network/i.test(text)) {
+        return 'captcha';
+    }
+    if (cardCount > 0) return 'results';
+    if (/no results returned|no flights found|no matching flights/i.test(text)) return 'no_results';
+    return 'layout_changed';
+}
@@ -0,0 +1,125 @@
+/**
+ * Google Flights `tfs` Search Parameter
+ *
+ * Google encodes a search as a protobuf message, base64url'd into ?tfs=. Building it ourselves
+ * gives an exact search (airports, dates, cabin, passengers, stops) instead of a free-text
+ * q= query Google may misread or turn into the Explore page. No airline filter: a preferred
+ * airline is matched on the result cards, so the cheapest card overall stays visible as the fallback.
+ *
+ *   Info        3: FlightData (one per leg)   8: Passenger (packed)   9: Seat   19: Trip
+ *   FlightData  2: date "YYYY-MM-DD"   5: stops filter (0 any, 1 nonstop, 2 up to 1 stop, 3 up to 2)
+ *               13: from Airport   14: to Airport
+ *   Airport     1: kind (1 = airport)   2: IATA code
+ */
+
+export const SEAT = { economy: 1, premium_economy: 2, business: 3, first: 4 };
+const TRIP = { round_trip: 1, one_way: 2 };
+const PASSENGER = { adult: 1, child: 2, infant_in_seat: 3, infant_on_lap: 4 };
+
+const IATA_CODE = /^[A-Z]{3}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ==================== PROTOBUF WRITER ====================
+
+function varint(value) {
+    const bytes = [];
+    let n = value;
+    while (n > 0x7f) {
+        bytes.push((n & 0x7f) | 0x80);
+        n = Math.floor(n / 128);
+    }
+    bytes.push(n);
+    return bytes;
+}
+
+function key(field, wireType) {
+    return varint(field * 8 + wireType);
+}
+
+function varintField(field, value) {
+    return [...key(field, 0), ...varint(value)];
+}
+
+function bytesField(field, bytes) {
+    return [...key(field, 2), ...varint(bytes.length), ...bytes];
+}
+
+function stringField(field, value) {
+    return bytesField(field, [...Buffer.from(String(value), 'utf8')]);
+}
+
+// ==================== SEARCH ====================
+
+function airport(code) {
+    return [...varintField(1, 1), ...stringField(2, code)];
+}
+
+function leg({ date, from, to, maxStops }) {
+    return [
+        ...stringField(2, date),
+        ...(maxStops === null ? [] : varintField(5, maxStops + 1)),
+        ...bytesField(13, airport(from)),
+        ...bytesField(14, airport(to))
+    ];
+}
+
+/**
+ * Check a search can be expressed as tfs; returns the problem or null.
+ * (Anything that isn't an IATA code or an ISO date has to go through the free-text query.)
+ */
+export function getTfsProblem({ origin, destination, departureDate, returnDate = null } = {}) {
+    if (!IATA_CODE.test(origin || '')) return `origin "${origin}" is not an IATA code`;
+    if (!IATA_CODE.test(destination || '')) return `destination "${destination}" is not an IATA code`;
+    if (!ISO_DATE.test(departureDate || '')) return `departure date "${departureDate}" is not YYYY-MM-DD`;
+    if (returnDate && !ISO_DATE.test(returnDate)) return `return date "${returnDate}" is not YYYY-MM-DD`;
+    return null;
+}
+
+/**
+ * Encode a search as the tfs value.
+ * @param {Object} search
+ * @param {string} search.origin IATA code
+ * @param {string} search.destination IATA code
+ * @param {string} search.departureDate YYYY-MM-DD
+ * @param {string|null} [search.returnDate] YYYY-MM-DD; round trip when set
+ * @param {string} [search.cabin] economy | premium_economy | business | first
+ * @param {{ adults?: number, children?: number, infantsInSeat?: number, infantsOnLap?: number }} [search.passengers]
+ * @param {number|null} [search.maxStops] 0 = nonstop; null = any
+ * @returns {string} base64url, no padding
+ */
+export function encodeTfs(search) {
+    const normalized = {
+        ...search,
+        origin: String(search.origin || '').trim().toUpperCase(),
+        destination: String(search.destination || '').trim().toUpperCase()
+    };
+    const problem = getTfsProblem(normalized);
+    if (problem) throw new Error(`Cannot encode tfs search: ${problem}`);
+
+    const { origin, destination, departureDate, returnDate } = normalized;
+    const maxStops = Number.isInteger(search.maxStops) && search.maxStops >= 0 ? search.maxStops : null;
+    const legs = [{ date: departureDate, from: origin, to: destination, maxStops }];
+    if (returnDate) legs.push({ date: returnDate, from: destination, to: origin, maxStops });
+
+    const { adults = 1, children = 0, infantsInSeat = 0, infantsOnLap = 0 } = search.passengers || {};
+    const passengers = [
+        ...Array(Math.max(1, adults)).fill(PASSENGER.adult),
+        ...Array(Math.max(0, children)).fill(PASSENGER.child),
+        ...Array(Math.max(0, infantsInSeat)).fill(PASSENGER.infant_in_seat),
+        ...Array(Math.max(0, infantsOnLap)).fill(PASSENGER.infant_on_lap)
+    ];
+
+    const info = [
+        ...legs.flatMap(l => bytesField(3, leg(l))),
+        ...bytesField(8, passengers.flatMap(varint)),
+        ...varintField(9, SEAT[String(search.cabin || 'economy').toLowerCase()] || SEAT.economy),
+        ...varintField(19, returnDate ? TRIP.round_trip : TRIP.one_way)
+    ];
+
+    return Buffer.from(info).toString('base64url');
+}
+
+export function buildTfsUrl(search, { currency = 'USD', language = 'en' } = {}) {
+    const params = new URLSearchParams({ tfs: encodeTfs(search), hl: language, curr: currency });
+    return `https://www.google.com/travel/flights/search?${params}`;
+}
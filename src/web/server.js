@@ -11,23 +11,76 @@ import {
     deactivateFlight,
     getPriceHistory,
     updateFlight,
-    savePrice,
-    updateFlightCheckStatus,
     getJob,
     claimNextJob,
     updateJob,
     createJob,
     getFlexPrices,
-    getBestFlexPrice,
     upsertFlexPrice,
     getContext,
     upsertContext,
+    getAlertRules,
+    addAlertRule,
+    deleteAlertRule,
+    recordNotification,
+    updateNotification,
+    getNotificationsForFlight,
+    getDigestSettings,
+    upsertDigestSetting,
+    markDigestSent,
+    getOutboxEmails,
+    requeueOutboxEmails,
+    getDeadOutboxIds,
+    listChannels,
+    getChannel,
+    addChannel,
+    deleteChannel,
+    ensureRecipient,
+    listRecipients,
+    getFlightRecipients,
+    addFlightRecipient,
+    removeFlightRecipient,
+    getActiveFlightRecipientEmails,
+    updateRecipient,
+    getProviderAttempts,
+    getProviderUsageRows,
+    getCheckRun,
+    getCheckRuns,
     query
 } from '../db/postgres.js';
 import { startScheduler } from '../scheduler/alerts.js';
-import { createAndRunJob } from '../jobs/runner.js';
+import { getDefaultRules, validateRule } from '../alerts/rules.js';
+import { DIGEST_FREQUENCIES, getDefaultDigestFrequency } from '../notifications/digest.js';
+import { getEmailProvider, renderPriceDropAlert } from '../notifications/email.js';
+import { queuePriceDropAlert, processOutbox, startOutboxWorker } from '../notifications/outbox.js';
+import { validateChannelConfig, maskChannelConfig, sendToChannel } from '../notifications/channels.js';
+import { composeFlightAlert } from '../notifications/composer.js';
+import {
+    validatePreferences,
+    checkDelivery,
+    getRecipientLinkUrls,
+    createRecipientToken,
+    applyRecipientToken,
+    getPublicBaseUrl,
+    PAUSE_DAYS
+} from '../notifications/preferences.js';
+import { html } from '../notifications/templates.js';
+import { createAndRunJob, recordQuoteAttempts, saveCheckRun, saveFailedCheckRun, runScrapeCheck, scrapeAllFlights } from '../jobs/runner.js';
+import {
+    listProviders,
+    describeProvider,
+    getProviderOrder,
+    parseProviderList,
+    validateProviderList,
+    getProviderHealth,
+    recordProviderOutcomes,
+    getProviderUsage,
+    seedProviderUsage,
+    getUsageMonth
+} from '../pricing/engine.js';
+import { validateFlightConstraints, parseConstraintFields } from '../pricing/constraints.js';
+import { getBrowserPoolStatus, closeBrowserPool } from '../scraper/browser-pool.js';
 import { getScheduleInfo } from '../scheduler/schedule.js';
-import { fetchTravelContext } from '../context/context.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -78,11 +131,19 @@ function parsePassengers(value) {
     return Number.isFinite(num) ? num : null;
 }
 
+function parsePriceThreshold(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) && num > 0 ? num : NaN;
+}
+
 // Initialize PostgreSQL database on startup
 (async () => {
     try {
         await initializeDatabase();
         console.log('[DB] PostgreSQL ready');
+        // Monthly provider quotas carry over restarts
+        seedProviderUsage(await getProviderUsageRows(getUsageMonth()));
     } catch (error) {
         console.error('[DB] PostgreSQL initialization failed:', error);
         process.exit(1);
@@ -120,8 +181,21 @@ app.get('/api/health', async (req, res) => {
             resendKeySource: process.env.RESEND_API_KEY
                 ? 'RESEND_API_KEY'
                 : (process.env.RESEND_KEY ? 'RESEND_KEY' : null),
-            zapierConfigured: Boolean(process.env.ZAPIER_WEBHOOK_URL)
+            zapierConfigured: Boolean(process.env.ZAPIER_WEBHOOK_URL),
+            smtpConfigured: Boolean(process.env.SMTP_HOST),
+            smtpHost: process.env.SMTP_HOST || null,
+            smtpPort: process.env.SMTP_HOST ? (Number(process.env.SMTP_PORT) || 587) : null,
+            smtpAuth: Boolean(process.env.SMTP_USER),
+            provider: getEmailProvider()
         },
+        // Circuit breaker state per price provider (agent-reported attempts included)
+        providers: listProviders().map(provider => ({
+            name: provider.name,
+            configured: Boolean(provider.isConfigured()),
+            ...getProviderHealth(provider.name)
+        })),
+        // Shared Chromium used by Google Flights scrapes (launches, recycles, crashes)
+        browserPool: getBrowserPoolStatus(),
         build: {
             railwayCommit: process.env.RAILWAY_GIT_COMMIT_SHA || null,
             vercelCommit: process.env.VERCEL_GIT_COMMIT_SHA || null,
@@ -130,6 +204,45 @@ app.get('/api/health', async (req, res) => {
     });
 });
 
+// Registered price providers and the default order (PRICE_PROVIDERS or priority)
+app.get('/api/providers', (req, res) => {
+    res.json({
+        providers: listProviders().map(describeProvider),
+        ...getProviderOrder()
+    });
+});
+
+// Searches per provider this month against its quota (GET ?month=YYYY-MM for an earlier month)
+app.get('/api/providers/usage', async (req, res) => {
+    try {
+        const currentMonth = getUsageMonth();
+        const month = /^\d{4}-\d{2}$/.test(req.query.month || '') ? req.query.month : currentMonth;
+        const rows = await getProviderUsageRows(month);
+        if (month === currentMonth) seedProviderUsage(rows);
+
+        const stored = new Map(rows.map(r => [r.provider, Number(r.calls) || 0]));
+        res.json({
+            month,
+            providers: listProviders().map(provider => {
+                const current = getProviderUsage(provider);
+                const calls = month === currentMonth ? current.calls : (stored.get(provider.name) || 0);
+                return {
+                    name: provider.name,
+                    calls,
+                    monthlyQuota: current.monthlyQuota,
+                    remaining: current.monthlyQuota ? Math.max(0, current.monthlyQuota - calls) : null,
+                    exhausted: Boolean(current.monthlyQuota) && calls >= current.monthlyQuota,
+                    ratePerSecond: current.ratePerSecond,
+                    burst: current.burst
+                };
+            })
+        });
+    } catch (error) {
+        console.error('[API] GET /api/providers/usage failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.get('/api/flights', async (req, res) => {
     try {
         const flights = await getAllFlightsWithLatestPrice();
@@ -158,12 +271,23 @@ app.post('/api/flights', async (req, res) => {
             errors.push('Cabin class must be economy, premium_economy, business, or first');
         }
         if (body.notify_email && !isValidEmail(body.notify_email)) errors.push('Email must be valid');
+        const priceThreshold = parsePriceThreshold(body.price_threshold);
+        if (Number.isNaN(priceThreshold)) errors.push('Alert price must be a positive number');
+        const providersError = validateProviderList(body.price_providers);
+        if (providersError) errors.push(providersError);
+        errors.push(...validateFlightConstraints(body));
 
         if (errors.length) {
             return res.status(400).json({ error: errors.join('. ') });
         }
 
-        const id = await addFlight({ ...body, passengers: passengers ?? body.passengers });
+        const id = await addFlight({
+            ...body,
+            passengers: passengers ?? body.passengers,
+            price_threshold: priceThreshold,
+            price_providers: parseProviderList(body.price_providers).join(',') || null,
+            ...parseConstraintFields(body)
+        });
         res.json({ id, success: true });
     } catch (error) {
         console.error('[API] POST /api/flights failed:', error);
@@ -191,12 +315,22 @@ app.put('/api/flights/:id', async (req, res) => {
         if (body.notify_email !== undefined && body.notify_email && !isValidEmail(body.notify_email)) {
             errors.push('Email must be valid');
         }
+        const priceThreshold = parsePriceThreshold(body.price_threshold);
+        if (Number.isNaN(priceThreshold)) errors.push('Alert price must be a positive number');
+        const providersError = validateProviderList(body.price_providers);
+        if (providersError) errors.push(providersError);
+        errors.push(...validateFlightConstraints(body));
 
         if (errors.length) {
             return res.status(400).json({ error: errors.join('. ') });
         }
 
-        const updated = await updateFlight(parseInt(req.params.id), { ...body, passengers: passengers ?? body.passengers });
+        const patch = { ...body, passengers: passengers ?? body.passengers };
+        if (body.price_threshold !== undefined) patch.price_threshold = priceThreshold;
+        // Empty list (or null) goes back to PRICE_PROVIDERS / priority order
+        if (body.price_providers !== undefined) patch.price_providers = parseProviderList(body.price_providers).join(',') || null;
+        Object.assign(patch, parseConstraintFields(body));
+        const updated = await updateFlight(parseInt(req.params.id), patch);
         if (!updated) {
             return res.status(404).json({ error: 'Flight not found' });
         }
@@ -229,6 +363,171 @@ app.get('/api/flights/:id/prices', async (req, res) => {
     }
 });
 
+// Delivery log for a flight (newest first)
+app.get('/api/flights/:id/notifications', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const rows = await getNotificationsForFlight(parseInt(req.params.id), limit);
+        res.json(rows);
+    } catch (error) {
+        console.error('[API] GET /api/flights/:id/notifications failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Providers tried for this flight's quotes and how each attempt went (newest first)
+app.get('/api/flights/:id/provider-attempts', async (req, res) => {
+    try {
+        const flight = await getFlight(parseInt(req.params.id));
+        if (!flight) return res.status(404).json({ error: 'Flight not found' });
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        res.json({
+            ...getProviderOrder(flight),
+            attempts: await getProviderAttempts(flight.id, limit)
+        });
+    } catch (error) {
+        console.error('[API] GET /api/flights/:id/provider-attempts failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Recent check runs: consensus price per run (details at /checks/:runId)
+app.get('/api/flights/:id/checks', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        res.json(await getCheckRuns(parseInt(req.params.id), limit));
+    } catch (error) {
+        console.error('[API] GET /api/flights/:id/checks failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Every provider's quote from one check run next to the consensus price
+app.get('/api/flights/:id/checks/:runId', async (req, res) => {
+    try {
+        const run = await getCheckRun(parseInt(req.params.id), parseInt(req.params.runId));
+        if (!run) return res.status(404).json({ error: 'Check run not found' });
+
+        const consensus = run.consensus_price;
+        const quotes = run.quotes.map(q => ({
+            provider: q.provider,
+            status: q.status,
+            price: q.price,
+            currency: q.currency,
+            airline: q.airline,
+            error: q.error_text,
+            error_type: q.error_type || null,
+            duration_ms: q.duration_ms,
+            cached: Boolean(q.cached),
+            chosen: run.status === 'ok' && q.status === 'success' && q.provider === run.consensus_provider,
+            diff: consensus && q.price !== null ? Math.round((q.price - consensus) * 100) / 100 : null,
+            diff_percent: consensus && q.price !== null ? Math.round(((q.price - consensus) / consensus) * 1000) / 10 : null
+        }));
+
+        res.json({ ...run, quotes });
+    } catch (error) {
+        console.error('[API] GET /api/flights/:id/checks/:runId failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Everyone who gets this flight's alerts and digests: one owner (mirrored in notify_email) plus watchers
+const FLIGHT_RECIPIENT_ROLES = ['owner', 'watcher'];
+
+app.get('/api/flights/:id/recipients', async (req, res) => {
+    try {
+        const rows = await getFlightRecipients(parseInt(req.params.id));
+        res.json(rows.map(({ link_secret, ...row }) => row));
+    } catch (error) {
+        console.error('[API] GET /api/flights/:id/recipients failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/flights/:id/recipients', async (req, res) => {
+    try {
+        const flight = await getFlight(parseInt(req.params.id));
+        if (!flight) return res.status(404).json({ error: 'Flight not found' });
+
+        const { email, role = 'watcher' } = req.body || {};
+        if (!isValidEmail(email)) {
+            return res.status(400).json({ error: 'Email must be valid' });
+        }
+        if (!FLIGHT_RECIPIENT_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${FLIGHT_RECIPIENT_ROLES.join(', ')}` });
+        }
+
+        const recipient = await addFlightRecipient({ flight_id: flight.id, email: email.trim(), role });
+        res.json({ id: recipient.id, email: recipient.email, role, success: true });
+    } catch (error) {
+        console.error('[API] POST /api/flights/:id/recipients failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/flights/:id/recipients/:recipientId', async (req, res) => {
+    try {
+        const removed = await removeFlightRecipient(parseInt(req.params.id), parseInt(req.params.recipientId));
+        if (!removed) return res.status(404).json({ error: 'Recipient not found on this flight' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] DELETE /api/flights/:id/recipients/:recipientId failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Alert rules (flights without stored rules use the defaults)
+app.get('/api/flights/:id/alert-rules', async (req, res) => {
+    try {
+        const flight = await getFlight(parseInt(req.params.id));
+        if (!flight) return res.status(404).json({ error: 'Flight not found' });
+
+        const rules = await getAlertRules(flight.id);
+        if (!rules.length) {
+            return res.json({ usingDefaults: true, rules: getDefaultRules(flight) });
+        }
+        res.json({ usingDefaults: false, rules });
+    } catch (error) {
+        console.error('[API] GET /api/flights/:id/alert-rules failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/flights/:id/alert-rules', async (req, res) => {
+    try {
+        const flight = await getFlight(parseInt(req.params.id));
+        if (!flight) return res.status(404).json({ error: 'Flight not found' });
+
+        const { type, value } = req.body || {};
+        const ruleError = validateRule({ type, value });
+        if (ruleError) {
+            return res.status(400).json({ error: ruleError });
+        }
+
+        const id = await addAlertRule({
+            flight_id: flight.id,
+            type,
+            value: value === undefined || value === null || value === '' ? null : Number(value)
+        });
+        res.json({ id, success: true });
+    } catch (error) {
+        console.error('[API] POST /api/flights/:id/alert-rules failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/flights/:id/alert-rules/:ruleId', async (req, res) => {
+    try {
+        const deleted = await deleteAlertRule(parseInt(req.params.id), parseInt(req.params.ruleId));
+        if (!deleted) return res.status(404).json({ error: 'Alert rule not found' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] DELETE /api/flights/:id/alert-rules/:ruleId failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.post('/api/flights/:id/check', async (req, res) => {
     try {
         const flightId = parseInt(req.params.id);
@@ -317,6 +616,24 @@ app.post('/api/agent/jobs/:id/complete', requireAgentAuth, async (req, res) => {
             await updateJob(jobId, { progress_current });
         }
 
+        if (job.type === 'send_email') {
+            await logAgentEmailDelivery(job, { status: finalStatus, result, error_text });
+        }
+
+        // The agent's searches count towards provider health here too (cache hits are ignored)
+        recordProviderOutcomes([
+            ...(result?.attempts || []),
+            ...(Array.isArray(result?.results) ? result.results.flatMap(row => row?.attempts || []) : [])
+        ]);
+
+        // A check where no provider returned a price is still a run (its attempts say why)
+        if (finalStatus === 'error' && job.type === 'check_now' && job.flight_id) {
+            await saveFailedCheckRun(job.flight_id, {
+                message: error_text || 'Agent reported error',
+                attempts: result?.attempts || []
+            }, jobId);
+        }
+
         if (finalStatus === 'error') {
             await updateJob(jobId, {
                 status: 'error',
@@ -328,34 +645,24 @@ app.post('/api/agent/jobs/:id/complete', requireAgentAuth, async (req, res) => {
 
         // Apply side effects based on job type
         if (job.type === 'check_now' && result) {
-            await savePrice({
-                flight_id: job.flight_id,
-                price: result.price,
-                currency: result.currency || 'USD',
-                airline: result.airline || null,
-                raw_data: result.raw_data || null,
-                source: result.source || null
-            });
-            await updateFlightCheckStatus(job.flight_id, 'ok', null);
+            const { runId } = await saveCheckRun(job.flight_id, result, jobId);
+            result.run_id = runId;
         }
 
         if (job.type === 'check_all' && result?.results) {
             for (const row of result.results) {
-                if (!row?.flight_id || !row.price) continue;
-                await savePrice({
-                    flight_id: row.flight_id,
-                    price: row.price,
-                    currency: row.currency || 'USD',
-                    airline: row.airline || null,
-                    raw_data: row.raw_data || null,
-                    source: row.source || null
-                });
-                await updateFlightCheckStatus(row.flight_id, 'ok', null);
+                if (!row?.flight_id) continue;
+                if (row.price) {
+                    await saveCheckRun(row.flight_id, row, jobId);
+                } else {
+                    await saveFailedCheckRun(row.flight_id, { message: row.error || 'No price', attempts: row.attempts }, jobId);
+                }
             }
         }
 
         if (job.type === 'flex_scan' && result?.results) {
             for (const row of result.results) {
+                await recordQuoteAttempts(job.flight_id, row.attempts, jobId);
                 await upsertFlexPrice({
                     flight_id: job.flight_id,
                     departure_date: row.departure_date,
@@ -370,6 +677,12 @@ app.post('/api/agent/jobs/:id/complete', requireAgentAuth, async (req, res) => {
             }
         }
 
+        if (job.type === 'weekly_digest' && Array.isArray(result?.sent)) {
+            for (const recipient of result.sent) {
+                await markDigestSent(recipient, getDefaultDigestFrequency());
+            }
+        }
+
         if (job.type === 'context_refresh' && result?.context) {
             await upsertContext({
                 flight_id: job.flight_id,
@@ -391,6 +704,43 @@ app.post('/api/agent/jobs/:id/complete', requireAgentAuth, async (req, res) => {
     }
 });
 
+// The local agent sends email without DB access, so its deliveries are logged here
+async function logAgentEmailDelivery(job, { status, result, error_text }) {
+    let payload = null;
+    try {
+        payload = job.payload_json ? JSON.parse(job.payload_json) : null;
+    } catch {
+        payload = null;
+    }
+
+    const fields = {
+        provider: result?.provider || null,
+        provider_response: result?.response || null,
+        status: status === 'success' ? 'sent' : 'failed',
+        error_text: status === 'success' ? null : (error_text || 'Agent reported error')
+    };
+
+    try {
+        if (payload?.notification_id) {
+            await updateNotification(payload.notification_id, { ...fields, sent_at: new Date().toISOString() });
+            return;
+        }
+
+        const flight = await getFlight(job.flight_id);
+        await recordNotification({
+            ...fields,
+            flight_id: job.flight_id,
+            price_id: payload?.price_id || result?.price_id || null,
+            type: payload?.origin === 'manual_notify' ? 'manual' : 'price_drop',
+            channel: 'email',
+            recipient: payload?.to || flight?.notify_email || null,
+            message: result?.subject || null
+        });
+    } catch (e) {
+        console.error('[API] Could not log agent email delivery:', e.message);
+    }
+}
+
 // Reset stuck jobs (running > 5 minutes)
 app.post('/api/agent/reset-stuck', requireAgentAuth, async (req, res) => {
     try {
@@ -497,6 +847,168 @@ app.get('/api/flights/:id/context', async (req, res) => {
     }
 });
 
+// Digest preferences per recipient (anyone on an active flight)
+app.get('/api/digest/settings', async (req, res) => {
+    try {
+        const stored = new Map((await getDigestSettings()).map(s => [s.recipient, s]));
+        const recipients = [...new Set((await getActiveFlightRecipientEmails()).map(r => r.email))];
+
+        res.json(recipients.map(recipient => ({
+            recipient,
+            frequency: stored.get(recipient)?.frequency || getDefaultDigestFrequency(),
+            last_sent_at: stored.get(recipient)?.last_sent_at || null
+        })));
+    } catch (error) {
+        console.error('[API] GET /api/digest/settings failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/digest/settings', async (req, res) => {
+    try {
+        const { email, frequency } = req.body || {};
+        if (!isValidEmail(email)) {
+            return res.status(400).json({ error: 'Email must be valid' });
+        }
+        if (!DIGEST_FREQUENCIES.includes(frequency)) {
+            return res.status(400).json({ error: `Frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
+        }
+
+        await upsertDigestSetting({ recipient: email.trim().toLowerCase(), frequency });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] PUT /api/digest/settings failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send digests now (ignores daily/weekly timing)
+app.post('/api/digest/send', async (req, res) => {
+    try {
+        const jobId = await createAndRunJob({
+            type: 'weekly_digest',
+            payload: { origin: 'railway', force: true, requested_at: new Date().toISOString() }
+        });
+        res.json({ jobId });
+    } catch (error) {
+        console.error('[API] POST /api/digest/send failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Recipient preferences: status, alert frequency, channel, timezone and quiet hours.
+// Rows are created the first time an address is emailed (or on the first PUT).
+app.get('/api/recipients', async (req, res) => {
+    try {
+        const rows = await listRecipients();
+        res.json(rows.map(({ link_secret, ...row }) => row));
+    } catch (error) {
+        console.error('[API] GET /api/recipients failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/recipients/:email', async (req, res) => {
+    try {
+        const email = req.params.email;
+        if (!isValidEmail(email)) {
+            return res.status(400).json({ error: 'Email must be valid' });
+        }
+
+        const patch = { ...(req.body || {}) };
+        const prefError = validatePreferences(patch);
+        if (prefError) {
+            return res.status(400).json({ error: prefError });
+        }
+        if (patch.digest_frequency !== undefined && !DIGEST_FREQUENCIES.includes(patch.digest_frequency)) {
+            return res.status(400).json({ error: `Digest frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
+        }
+        // Resuming clears any pause end date
+        if (patch.status === 'active') patch.paused_until = null;
+
+        const recipient = await ensureRecipient(email);
+        const { link_secret, ...updated } = await updateRecipient(recipient.id, patch);
+        if (patch.digest_frequency) {
+            await upsertDigestSetting({ recipient: recipient.email, frequency: patch.digest_frequency });
+        }
+        res.json({ success: true, recipient: updated });
+    } catch (error) {
+        console.error('[API] PUT /api/recipients/:email failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Confirmation page for the links at the bottom of every email
+function renderRecipientLinkPage({ title, message, linkUrl = null, linkLabel = null }) {
+    return String(html`<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f8fafc; padding: 40px 20px; color: #1e293b; }
+        .card { max-width: 440px; margin: 0 auto; background: white; border-radius: 12px; padding: 28px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); text-align: center; }
+        a { color: #ca8a04; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h1 style="font-size: 22px;">${title}</h1>
+        <p>${message}</p>
+        ${linkUrl ? html`<p><a href="${linkUrl}">${linkLabel}</a></p>` : ''}
+    </div>
+</body>
+</html>`);
+}
+
+// GET for the email links, POST for one-click List-Unsubscribe (RFC 8058)
+async function handleRecipientLink(req, res) {
+    try {
+        const result = await applyRecipientToken(req.params.token);
+        if (!result) {
+            return res.status(400).type('html').send(renderRecipientLinkPage({
+                title: 'Link not valid',
+                message: 'This link is invalid or has been replaced. Use the link in your latest email.'
+            }));
+        }
+
+        const { recipient, action } = result;
+        const resumeUrl = `${getPublicBaseUrl()}/api/unsubscribe/${createRecipientToken(recipient, 'resume')}`;
+        const pages = {
+            unsubscribe: {
+                title: 'Unsubscribed',
+                message: `${recipient.email} won't get flight alerts or digests anymore.`,
+                linkUrl: resumeUrl,
+                linkLabel: 'Changed your mind? Resubscribe'
+            },
+            pause: {
+                title: 'Paused',
+                message: `Emails to ${recipient.email} are paused for ${PAUSE_DAYS} days.`,
+                linkUrl: resumeUrl,
+                linkLabel: 'Resume now'
+            },
+            resume: {
+                title: 'Welcome back',
+                message: `${recipient.email} will get flight alerts again.`,
+                linkUrl: getRecipientLinkUrls(recipient).pauseUrl,
+                linkLabel: `Pause for ${PAUSE_DAYS} days`
+            }
+        };
+
+        if (req.method === 'POST') {
+            return res.json({ success: true, action, email: recipient.email });
+        }
+        res.type('html').send(renderRecipientLinkPage(pages[action]));
+    } catch (error) {
+        console.error(`[API] ${req.method} /api/unsubscribe/:token failed:`, error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+app.get('/api/unsubscribe/:token', handleRecipientLink);
+app.post('/api/unsubscribe/:token', handleRecipientLink);
+
 app.get('/api/schedule', (req, res) => {
     try {
         res.json(getScheduleInfo());
@@ -528,100 +1040,114 @@ app.get('/api/flights/:id/analysis', async (req, res) => {
     }
 });
 
-// Send price alert email for a flight
-app.post('/api/flights/:id/notify', async (req, res) => {
+// Render the alert email for a flight without sending it.
+// ?format=html|text returns just that body; default is JSON with the alert document.
+app.get('/api/flights/:id/notify/preview', async (req, res) => {
     try {
-        const { sendPriceDropAlert } = await import('../notifications/email.js');
-        const { analyzeFlightPrice } = await import('../agent/analyze.js');
-        const flight = await getFlightWithPrices(parseInt(req.params.id));
-
+        const flight = await getFlight(parseInt(req.params.id));
         if (!flight) {
             return res.status(404).json({ error: 'Flight not found' });
         }
 
-        if (!flight.notify_email) {
-            return res.status(400).json({ error: 'No email address configured for this flight' });
+        // ?to= picks which recipient's links to render (default: the owner)
+        const recipients = await getFlightRecipients(flight.id);
+        const recipient = req.query.to
+            ? recipients.find(r => r.email === String(req.query.to).trim().toLowerCase())
+            : recipients[0];
+        if (req.query.to && !recipient) {
+            return res.status(400).json({ error: `${req.query.to} is not a recipient of this flight` });
         }
 
-        const localAgentEnabled = ['1', 'true', 'yes'].includes(String(process.env.LOCAL_AGENT_ENABLED || '').toLowerCase());
-        if (localAgentEnabled) {
-            const jobId = await createJob({
-                type: 'send_email',
-                flight_id: flight.id,
-                progress_total: 1,
-                payload_json: JSON.stringify({ origin: 'manual_notify', flight_id: flight.id })
-            });
-            return res.json({ queued: true, jobId });
+        const priceId = req.query.price_id ? parseInt(req.query.price_id) : null;
+        const alert = await composeFlightAlert(flight, { priceId, type: req.query.type || 'manual', refreshContext: false });
+        if (alert.currentPrice === null) {
+            return res.status(400).json({ error: 'No price recorded for this flight yet' });
         }
 
-        const prices = flight.prices || [];
-        const currentPrice = prices[0]?.price || 0;
-        const previousPrice = prices[1]?.price || currentPrice;
-        const lowestPrice = Math.min(...prices.map(p => p.price)) || currentPrice;
+        const links = recipient ? getRecipientLinkUrls(recipient) : {};
+        const { subject, html: body, text } = renderPriceDropAlert({ ...alert, ...links });
+        if (req.query.format === 'html') return res.type('html').send(body);
+        if (req.query.format === 'text') return res.type('text').send(text);
 
-        // Get price intelligence analysis
-        let analysis = null;
-        try {
-            analysis = await analyzeFlightPrice(parseInt(req.params.id));
-        } catch (e) {
-            console.log('Analysis not available:', e.message);
+        res.json({ to: recipient?.email || null, subject, html: body, text, alert, links });
+    } catch (error) {
+        console.error('[API] GET /api/flights/:id/notify/preview failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send price alert email to every recipient of a flight
+app.post('/api/flights/:id/notify', async (req, res) => {
+    try {
+        const flight = await getFlight(parseInt(req.params.id));
+
+        if (!flight) {
+            return res.status(404).json({ error: 'Flight not found' });
         }
 
-        // Flex suggestion (cached)
-        const bestFlex = await getBestFlexPrice({
-            flight_id: flight.id,
-            maxAgeHours: 12,
-            cabin_class: flight.cabin_class,
-            passengers: flight.passengers || 1
-        });
-        const flexSuggestion = bestFlex?.price ? {
-            price: bestFlex.price,
-            departure_date: bestFlex.departure_date,
-            return_date: bestFlex.return_date,
-            savings: Math.max(0, Math.round(currentPrice - bestFlex.price))
-        } : null;
-
-        // Context (cached or refresh)
-        let context = null;
-        const cachedContext = await getContext({ flight_id: flight.id, maxAgeHours: 6 });
-        if (cachedContext?.context_json) {
-            try {
-                context = JSON.parse(cachedContext.context_json);
-            } catch (e) {
-                context = null;
+        const recipients = await getFlightRecipients(flight.id);
+        if (!recipients.length) {
+            return res.status(400).json({ error: 'No email address configured for this flight' });
+        }
+
+        // Pause/unsubscribe/channel preferences apply to manual sends too; quiet hours delay them
+        const results = [];
+        const allowed = [];
+        for (const recipient of recipients) {
+            const decision = checkDelivery(recipient, { kind: 'manual', channel: 'email' });
+            if (decision.allow) {
+                allowed.push({ recipient, deferredUntil: decision.deferUntil ? decision.deferUntil.toISOString() : null });
+            } else {
+                results.push({ to: recipient.email, status: 'skipped', reason: decision.reason });
             }
         }
+        if (!allowed.length) {
+            return res.status(409).json({
+                error: `Not sent: ${results.map(r => `${r.to} is ${r.reason}`).join('; ')}`,
+                results
+            });
+        }
 
-        if (!context) {
-            try {
-                context = await fetchTravelContext(flight);
-                await upsertContext({
+        const localAgentEnabled = ['1', 'true', 'yes'].includes(String(process.env.LOCAL_AGENT_ENABLED || '').toLowerCase());
+        if (localAgentEnabled) {
+            for (const { recipient, deferredUntil } of allowed) {
+                const jobId = await createJob({
+                    type: 'send_email',
                     flight_id: flight.id,
-                    context_json: JSON.stringify(context),
-                    expires_at: context.expires_at || null
+                    progress_total: 1,
+                    payload_json: JSON.stringify({ origin: 'manual_notify', flight_id: flight.id, to: recipient.email }),
+                    run_after: deferredUntil
                 });
-            } catch (e) {
-                console.log('Context not available:', e.message);
+                results.push({ to: recipient.email, status: 'queued', jobId, deferredUntil });
             }
+            return res.json({ queued: true, results });
         }
 
-        const scheduleInfo = getScheduleInfo();
-
-        await sendPriceDropAlert({
-            to: flight.notify_email,
-            flightName: flight.name,
-            route: `${flight.origin} → ${flight.destination}`,
-            currentPrice,
-            previousPrice,
-            lowestPrice,
-            airline: prices[0]?.airline || 'Various',
-            analysis,
-            flexSuggestion,
-            context,
-            nextRunAt: scheduleInfo.nextRunAt
-        });
+        const alert = await composeFlightAlert(flight, { type: 'manual' });
+        if (alert.currentPrice === null) {
+            return res.status(400).json({ error: 'No price recorded for this flight yet' });
+        }
+
+        for (const { recipient, deferredUntil } of allowed) {
+            const outboxId = await queuePriceDropAlert({ ...alert, to: recipient.email, notBefore: deferredUntil });
+            if (deferredUntil) {
+                results.push({ to: recipient.email, status: 'deferred', outboxId, deferredUntil });
+                continue;
+            }
+            const [attempt] = await processOutbox({ id: outboxId });
+            results.push({ to: recipient.email, status: attempt?.status || 'queued', outboxId, error: attempt?.error || null });
+        }
 
-        res.json({ success: true, message: `Email sent to ${flight.notify_email}` });
+        const describe = r => (r.status === 'deferred' ? `${r.to} (after quiet hours)` : r.to);
+        const delivered = results.filter(r => r.status === 'sent' || r.status === 'deferred');
+        if (delivered.length) {
+            return res.json({ success: true, results, message: `Email sent to ${delivered.map(describe).join(', ')}` });
+        }
+        res.status(502).json({
+            success: false,
+            results,
+            error: `Email not sent yet (${results.find(r => r.error)?.error || 'queued'}). It will be retried automatically.`
+        });
     } catch (error) {
         console.error('[API] POST /api/flights/:id/notify failed:', error);
         res.status(500).json({ error: error.message });
@@ -640,28 +1166,26 @@ app.post('/api/flights/:id/scrape', async (req, res) => {
 
         console.log(`[API] Scraping flight ${flightId}: ${flight.origin} → ${flight.destination}`);
 
-        const { getGoogleFlightQuote } = await import('../scraper/google-flights.js');
-        const result = await getGoogleFlightQuote(flight);
-
-        if (result && result.price) {
-            // Save the price to database
-            await savePrice({
-                flight_id: flightId,
-                price: result.price,
-                currency: result.currency || 'USD',
-                airline: result.airline || 'Unknown'
-            });
-
-            res.json({
-                success: true,
-                price: result.price,
-                currency: result.currency || 'USD',
-                airline: result.airline,
-                source: 'google_flights_puppeteer'
-            });
-        } else {
-            res.json({ success: false, error: 'No price found' });
+        const result = await runScrapeCheck(flight);
+        if (!result.success) {
+            return res.json({ success: false, error: result.error, error_type: result.error_type });
         }
+
+        const { quote } = result;
+        res.json({
+            success: true,
+            price: quote.price,
+            currency: quote.currency || 'USD',
+            airline: quote.airline,
+            stops: quote.stops,
+            duration_minutes: quote.duration_minutes,
+            preferred_airline_found: quote.preferred_airline_found,
+            price_level: quote.price_level,
+            cards: quote.cards?.length || 0,
+            cached: Boolean(quote.cached),
+            run_id: result.runId,
+            source: 'google_flights_puppeteer'
+        });
     } catch (error) {
         console.error('[API] POST /api/flights/:id/scrape failed:', error);
         res.status(500).json({ success: false, error: error.message });
@@ -671,7 +1195,6 @@ app.post('/api/flights/:id/scrape', async (req, res) => {
 // Trigger manual scrape
 app.post('/api/scrape', async (req, res) => {
     try {
-        const { scrapeAllFlights } = await import('../scraper/google-flights.js');
         const result = await scrapeAllFlights();
         res.json(result);
     } catch (error) {
@@ -692,13 +1215,146 @@ app.get('/api/cron', async (req, res) => {
         console.log('[Cron] Triggered by Vercel cron job');
         const { checkAndSendPriceUpdates } = await import('../scheduler/alerts.js');
         await checkAndSendPriceUpdates();
-        res.json({ success: true, message: 'Price check and emails completed' });
+        // No background worker on Vercel, so drain the outbox here
+        const outbox = await processOutbox({ limit: 50 });
+        res.json({ success: true, message: 'Price check and emails completed', outbox });
     } catch (error) {
         console.error('[Cron] Error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// Notification channels (webhook, slack, discord, telegram, ntfy).
+// A channel belongs to one flight (flight_id) or to every flight of a recipient (recipient email).
+function serializeChannel(row) {
+    let config = {};
+    try {
+        config = JSON.parse(row.config_json);
+    } catch {
+        config = {};
+    }
+    const { config_json, ...rest } = row;
+    return { ...rest, config: maskChannelConfig(config) };
+}
+
+app.get('/api/channels', async (req, res) => {
+    try {
+        const rows = await listChannels({
+            flight_id: req.query.flight_id ? parseInt(req.query.flight_id) : null,
+            recipient: req.query.recipient || null
+        });
+        res.json(rows.map(serializeChannel));
+    } catch (error) {
+        console.error('[API] GET /api/channels failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/channels', async (req, res) => {
+    try {
+        const { flight_id, recipient, channel, config } = req.body || {};
+        const errors = [];
+
+        if (!flight_id && !recipient) errors.push('Set flight_id or recipient');
+        if (flight_id && recipient) errors.push('Set only one of flight_id or recipient');
+        if (recipient && !isValidEmail(recipient)) errors.push('Recipient must be a valid email');
+        const configError = validateChannelConfig(channel, config);
+        if (configError) errors.push(configError);
+
+        if (errors.length) {
+            return res.status(400).json({ error: errors.join('. ') });
+        }
+
+        if (flight_id && !(await getFlight(parseInt(flight_id)))) {
+            return res.status(404).json({ error: 'Flight not found' });
+        }
+
+        const id = await addChannel({
+            flight_id: flight_id ? parseInt(flight_id) : null,
+            recipient: recipient ? recipient.trim() : null,
+            channel,
+            config
+        });
+        res.json({ id, success: true });
+    } catch (error) {
+        console.error('[API] POST /api/channels failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/channels/:id', async (req, res) => {
+    try {
+        const deleted = await deleteChannel(parseInt(req.params.id));
+        if (!deleted) return res.status(404).json({ error: 'Channel not found' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[API] DELETE /api/channels/:id failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send a sample alert to check the channel is wired up
+app.post('/api/channels/:id/test', async (req, res) => {
+    try {
+        const row = await getChannel(parseInt(req.params.id));
+        if (!row) return res.status(404).json({ error: 'Channel not found' });
+
+        const response = await sendToChannel(row.channel, {
+            flightName: 'Test alert',
+            route: 'ATL → MAD',
+            currentPrice: 656,
+            previousPrice: 760,
+            lowestPrice: 656,
+            airline: 'Delta',
+            reasons: ['This is a test from Flight Tracker']
+        }, JSON.parse(row.config_json));
+        res.json({ success: true, response });
+    } catch (error) {
+        console.error('[API] POST /api/channels/:id/test failed:', error);
+        res.status(502).json({ success: false, error: error.message });
+    }
+});
+
+// Email outbox: pending/failed messages (?status=queued,sending,dead,sent)
+app.get('/api/outbox', async (req, res) => {
+    try {
+        const allowed = ['queued', 'sending', 'sent', 'dead'];
+        const statuses = req.query.status
+            ? String(req.query.status).split(',').map(s => s.trim()).filter(s => allowed.includes(s))
+            : ['queued', 'sending', 'dead'];
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        res.json(await getOutboxEmails({ statuses, limit }));
+    } catch (error) {
+        console.error('[API] GET /api/outbox failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/outbox/:id/retry', async (req, res) => {
+    try {
+        const [requeued] = await requeueOutboxEmails([parseInt(req.params.id)]);
+        if (!requeued) return res.status(404).json({ error: 'No queued or dead message with that id' });
+
+        const [attempt] = await processOutbox({ id: requeued });
+        res.json({ id: requeued, status: attempt?.status || 'queued', error: attempt?.error || null });
+    } catch (error) {
+        console.error('[API] POST /api/outbox/:id/retry failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/outbox/retry-dead', async (req, res) => {
+    try {
+        const requeued = await requeueOutboxEmails(await getDeadOutboxIds());
+        processOutbox({ limit: requeued.length || 1 })
+            .catch(error => console.error('[Outbox] Retry drain failed:', error.message));
+        res.json({ requeued: requeued.length, ids: requeued });
+    } catch (error) {
+        console.error('[API] POST /api/outbox/retry-dead failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Serve main page
 app.get('/', (req, res) => {
     res.sendFile(join(__dirname, 'public', 'index.html'));
@@ -714,8 +1370,19 @@ app.listen(PORT, () => {
     // Start automatic price drop alerts (only locally, Vercel uses cron endpoint)
     if (!process.env.VERCEL) {
         startScheduler();
+        startOutboxWorker();
     }
 });
 
+// Close the pooled Chromium on shutdown so a redeploy doesn't leave it running
+async function shutdown(signal) {
+    console.log(`[Server] ${signal} received, shutting down...`);
+    await closeBrowserPool();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Export for Vercel serverless
 export default app;
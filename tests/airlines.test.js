@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeAirlineCode,
+    parseAirlinePreference,
+    matchesAirlinePreference,
+    matchesAirlinePreferenceByCode
+} from '../src/pricing/airlines.js';
+import { pickCheapestCard } from '../src/scraper/cards.js';
+
+test('airline names and codes normalize to IATA codes', () => {
+    assert.equal(normalizeAirlineCode('Delta'), 'DL');
+    assert.equal(normalizeAirlineCode('Delta Air Lines'), 'DL');
+    assert.equal(normalizeAirlineCode('Turkish Airlines'), 'TK');
+    assert.equal(normalizeAirlineCode('british airways'), 'BA');
+    assert.equal(normalizeAirlineCode(' af '), 'AF');
+    assert.equal(normalizeAirlineCode('Some Regional Air'), null);
+    assert.equal(normalizeAirlineCode(''), null);
+});
+
+test('preferences are lists of airlines and alliances; any means none', () => {
+    assert.equal(parseAirlinePreference('any'), null);
+    assert.equal(parseAirlinePreference(''), null);
+    assert.equal(parseAirlinePreference(null), null);
+
+    const preference = parseAirlinePreference('Delta, af, Star Alliance');
+    assert.deepEqual(preference.entries, ['Delta', 'af', 'Star Alliance']);
+    assert.deepEqual(preference.airlines, ['DL', 'AF']);
+    assert.deepEqual(preference.alliances, ['STAR_ALLIANCE']);
+    assert.ok(preference.codes.includes('UA'));
+    assert.ok(preference.codes.includes('DL'));
+    assert.deepEqual(parseAirlinePreference('oneworld').alliances, ['ONEWORLD']);
+    assert.deepEqual(parseAirlinePreference('skyteam').alliances, ['SKYTEAM']);
+});
+
+test('carriers match by code, by name and as whole words', () => {
+    const delta = parseAirlinePreference('delta');
+    assert.equal(matchesAirlinePreference(['Virgin Atlantic', 'Delta'], delta), true);
+    assert.equal(matchesAirlinePreference(['Delta Connection'], delta), true);
+    assert.equal(matchesAirlinePreference(['DL'], delta), true);
+    assert.equal(matchesAirlinePreference(['Iberia'], delta), false);
+
+    assert.equal(matchesAirlinePreference(['Air Canada'], parseAirlinePreference('ANA')), false);
+    assert.equal(matchesAirlinePreference(['Virgin Atlantic'], parseAirlinePreference('Virgin')), true);
+    assert.equal(matchesAirlinePreference(['KLM'], parseAirlinePreference('SkyTeam')), true);
+    assert.equal(matchesAirlinePreference([], parseAirlinePreference('SkyTeam')), false);
+    assert.equal(matchesAirlinePreference(['Iberia'], null), true);
+});
+
+test('a name-only preference has no codes, so code-only matching reports it as unknown', () => {
+    const regional = parseAirlinePreference('Some Regional Air');
+    assert.deepEqual(regional.codes, []);
+    assert.deepEqual(regional.names, ['some regional air']);
+
+    // Amadeus carriers are codes: nothing to compare a bare name with
+    assert.equal(matchesAirlinePreferenceByCode(['DL', 'AF'], regional), null);
+    assert.equal(matchesAirlinePreferenceByCode(['DL'], parseAirlinePreference('Virgin')), null);
+    // Google cards carry names, which can still match
+    assert.equal(matchesAirlinePreference(['Some Regional Air'], regional), true);
+
+    assert.equal(matchesAirlinePreferenceByCode(['DL', 'AF'], parseAirlinePreference('Delta')), true);
+    assert.equal(matchesAirlinePreferenceByCode(['IB'], parseAirlinePreference('SkyTeam')), false);
+    // A mixed list is judged by the part that has codes
+    assert.equal(matchesAirlinePreferenceByCode(['DL'], parseAirlinePreference('Some Regional Air, Delta')), true);
+    assert.equal(matchesAirlinePreferenceByCode(['DL'], null), null);
+});
+
+test('the cheapest preferred card wins, else the cheapest card unmatched', () => {
+    const cards = [
+        { price: 498, airlines: ['Iberia'], position: 0 },
+        { price: 655, airlines: ['Delta'], position: 1 },
+        { price: 612, airlines: ['United', 'Lufthansa'], position: 2 }
+    ];
+
+    assert.deepEqual(pickCheapestCard(cards, { preference: parseAirlinePreference('Delta, UA') }), { card: cards[2], matched: true });
+    assert.deepEqual(pickCheapestCard(cards, { preference: parseAirlinePreference('SkyTeam') }), { card: cards[1], matched: true });
+    assert.deepEqual(pickCheapestCard(cards, { preference: parseAirlinePreference('Emirates') }), { card: cards[0], matched: false });
+    assert.deepEqual(pickCheapestCard(cards), { card: cards[0], matched: false });
+    assert.equal(pickCheapestCard([]), null);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RULE_TYPES, getDefaultRules, validateRule, evaluateRules } from '../src/alerts/rules.js';
+
+const flight = { id: 1, name: 'Madrid for Christmas', price_threshold: 700 };
+
+function fire(type, value, snapshot) {
+    return evaluateRules([{ id: 3, type, value }], { flight, ...snapshot });
+}
+
+test('below_threshold fires when the price crosses the target on the way down', () => {
+    assert.deepEqual(fire('below_threshold', null, { price: 650, previousPrice: 720 }), [
+        { ruleId: 3, type: 'below_threshold', value: null, message: 'Below your $700 target' }
+    ]);
+    // A rule value overrides the flight's price_threshold
+    assert.equal(fire('below_threshold', 600, { price: 650, previousPrice: 720 }).length, 0);
+    assert.equal(fire('below_threshold', 600, { price: 590, previousPrice: 720 })[0].message, 'Below your $600 target');
+    // Above the target, or no target at all
+    assert.equal(fire('below_threshold', null, { price: 701, previousPrice: 720 }).length, 0);
+    assert.equal(evaluateRules([{ type: 'below_threshold', value: null }], { flight: {}, price: 100, previousPrice: 900 }).length, 0);
+});
+
+test('below_threshold stays quiet while the price sits under an alerted target', () => {
+    // Already below last check and already alerted at this price
+    assert.equal(fire('below_threshold', null, { price: 650, previousPrice: 660, lastAlertPrice: 650 }).length, 0);
+    // Falls further than the alerted price
+    assert.equal(fire('below_threshold', null, { price: 640, previousPrice: 660, lastAlertPrice: 650 }).length, 1);
+    // Below the target but never alerted
+    assert.equal(fire('below_threshold', null, { price: 650, previousPrice: 660 }).length, 1);
+});
+
+test('all_time_low fires only below the lowest earlier price', () => {
+    assert.equal(fire('all_time_low', null, { price: 599, lowestPrice: 612 })[0].message, 'New all-time low (previous low $612)');
+    assert.equal(fire('all_time_low', null, { price: 612, lowestPrice: 612 }).length, 0);
+    // The first price for a flight has nothing to beat
+    assert.equal(fire('all_time_low', null, { price: 612, lowestPrice: null }).length, 0);
+});
+
+test('drop_percent compares with the last alert, or the previous check before any alert', () => {
+    assert.equal(fire('drop_percent', 10, { price: 900, previousPrice: 1000 })[0].message, 'Dropped 10.0% from $1000');
+    assert.equal(fire('drop_percent', 10, { price: 901, previousPrice: 1000 }).length, 0);
+    // 5% below the last check but 15% below the price we last alerted at
+    assert.equal(fire('drop_percent', 10, { price: 850, previousPrice: 895, lastAlertPrice: 1000 })[0].message, 'Dropped 15.0% from $1000');
+    // 12% below the last check but only 2% below the last alert
+    assert.equal(fire('drop_percent', 10, { price: 880, previousPrice: 1000, lastAlertPrice: 900 }).length, 0);
+    assert.equal(fire('drop_percent', 10, { price: 500 }).length, 0);
+});
+
+test('rise_percent fires on a jump from the baseline', () => {
+    assert.equal(fire('rise_percent', 20, { price: 1250, previousPrice: 1000 })[0].message, 'Rose 25.0% from $1000');
+    assert.equal(fire('rise_percent', 20, { price: 1150, previousPrice: 1000 }).length, 0);
+    assert.equal(fire('rise_percent', 20, { price: 800, previousPrice: 1000 }).length, 0);
+});
+
+test('every rule type is covered and several rules can fire together', () => {
+    assert.deepEqual(RULE_TYPES, ['below_threshold', 'all_time_low', 'drop_percent', 'rise_percent']);
+
+    const fired = evaluateRules(getDefaultRules(flight), { flight, price: 540, previousPrice: 720, lowestPrice: 610 });
+    assert.deepEqual(fired.map(f => f.type), ['below_threshold', 'all_time_low', 'drop_percent']);
+    assert.ok(fired.every(f => f.ruleId === null));
+
+    assert.deepEqual(evaluateRules([{ type: 'unknown', value: 1 }], { flight, price: 1, previousPrice: 1000 }), []);
+    assert.deepEqual(evaluateRules(getDefaultRules(flight), { flight, price: NaN, previousPrice: 720 }), []);
+});
+
+test('default rules add the threshold rule only when the flight has one', () => {
+    assert.deepEqual(getDefaultRules(flight).map(r => r.type), ['below_threshold', 'all_time_low', 'drop_percent']);
+    assert.deepEqual(getDefaultRules({ price_threshold: null }).map(r => r.type), ['all_time_low', 'drop_percent']);
+    assert.deepEqual(getDefaultRules(undefined).map(r => r.type), ['all_time_low', 'drop_percent']);
+});
+
+test('validateRule rejects unknown types and out-of-range values', () => {
+    assert.match(validateRule({ type: 'price_below', value: 500 }), /^Rule type must be one of: below_threshold/);
+    assert.match(validateRule(), /^Rule type must be one of/);
+
+    for (const value of [undefined, null, '', 0, -5, 100, 150, 'ten']) {
+        assert.equal(validateRule({ type: 'drop_percent', value }), 'Percent rules need a value between 0 and 100');
+        assert.equal(validateRule({ type: 'rise_percent', value }), 'Percent rules need a value between 0 and 100');
+    }
+    assert.equal(validateRule({ type: 'drop_percent', value: '12.5' }), null);
+
+    assert.equal(validateRule({ type: 'below_threshold', value: 0 }), 'Threshold must be a positive number');
+    assert.equal(validateRule({ type: 'below_threshold', value: 'cheap' }), 'Threshold must be a positive number');
+    // Without a value the flight's price_threshold is used
+    assert.equal(validateRule({ type: 'below_threshold' }), null);
+    assert.equal(validateRule({ type: 'below_threshold', value: 650 }), null);
+    assert.equal(validateRule({ type: 'all_time_low', value: null }), null);
+});
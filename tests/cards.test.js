@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCard, parseCards, pickCheapestCard } from '../src/scraper/cards.js';
+import { parseAirlinePreference } from '../src/pricing/airlines.js';
+
+// Google puts a narrow no-break space before AM/PM
+const NNBSP = '\u202f';
+
+const deltaLabel = 'From 612 US dollars round trip total. Nonstop flight with Delta. Leaves Hartsfield-Jackson '
+    + `Atlanta International Airport at 5:35${NNBSP}PM on Friday, December 18 and arrives at Adolfo Suárez `
+    + `Madrid–Barajas Airport at 7:40${NNBSP}AM on Saturday, December 19. Total duration 8 hr 5 min. Select flight`;
+
+test('aria-label cards give price, carriers, stops, duration and local times', () => {
+    assert.deepEqual(parseCard({ label: deltaLabel, text: '' }, { departureDate: '2026-12-18' }), {
+        price: 612,
+        currency: 'USD',
+        airlines: ['Delta'],
+        airline: 'Delta',
+        stops: 0,
+        duration_minutes: 485,
+        departure_time: '2026-12-18T17:35:00',
+        arrival_time: '2026-12-19T07:40:00'
+    });
+
+    const connecting = parseCard({
+        label: 'From 1,045 US dollars. 1 stop flight with Iberia and American. Operated by Air Nostrum. '
+            + 'Leaves Atlanta at 12:05 PM on Friday, December 18 and arrives at Madrid at 12:30 AM on Saturday, December 19. '
+            + 'Total duration 6 hr.'
+    }, { departureDate: '2026-12-18' });
+    assert.equal(connecting.price, 1045);
+    assert.deepEqual(connecting.airlines, ['Iberia', 'American']);
+    assert.equal(connecting.stops, 1);
+    assert.equal(connecting.duration_minutes, 360);
+    assert.equal(connecting.departure_time, '2026-12-18T12:05:00');
+    assert.equal(connecting.arrival_time, '2026-12-19T00:30:00');
+});
+
+test('visible text fills in what the label lacks', () => {
+    const card = parseCard({
+        label: '',
+        text: `9:10${NNBSP}PM – 11:55${NNBSP}AM+1\nUnited\n12 hr 45 min\n2 stops\n$1,289\nround trip`
+    }, { departureDate: '2026-12-18' });
+
+    assert.equal(card.price, 1289);
+    assert.deepEqual(card.airlines, []);
+    assert.equal(card.airline, null);
+    assert.equal(card.stops, 2);
+    assert.equal(card.duration_minutes, 765);
+    assert.equal(card.departure_time, '2026-12-18T21:10:00');
+    assert.equal(card.arrival_time, '2026-12-19T11:55:00');
+
+    // Without a departure date the times stay bare
+    const undated = parseCard({ text: '6:00 AM – 8:30 AM Nonstop 2 hr 30 min $199' });
+    assert.equal(undated.departure_time, '06:00');
+    assert.equal(undated.arrival_time, '08:30');
+    assert.equal(undated.stops, 0);
+});
+
+test('12 AM and 12 PM map to 00 and 12 hours', () => {
+    const card = parseCard({ text: '12:15 AM – 12:50 PM 12 hr 35 min Nonstop $700' }, { departureDate: '2026-12-18' });
+    assert.equal(card.departure_time, '2026-12-18T00:15:00');
+    assert.equal(card.arrival_time, '2026-12-18T12:50:00');
+});
+
+test('an arrival in January after a December departure lands in the next year', () => {
+    const card = parseCard({
+        label: 'From 840 US dollars. Nonstop flight with Delta. Leaves Atlanta at 10:30 PM on Thursday, December 31 '
+            + 'and arrives at Madrid at 1:05 PM on Friday, January 1. Total duration 8 hr 35 min.'
+    }, { departureDate: '2026-12-31' });
+    assert.equal(card.departure_time, '2026-12-31T22:30:00');
+    assert.equal(card.arrival_time, '2027-01-01T13:05:00');
+});
+
+test('cards without a price are dropped', () => {
+    assert.equal(parseCard({ label: 'Nonstop flight with Delta.', text: 'Price unavailable' }), null);
+    assert.equal(parseCard(), null);
+});
+
+test('parseCards drops repeats of the same flight and numbers the rest', () => {
+    const repeated = { label: deltaLabel };
+    const cards = parseCards([
+        repeated,
+        { text: 'no price here' },
+        { text: '6:00 AM – 8:30 AM Nonstop 2 hr 30 min $499' },
+        repeated
+    ], { departureDate: '2026-12-18' });
+
+    assert.equal(cards.length, 2);
+    assert.deepEqual(cards.map(c => [c.price, c.position]), [[612, 0], [499, 1]]);
+});
+
+test('pickCheapestCard prefers the cheapest preferred carrier and says whether it found one', () => {
+    const cards = [
+        { price: 655, airlines: ['Delta'] },
+        { price: 498, airlines: ['Spirit'] },
+        { price: 720, airlines: ['Air France', 'KLM'] }
+    ];
+
+    assert.deepEqual(pickCheapestCard(cards), { card: cards[1], matched: false });
+    assert.deepEqual(pickCheapestCard(cards, { preference: parseAirlinePreference('Delta') }), { card: cards[0], matched: true });
+    assert.deepEqual(pickCheapestCard(cards, { preference: parseAirlinePreference('Lufthansa') }), { card: cards[1], matched: false });
+    assert.equal(pickCheapestCard([]), null);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseConsensus, getConsensusTolerance } from '../src/pricing/consensus.js';
+
+const amadeus = { provider: 'amadeus', price: 612 };
+const google = { provider: 'google_flights', price: 598 };
+
+test('no usable quotes give no consensus', () => {
+    assert.equal(chooseConsensus([]), null);
+    assert.equal(chooseConsensus(null), null);
+    assert.equal(chooseConsensus([{ provider: 'amadeus', price: null }, { provider: 'google_flights', price: 0 }]), null);
+});
+
+test('a single quote is used as is', () => {
+    assert.deepEqual(chooseConsensus([amadeus]), {
+        quote: amadeus,
+        reason: 'Only amadeus returned a price',
+        spreadPercent: 0
+    });
+    // Failed providers don't count as a second opinion
+    assert.equal(chooseConsensus([{ provider: 'serpapi', price: NaN }, google]).quote, google);
+});
+
+test('agreeing quotes use the lowest', () => {
+    const result = chooseConsensus([amadeus, google], { tolerancePercent: 5 });
+    assert.equal(result.quote, google);
+    assert.equal(result.spreadPercent, 2.3);
+    assert.equal(result.reason, '2 providers agree within 2.3%; using the lowest ($598 from google_flights)');
+});
+
+test('two disagreeing quotes use the first in provider order', () => {
+    const cheapScrape = { provider: 'google_flights', price: 420 };
+    const result = chooseConsensus([amadeus, cheapScrape], { tolerancePercent: 5 });
+    assert.equal(result.quote, amadeus);
+    assert.equal(result.spreadPercent, 45.7);
+    assert.match(result.reason, /^Providers disagree by 45.7% \(\$612 from amadeus vs \$420 from google_flights\); using amadeus/);
+});
+
+test('an outlier among three or more quotes is outvoted by the median', () => {
+    const outlier = { provider: 'serpapi', price: 199 };
+    const result = chooseConsensus([outlier, amadeus, google], { tolerancePercent: 5 });
+    assert.equal(result.quote, google);
+    assert.match(result.reason, /median of 3 quotes \(\$598 from google_flights\)/);
+
+    // With an even count the lower middle quote wins
+    const four = chooseConsensus([amadeus, google, outlier, { provider: 'kiwi', price: 1400 }], { tolerancePercent: 5 });
+    assert.equal(four.quote, google);
+});
+
+test('CONSENSUS_TOLERANCE_PERCENT sets the agreement band', () => {
+    const saved = process.env.CONSENSUS_TOLERANCE_PERCENT;
+    try {
+        delete process.env.CONSENSUS_TOLERANCE_PERCENT;
+        assert.equal(getConsensusTolerance(), 5);
+        process.env.CONSENSUS_TOLERANCE_PERCENT = '50';
+        assert.equal(chooseConsensus([amadeus, { provider: 'google_flights', price: 420 }]).reason.startsWith('2 providers agree'), true);
+        process.env.CONSENSUS_TOLERANCE_PERCENT = 'loose';
+        assert.equal(getConsensusTolerance(), 5);
+    } finally {
+        if (saved === undefined) delete process.env.CONSENSUS_TOLERANCE_PERCENT;
+        else process.env.CONSENSUS_TOLERANCE_PERCENT = saved;
+    }
+});
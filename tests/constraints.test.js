@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    validateFlightConstraints,
+    parseConstraintFields,
+    getFlightConstraints,
+    getConstraintViolation
+} from '../src/pricing/constraints.js';
+
+const redEye = {
+    airlines: ['Delta'],
+    stops: 0,
+    duration_minutes: 485,
+    departure_time: '2026-12-18T22:35:00',
+    arrival_time: '2026-12-19T12:40:00'
+};
+
+test('constraint fields are validated and normalized for storage', () => {
+    assert.deepEqual(validateFlightConstraints({ max_stops: '1', departure_window: '6:00 - 21:30', max_duration_minutes: '' }), []);
+    assert.equal(validateFlightConstraints({ max_stops: '-1' }).length, 1);
+    assert.equal(validateFlightConstraints({ max_stops: 4 }).length, 1);
+    assert.equal(validateFlightConstraints({ max_duration_minutes: 0 }).length, 1);
+    assert.equal(validateFlightConstraints({ arrival_window: '25:00-06:00' }).length, 1);
+    assert.equal(validateFlightConstraints({ departure_window: 'mornings' }).length, 1);
+
+    assert.deepEqual(parseConstraintFields({
+        excluded_airlines: ' spirit ,NK',
+        max_stops: '0',
+        departure_window: '6:00 - 21:30',
+        arrival_window: '',
+        name: 'ignored'
+    }), {
+        excluded_airlines: 'spirit, NK',
+        max_stops: 0,
+        departure_window: '06:00-21:30',
+        arrival_window: null
+    });
+    assert.deepEqual(parseConstraintFields({}), {});
+});
+
+test('a flight without constraints has none', () => {
+    assert.equal(getFlightConstraints({ excluded_airlines: 'any', max_stops: null, departure_window: '' }), null);
+    assert.equal(getConstraintViolation(redEye, getFlightConstraints({})), null);
+});
+
+test('fares breaking a constraint say why', () => {
+    const check = flight => getConstraintViolation(redEye, getFlightConstraints(flight));
+
+    assert.match(check({ excluded_airlines: 'Spirit, DL' }), /excluded airline/);
+    assert.match(check({ excluded_airlines: 'SkyTeam' }), /excluded airline/);
+    assert.equal(check({ excluded_airlines: 'Spirit' }), null);
+    assert.equal(check({ max_stops: 0 }), null);
+    assert.match(getConstraintViolation({ ...redEye, stops: 2 }, getFlightConstraints({ max_stops: 1 })), /2 stop/);
+    assert.match(check({ max_duration_minutes: 480 }), /485 min/);
+    assert.match(check({ departure_window: '06:00-21:00' }), /departs 22:35/);
+    assert.equal(check({ arrival_window: '07:00-23:00' }), null);
+});
+
+test('windows can wrap past midnight and missing fields pass', () => {
+    const overnight = getFlightConstraints({ departure_window: '22:00-06:00' });
+    assert.equal(getConstraintViolation(redEye, overnight), null);
+    assert.match(getConstraintViolation({ ...redEye, departure_time: '2026-12-18T12:00:00' }, overnight), /departs 12:00/);
+
+    const strict = getFlightConstraints({ max_stops: 0, max_duration_minutes: 60, departure_window: '06:00-07:00' });
+    assert.equal(getConstraintViolation({ airlines: [], stops: null, duration_minutes: null, departure_time: null }, strict), null);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isDigestDue, getDefaultDigestFrequency } from '../src/notifications/digest.js';
+
+test('a recipient who never got a digest is due unless digests are off', () => {
+    assert.equal(isDigestDue({ frequency: 'daily', last_sent_at: null }), true);
+    assert.equal(isDigestDue({ frequency: 'weekly', last_sent_at: undefined }), true);
+    assert.equal(isDigestDue({ frequency: 'off', last_sent_at: null }), false);
+    assert.equal(isDigestDue({ frequency: 'off', last_sent_at: '2026-01-01T13:00:00Z' }, new Date('2026-10-20T12:00:00Z')), false);
+});
+
+test('daily digests are due a day later, with an hour of slack for an early cron run', () => {
+    const settings = { frequency: 'daily', last_sent_at: '2026-10-19T12:00:00Z' };
+
+    assert.equal(isDigestDue(settings, new Date('2026-10-20T12:00:00Z')), true);
+    assert.equal(isDigestDue(settings, new Date('2026-10-20T11:00:00Z')), true);
+    assert.equal(isDigestDue(settings, new Date('2026-10-20T10:59:59Z')), false);
+    // The same day's run again (e.g. a redeploy) sends nothing
+    assert.equal(isDigestDue(settings, new Date('2026-10-19T12:05:00Z')), false);
+});
+
+test('weekly digests come round on the same weekday they were last sent', () => {
+    // A manual send on Tuesday moves the weekly digest to Tuesdays
+    const settings = { frequency: 'weekly', last_sent_at: '2026-10-20T12:00:00Z' };
+
+    assert.equal(isDigestDue(settings, new Date('2026-10-26T12:00:00Z')), false); // Monday
+    assert.equal(isDigestDue(settings, new Date('2026-10-27T12:00:00Z')), true); // Tuesday
+    assert.equal(isDigestDue(settings, new Date('2026-10-27T11:00:00Z')), true);
+});
+
+test('an 8am cron stays due across daylight saving changes in CRON_TZ', () => {
+    // 8am in New York: 12:00Z in summer time, 13:00Z after the clocks go back on Nov 1
+    const fallBack = { frequency: 'daily', last_sent_at: '2026-10-31T12:00:00Z' };
+    assert.equal(isDigestDue(fallBack, new Date('2026-11-01T13:00:00Z')), true);
+
+    // Clocks go forward on Mar 14 2027: 8am comes 23 hours after the previous 8am
+    const springForward = { frequency: 'daily', last_sent_at: '2027-03-13T13:00:00Z' };
+    assert.equal(isDigestDue(springForward, new Date('2027-03-14T12:00:00Z')), true);
+
+    const weekly = { frequency: 'weekly', last_sent_at: '2027-03-09T13:00:00Z' };
+    assert.equal(isDigestDue(weekly, new Date('2027-03-16T12:00:00Z')), true);
+    assert.equal(isDigestDue(weekly, new Date('2027-03-15T12:00:00Z')), false);
+});
+
+test('DIGEST_FREQUENCY sets the default and falls back to weekly', () => {
+    const saved = process.env.DIGEST_FREQUENCY;
+    try {
+        delete process.env.DIGEST_FREQUENCY;
+        assert.equal(getDefaultDigestFrequency(), 'weekly');
+        process.env.DIGEST_FREQUENCY = 'Daily';
+        assert.equal(getDefaultDigestFrequency(), 'daily');
+        process.env.DIGEST_FREQUENCY = 'hourly';
+        assert.equal(getDefaultDigestFrequency(), 'weekly');
+    } finally {
+        if (saved === undefined) delete process.env.DIGEST_FREQUENCY;
+        else process.env.DIGEST_FREQUENCY = saved;
+    }
+});
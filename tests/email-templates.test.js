@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderPriceDropAlert, renderWeeklySummary } from '../src/notifications/email.js';
+import { html, safeUrl, htmlToText } from '../src/notifications/templates.js';
+import { matchSnapshot } from './helpers/snapshot.js';
+
+const priceDrop = {
+    flightName: 'Christmas in Madrid',
+    route: 'ATL → MAD',
+    currentPrice: 612,
+    previousPrice: 700,
+    lowestPrice: 612,
+    airline: 'Delta',
+    analysis: {
+        action: 'BUY',
+        recommendation: 'Lowest price in 30 days',
+        insights: [{ text: 'Prices usually rise 3 weeks out' }]
+    },
+    flexSuggestion: { price: 560, departure_date: '2026-12-18', return_date: '2027-01-02', savings: 52 },
+    context: {
+        holidayNote: 'Christmas week',
+        headlines: [{ title: 'Madrid airport expands terminal', url: 'https://example.com/news?id=1&lang=en' }]
+    },
+    nextRunAt: '2026-10-20T12:00:00.000Z',
+    reasons: ['New all-time low (previous low $650)'],
+    unsubscribeUrl: 'https://tracker.example/api/unsubscribe/1.unsubscribe.sig',
+    pauseUrl: 'https://tracker.example/api/unsubscribe/1.pause.sig'
+};
+
+const links = { unsubscribeUrl: priceDrop.unsubscribeUrl, pauseUrl: priceDrop.pauseUrl };
+
+// Every field a user or a scraper can influence, with markup in it
+const hostile = {
+    ...priceDrop,
+    flightName: 'Mom\'s <script>alert("x")</script> trip',
+    route: 'ATL → <b>MAD</b>',
+    airline: 'Delta & "Partners"',
+    analysis: {
+        action: '<img src=x onerror=alert(1)>',
+        recommendation: '</p><h1>Buy</h1>',
+        insights: [{ text: '<a href="https://evil.example">click</a>' }]
+    },
+    context: {
+        holidayNote: '<marquee>Holiday</marquee>',
+        headlines: [{ title: '<i>Strike</i> at MAD', url: 'javascript:alert(1)' }]
+    },
+    reasons: ['<style>body{display:none}</style>'],
+    unsubscribeUrl: 'javascript:alert(1)'
+};
+
+const digestFlights = [
+    { id: 1, name: 'Christmas in Madrid', route: 'ATL → MAD', currentPrice: 612, lowestPrice: 598, trend: '↓ 4.2% this week' },
+    { id: 2, name: 'Spring <Break>', route: 'ATL → CUN', currentPrice: null, lowestPrice: null, trend: 'No prices yet' }
+];
+
+test('price drop alert matches snapshot', () => {
+    const { subject, html: body, text } = renderPriceDropAlert(priceDrop);
+    assert.equal(subject, 'Price Drop! Christmas in Madrid now $612 (↓12.6%)');
+    matchSnapshot('price-drop.html', body);
+    matchSnapshot('price-drop.txt', text);
+});
+
+test('price alert without a drop matches snapshot', () => {
+    const { subject, html: body, text } = renderPriceDropAlert({
+        flightName: 'Christmas in Madrid',
+        route: 'ATL → MAD',
+        currentPrice: 780,
+        previousPrice: 700,
+        lowestPrice: 612,
+        airline: null,
+        reasons: ['Rose 11.4% from $700']
+    });
+    assert.equal(subject, 'Price Alert: Christmas in Madrid now $780');
+    matchSnapshot('price-alert.html', body);
+    matchSnapshot('price-alert.txt', text);
+});
+
+test('weekly digest matches snapshot', () => {
+    const { subject, html: body, text } = renderWeeklySummary({ flights: digestFlights, frequency: 'weekly', ...links });
+    assert.equal(subject, 'Your Weekly Flight Price Summary');
+    matchSnapshot('weekly-digest.html', body);
+    matchSnapshot('weekly-digest.txt', text);
+});
+
+test('daily digest matches snapshot', () => {
+    const { subject, html: body, text } = renderWeeklySummary({ flights: digestFlights, frequency: 'daily' });
+    assert.equal(subject, 'Your Daily Flight Price Summary');
+    matchSnapshot('daily-digest.html', body);
+    matchSnapshot('daily-digest.txt', text);
+});
+
+test('price alert escapes user and scraped values', () => {
+    const { html: body, text } = renderPriceDropAlert(hostile);
+
+    for (const tag of ['<script', '<img', '<marquee', '<i>', '<b>MAD', '<h1>Buy', 'href="https://evil', '<style>body']) {
+        assert.ok(!body.includes(tag), `unescaped ${tag}`);
+    }
+    assert.ok(body.includes('Mom&#39;s &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; trip'));
+    assert.ok(body.includes('Delta &amp; &quot;Partners&quot;'));
+    assert.ok(!body.includes('javascript:'));
+
+    // The text part shows the values as typed
+    assert.ok(text.includes('Mom\'s <script>alert("x")</script> trip'));
+});
+
+test('emails carry unsubscribe links and headers metadata', () => {
+    const alert = renderPriceDropAlert(priceDrop);
+    assert.ok(alert.html.includes(`href="${priceDrop.unsubscribeUrl}"`));
+    assert.ok(alert.html.includes(`href="${priceDrop.pauseUrl}"`));
+    assert.equal(alert.meta.unsubscribeUrl, priceDrop.unsubscribeUrl);
+    assert.ok(alert.text.includes(`Unsubscribe (${priceDrop.unsubscribeUrl})`));
+
+    const digest = renderWeeklySummary({ flights: digestFlights, ...links });
+    assert.ok(digest.html.includes(`href="${priceDrop.unsubscribeUrl}"`));
+});
+
+test('price alert shows the itinerary summary when the provider reported one', () => {
+    const itinerary = { stops: 0, duration_minutes: 485, seats_left: 4, fare_brand: 'MAIN', summary: 'nonstop 8h05, 4 seats left' };
+    const { html: body, text } = renderPriceDropAlert({ ...priceDrop, itinerary });
+    assert.ok(body.includes('<p><strong>Flight:</strong> nonstop 8h05, 4 seats left · MAIN</p>'));
+    assert.ok(text.includes('Flight: nonstop 8h05, 4 seats left · MAIN'));
+    assert.ok(!renderPriceDropAlert(priceDrop).html.includes('Flight:'));
+});
+
+test('digest escapes flight names', () => {
+    const { html: body } = renderWeeklySummary({ flights: digestFlights });
+    assert.ok(body.includes('Spring &lt;Break&gt;'));
+    assert.ok(!body.includes('<Break>'));
+});
+
+test('html`` escapes values but not nested fragments', () => {
+    const inner = html`<b>${'<x>'}</b>`;
+    assert.equal(String(html`<p>${inner}${html`<br>`}${['a', '&']}${null}${false}</p>`), '<p><b>&lt;x&gt;</b><br>a&amp;</p>');
+});
+
+test('safeUrl only allows http(s) and mailto', () => {
+    assert.equal(safeUrl('https://example.com'), 'https://example.com');
+    assert.equal(safeUrl('mailto:mom@example.com'), 'mailto:mom@example.com');
+    assert.equal(safeUrl(' javascript:alert(1)'), '#');
+    assert.equal(safeUrl('data:text/html,hi'), '#');
+    assert.equal(safeUrl(null), '#');
+});
+
+test('htmlToText keeps links and drops styles', () => {
+    const text = htmlToText('<style>p{}</style><h1>Hi</h1><p>See <a href="https://x.test/?a=1&amp;b=2">this</a></p><p>a &lt; b</p>');
+    assert.equal(text, 'Hi\n\nSee this (https://x.test/?a=1&b=2)\na < b');
+});
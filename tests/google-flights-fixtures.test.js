@@ -0,0 +1,185 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { launchFixtureBrowser, scrapeFixture } from './helpers/fixture-browser.js';
+
+// Saved result pages (and a scripted search form) in tests/fixtures/google-flights, loaded into Chromium from disk
+const browser = await launchFixtureBrowser();
+const skip = !browser && 'Chromium not available';
+
+after(() => browser?.close());
+
+const atlMad = { origin: 'ATL', destination: 'MAD', departure_date: '2026-12-18', passengers: 1, cabin_class: 'economy' };
+
+test('one-way: cheapest card becomes the price', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'one-way', atlMad);
+
+    assert.equal(result.success, true);
+    assert.equal(result.price, 498);
+    assert.equal(result.airline, 'Iberia');
+    assert.equal(result.stops, 1);
+    assert.equal(result.duration_minutes, 815);
+    assert.equal(result.departure_time, '2026-12-18T18:10:00');
+    assert.equal(result.arrival_time, '2026-12-19T13:45:00');
+});
+
+test('one-way: the price insights band is captured', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'one-way', atlMad);
+
+    assert.equal(result.price_level, 'low');
+    assert.equal(result.typical_price_low, 688);
+    assert.equal(result.typical_price_high, 1050);
+
+    const roundTrip = await scrapeFixture(browser, 'round-trip', { ...atlMad, return_date: '2027-01-02', passengers: 2 });
+    assert.equal(roundTrip.price_level, null);
+});
+
+test('one-way: repeated cards are dropped and unlabelled cards parsed from their text', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'one-way', atlMad);
+
+    assert.deepEqual(result.cards.map(c => c.price), [498, 655, 721]);
+    const turkish = result.cards[2];
+    assert.equal(turkish.airline, null);
+    assert.equal(turkish.stops, 1);
+    assert.equal(turkish.duration_minutes, 1155);
+    assert.equal(turkish.arrival_time, '2026-12-19T08:20:00');
+    assert.deepEqual(result.cards.filter(c => c.selected).map(c => c.price), [498]);
+});
+
+test('one-way: preferred Delta picks the cheapest Delta card', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'one-way', { ...atlMad, preferred_airline: 'delta' });
+
+    assert.equal(result.price, 655);
+    assert.equal(result.airline, 'Delta');
+    assert.equal(result.stops, 0);
+    assert.equal(result.preferred_airline_found, true);
+    assert.equal(result.raw_data.preferredPrice, 655);
+    assert.equal(result.raw_data.cheapestPrice, 498);
+    // "Prices are currently low" rated the $498 card; $655 is judged against the range instead
+    assert.equal(result.price_level, null);
+    assert.equal(result.typical_price_low, 688);
+});
+
+test('one-way: a preferred airline with no card falls back to the cheapest and says so', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'one-way', { ...atlMad, preferred_airline: 'UA, Lufthansa' });
+
+    assert.equal(result.price, 498);
+    assert.equal(result.preferred_airline_found, false);
+    assert.equal(result.raw_data.preferredPrice, null);
+});
+
+test('one-way: cards outside the flight\'s constraints are never priced', { skip }, async () => {
+    const excluded = await scrapeFixture(browser, 'one-way', { ...atlMad, excluded_airlines: 'Iberia' });
+    assert.equal(excluded.price, 655);
+    assert.equal(excluded.raw_data.rejectedCards[0].price, 498);
+
+    const nonstop = await scrapeFixture(browser, 'one-way', { ...atlMad, max_stops: 0, departure_window: '06:00-18:00' });
+    assert.equal(nonstop.price, 655);
+    assert.equal(nonstop.raw_data.cheapestPrice, 655);
+
+    const none = await scrapeFixture(browser, 'one-way', { ...atlMad, max_duration_minutes: 300 });
+    assert.equal(none.success, false);
+    assert.equal(none.error_type, 'no_results');
+});
+
+test('round-trip: multi-airline itineraries and thousands separators', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'round-trip', { ...atlMad, return_date: '2027-01-02', passengers: 2 });
+
+    assert.equal(result.price, 587);
+    assert.equal(result.airline, 'United, Lufthansa');
+    assert.equal(result.stops, 1);
+    assert.deepEqual(result.cards.map(c => c.price), [612, 587, 1104]);
+    assert.equal(result.cards[2].stops, 2);
+    assert.deepEqual(result.cards[2].airlines, ['Air France', 'KLM']);
+});
+
+test('round-trip: an alliance preference matches its member carriers', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'round-trip', { ...atlMad, return_date: '2027-01-02', passengers: 2, preferred_airline: 'SkyTeam' });
+
+    assert.equal(result.price, 1104);
+    assert.equal(result.airline, 'Air France, KLM');
+    assert.equal(result.preferred_airline_found, true);
+});
+
+test('premium cabin: arrival on the next year and Delta found on a partner itinerary', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'premium-cabin', {
+        origin: 'ATL',
+        destination: 'LHR',
+        departure_date: '2026-12-31',
+        return_date: '2027-01-10',
+        cabin_class: 'business',
+        preferred_airline: 'delta'
+    });
+
+    assert.equal(result.price, 3245);
+    assert.equal(result.airline, 'Virgin Atlantic, Delta');
+    assert.equal(result.stops, 1);
+    assert.equal(result.arrival_time, '2027-01-01T13:10:00');
+});
+
+test('no results: typed no_results error', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'no-results', { ...atlMad, passengers: 9, cabin_class: 'first' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.price, undefined);
+    assert.equal(result.error_type, 'no_results');
+});
+
+test('consent wall: consent_required when accepting does not get through', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'consent-wall', atlMad);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error_type, 'consent_required');
+});
+
+test('consent wall: left alone with acceptConsent: false', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'consent-wall', atlMad, { acceptConsent: false });
+
+    assert.equal(result.error_type, 'consent_required');
+});
+
+test('captcha: typed captcha error', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'captcha', atlMad);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error_type, 'captcha');
+});
+
+test('unknown markup: layout_changed', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'layout-changed', atlMad);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error_type, 'layout_changed');
+    assert.match(result.error, /layout may have changed/);
+});
+
+test('search form: a one-way search is filled in and its cheapest card priced', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'search-form', atlMad, { strategy: 'form' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.price, 498);
+    assert.equal(result.airline, 'Iberia');
+    assert.equal(result.departure_time, '2026-12-18T18:10:00');
+    assert.equal(result.raw_data.strategy, 'form');
+});
+
+test('search form: cabin, passengers and a return date in the next month', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'search-form', {
+        ...atlMad,
+        return_date: '2027-01-02',
+        passengers: 2,
+        cabin_class: 'business'
+    }, { strategy: 'form' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.price, 6840);
+    assert.equal(result.airline, 'Delta');
+    assert.deepEqual(result.cards.map(c => c.price), [6840, 7212]);
+});
+
+test('search form: a date the calendar does not offer is layout_changed', { skip }, async () => {
+    const result = await scrapeFixture(browser, 'search-form', { ...atlMad, departure_date: '2028-03-01' }, { strategy: 'form' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error_type, 'layout_changed');
+    assert.match(result.error, /could not find 2028-03-01 in the date picker/);
+});
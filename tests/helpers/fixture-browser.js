@@ -0,0 +1,47 @@
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { scrapeFlight } from '../../src/scraper/google-flights.js';
+import { launchBrowser } from '../../src/scraper/browser-pool.js';
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'google-flights');
+
+/**
+ * Chromium for the fixture suite, or null when none can be launched here
+ * (the suite skips itself on machines without a browser). In CI (CI set) a missing
+ * browser is an error, so the suite can't pass there without having run.
+ */
+export async function launchFixtureBrowser() {
+    try {
+        return await launchBrowser();
+    } catch (e) {
+        if (process.env.CI) {
+            throw new Error(`Fixture suite needs Chromium in CI: ${e.message.split('\n')[0]}`);
+        }
+        console.log(`[Fixtures] No browser available, skipping: ${e.message.split('\n')[0]}`);
+        return null;
+    }
+}
+
+// Pages that can only load local files: a fixture form posting to google.com fails instead of going online
+function offline(browser) {
+    return {
+        async newPage() {
+            const page = await browser.newPage();
+            await page.setRequestInterception(true);
+            page.on('request', request => (request.url().startsWith('file:') ? request.continue() : request.abort()));
+            return page;
+        }
+    };
+}
+
+// Run scrapeFlight against tests/fixtures/google-flights/<name>.html instead of Google
+export function scrapeFixture(browser, name, flight, options = {}) {
+    const url = pathToFileURL(join(FIXTURE_DIR, `${name}.html`)).href;
+    return scrapeFlight(offline(browser), { id: `fixture-${name}`, name, ...flight }, {
+        url,
+        strategy: 'url',
+        settleMs: 0,
+        screenshot: false,
+        ...options
+    });
+}
@@ -0,0 +1,20 @@
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SNAPSHOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '__snapshots__');
+
+/**
+ * Compare a value with tests/__snapshots__/<name>. Missing snapshots are written;
+ * run with UPDATE_SNAPSHOTS=1 to accept intended changes.
+ */
+export function matchSnapshot(name, actual) {
+    const file = join(SNAPSHOT_DIR, name);
+    if (process.env.UPDATE_SNAPSHOTS === '1' || !existsSync(file)) {
+        mkdirSync(dirname(file), { recursive: true });
+        writeFileSync(file, actual);
+        return;
+    }
+    assert.equal(actual, readFileSync(file, 'utf8'), `Snapshot ${name} changed (UPDATE_SNAPSHOTS=1 to accept)`);
+}
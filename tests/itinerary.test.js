@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseAmadeusOffer, parseIsoDuration, formatItinerarySummary } from '../src/pricing/itinerary.js';
+
+// A Flight Offers Search (v2) response in the API's shape, cut down to one round-trip offer: a Delta connection through JFK
+// whose second leg is an Air France-operated codeshare, and a nonstop return
+const response = JSON.parse(readFileSync(new URL('./fixtures/amadeus/flight-offers-atl-mad.json', import.meta.url), 'utf8'));
+const [offer] = response.data;
+
+test('outbound leg fields come from the first itinerary', () => {
+    const itinerary = parseAmadeusOffer(offer);
+
+    assert.equal(itinerary.stops, 1);
+    assert.equal(itinerary.duration_minutes, 770);
+    assert.equal(itinerary.departure_time, '2026-12-18T14:05:00');
+    assert.equal(itinerary.arrival_time, '2026-12-19T08:55:00');
+    assert.equal(itinerary.seats_left, 4);
+    assert.equal(itinerary.fare_brand, 'MAIN CABIN');
+    assert.equal(formatItinerarySummary(itinerary), '1 stop 12h50, 4 seats left');
+});
+
+test('every flown segment of both legs is kept with its operating carrier and fare', () => {
+    const { segments } = parseAmadeusOffer(offer);
+
+    assert.equal(segments.length, 3);
+    assert.deepEqual(segments[1], {
+        itinerary_index: 0,
+        segment_index: 1,
+        carrier_code: 'DL',
+        flight_number: '6844',
+        operating_carrier: 'AF',
+        origin: 'JFK',
+        destination: 'MAD',
+        departure_at: '2026-12-18T18:40:00',
+        arrival_at: '2026-12-19T08:55:00',
+        duration_minutes: 495,
+        stops: 0,
+        aircraft: '332',
+        cabin: 'ECONOMY',
+        fare_brand: 'MAIN CABIN',
+        booking_class: 'V'
+    });
+
+    const [outboundFirst, , inbound] = segments;
+    assert.equal(outboundFirst.operating_carrier, 'DL');
+    assert.deepEqual([inbound.itinerary_index, inbound.segment_index, inbound.origin, inbound.destination], [1, 0, 'MAD', 'ATL']);
+    // Without a label the brand code is used
+    assert.equal(inbound.fare_brand, 'MAINCABIN');
+    assert.equal(inbound.booking_class, 'L');
+});
+
+test('missing pieces of an offer come out as null instead of throwing', () => {
+    const bare = structuredClone(offer);
+    delete bare.itineraries[0].duration;
+    delete bare.itineraries[0].segments[1].operating;
+    delete bare.numberOfBookableSeats;
+    delete bare.travelerPricings;
+
+    const itinerary = parseAmadeusOffer(bare);
+    // Falls back to the sum of segment durations (layover not included)
+    assert.equal(itinerary.duration_minutes, 630);
+    assert.equal(itinerary.seats_left, null);
+    assert.equal(itinerary.fare_brand, null);
+    assert.equal(itinerary.segments[1].operating_carrier, 'DL');
+    assert.equal(itinerary.segments[1].cabin, null);
+
+    assert.deepEqual(parseAmadeusOffer(null), {
+        stops: null,
+        duration_minutes: null,
+        departure_time: null,
+        arrival_time: null,
+        seats_left: null,
+        fare_brand: null,
+        segments: []
+    });
+});
+
+test('ISO 8601 durations', () => {
+    assert.equal(parseIsoDuration('PT8H5M'), 485);
+    assert.equal(parseIsoDuration('PT45M'), 45);
+    assert.equal(parseIsoDuration('P1DT2H'), 1560);
+    assert.equal(parseIsoDuration('PT'), null);
+    assert.equal(parseIsoDuration('8h05'), null);
+    assert.equal(parseIsoDuration(undefined), null);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBackoffMs, getRetryState } from '../src/notifications/outbox.js';
+
+const MINUTE = 60 * 1000;
+
+test('retries back off exponentially from one minute', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(getBackoffMs), [1, 2, 4, 8, 16].map(m => m * MINUTE));
+    // Attempt counts below one are treated as the first retry
+    assert.equal(getBackoffMs(0), MINUTE);
+});
+
+test('the backoff is capped at six hours', () => {
+    assert.equal(getBackoffMs(9), 256 * MINUTE);
+    assert.equal(getBackoffMs(10), 6 * 60 * MINUTE);
+    assert.equal(getBackoffMs(40), 6 * 60 * MINUTE);
+});
+
+test('a failed message stays queued for its next backoff slot until its attempts run out', () => {
+    const now = Date.UTC(2026, 9, 20, 12, 0, 0);
+
+    assert.deepEqual(getRetryState(1, 6, now), { status: 'queued', next_attempt_at: '2026-10-20T12:01:00.000Z' });
+    assert.deepEqual(getRetryState(5, 6, now), { status: 'queued', next_attempt_at: '2026-10-20T12:16:00.000Z' });
+});
+
+test('the last allowed attempt moves the message to dead', () => {
+    const now = Date.UTC(2026, 9, 20, 12, 0, 0);
+
+    assert.deepEqual(getRetryState(6, 6, now), { status: 'dead', next_attempt_at: null });
+    assert.deepEqual(getRetryState(3, 3, now), { status: 'dead', next_attempt_at: null });
+    assert.deepEqual(getRetryState(7, 6, now), { status: 'dead', next_attempt_at: null });
+    // Rows without max_attempts use OUTBOX_MAX_ATTEMPTS (6)
+    assert.equal(getRetryState(5, null, now).status, 'queued');
+    assert.equal(getRetryState(6, null, now).status, 'dead');
+});
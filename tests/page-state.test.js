@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyPage, scrapeError, SCRAPE_ERROR_TYPES } from '../src/scraper/page-state.js';
+
+const resultsPage = {
+    url: 'https://www.google.com/travel/flights/search?tfs=abc',
+    title: 'Atlanta to Madrid | Google Flights',
+    text: 'Best departing flights\nDelta\n$612',
+    hasConsentForm: false,
+    hasCaptcha: false
+};
+
+test('a page with cards is results', () => {
+    assert.equal(classifyPage(resultsPage, 5), 'results');
+});
+
+test('the consent interstitial is recognised by URL, form or title', () => {
+    assert.equal(classifyPage({ ...resultsPage, url: 'https://consent.google.com/m?continue=https://www.google.com/travel/flights' }), 'consent_required');
+    assert.equal(classifyPage({ ...resultsPage, hasConsentForm: true }, 0), 'consent_required');
+    assert.equal(classifyPage({ ...resultsPage, title: 'Before you continue to Google' }, 0), 'consent_required');
+    // Even when cards made it into the page behind it
+    assert.equal(classifyPage({ ...resultsPage, hasConsentForm: true }, 3), 'consent_required');
+});
+
+test('the unusual traffic check is a captcha', () => {
+    assert.equal(classifyPage({ ...resultsPage, url: 'https://www.google.com/sorry/index?continue=x' }), 'captcha');
+    assert.equal(classifyPage({ ...resultsPage, url: 'https://www.google.co.uk/sorry/index' }), 'captcha');
+    assert.equal(classifyPage({ ...resultsPage, hasCaptcha: true }), 'captcha');
+    assert.equal(classifyPage({ ...resultsPage, text: 'Our systems have detected unusual traffic from your computer network.' }), 'captcha');
+});
+
+test('an empty search is no_results, anything else without cards is layout_changed', () => {
+    assert.equal(classifyPage({ ...resultsPage, text: 'No results returned.\nTry changing your dates' }, 0), 'no_results');
+    assert.equal(classifyPage({ ...resultsPage, text: 'No matching flights' }, 0), 'no_results');
+    assert.equal(classifyPage(resultsPage, 0), 'layout_changed');
+    assert.equal(classifyPage(undefined), 'layout_changed');
+});
+
+test('scrape errors carry their type and a default message', () => {
+    for (const type of SCRAPE_ERROR_TYPES) {
+        const error = scrapeError(type);
+        assert.equal(error.type, type);
+        assert.ok(error.message.length > 0);
+    }
+    assert.equal(scrapeError('timeout', 'Navigation timeout of 30000 ms exceeded').message, 'Navigation timeout of 30000 ms exceeded');
+});
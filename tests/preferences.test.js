@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    checkDelivery,
+    getQuietHoursEnd,
+    createRecipientToken,
+    verifyRecipientToken
+} from '../src/notifications/preferences.js';
+import { channelFilter } from '../src/alerts/engine.js';
+
+const recipient = {
+    id: 7,
+    email: 'mom@example.com',
+    link_secret: '00112233445566778899aabbccddeeff',
+    status: 'active',
+    frequency: 'instant',
+    channel: 'all',
+    timezone: 'Europe/Madrid',
+    quiet_hours_start: null,
+    quiet_hours_end: null
+};
+
+test('a token verifies for its recipient and gives back its action', () => {
+    for (const action of ['unsubscribe', 'pause', 'resume']) {
+        const token = createRecipientToken(recipient, action);
+        assert.match(token, new RegExp(`^7\\.${action}\\.[\\w-]{32}$`));
+        assert.equal(verifyRecipientToken(token, recipient), action);
+    }
+});
+
+test('tampered tokens are rejected', () => {
+    const token = createRecipientToken(recipient, 'pause');
+    const [, , signature] = token.split('.');
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+    assert.equal(verifyRecipientToken(`7.pause.${flipped}`, recipient), null);
+    // A pause signature doesn't unsubscribe
+    assert.equal(verifyRecipientToken(`7.unsubscribe.${signature}`, recipient), null);
+    // Nor does it work for another recipient id
+    assert.equal(verifyRecipientToken(`8.pause.${signature}`, { ...recipient, id: 8 }), null);
+    assert.equal(verifyRecipientToken(token, { ...recipient, id: 8 }), null);
+    assert.equal(verifyRecipientToken(`7.pause.${signature.slice(0, 31)}`, recipient), null);
+    assert.equal(verifyRecipientToken('7.delete.abc', recipient), null);
+    assert.equal(verifyRecipientToken('', recipient), null);
+    assert.equal(verifyRecipientToken(token, null), null);
+});
+
+test('tokens signed with a rotated-out secret are rejected', () => {
+    const token = createRecipientToken(recipient, 'unsubscribe');
+    const rotated = { ...recipient, link_secret: 'ffeeddccbbaa99887766554433221100' };
+
+    assert.equal(verifyRecipientToken(token, rotated), null);
+    assert.equal(verifyRecipientToken(createRecipientToken(rotated, 'unsubscribe'), rotated), 'unsubscribe');
+});
+
+test('quiet hours that wrap midnight end at the next local end time', () => {
+    // Madrid is UTC+2 until the end of October
+    const quiet = { ...recipient, quiet_hours_start: '22:00', quiet_hours_end: '07:00' };
+
+    // 23:30 in Madrid
+    assert.equal(getQuietHoursEnd(quiet, new Date('2026-10-20T21:30:00Z')).toISOString(), '2026-10-21T05:00:00.000Z');
+    // 02:15 in Madrid, after midnight
+    assert.equal(getQuietHoursEnd(quiet, new Date('2026-10-21T00:15:40Z')).toISOString(), '2026-10-21T05:00:00.000Z');
+    // 07:00 and 21:59 in Madrid are outside
+    assert.equal(getQuietHoursEnd(quiet, new Date('2026-10-21T05:00:00Z')), null);
+    assert.equal(getQuietHoursEnd(quiet, new Date('2026-10-20T19:59:00Z')), null);
+    // The same instant is 21:30, outside quiet hours, for a recipient on UTC
+    assert.equal(getQuietHoursEnd({ ...quiet, timezone: 'UTC' }, new Date('2026-10-20T21:30:00Z')), null);
+});
+
+test('quiet hours within one day and unset quiet hours', () => {
+    const lunch = { ...recipient, timezone: 'America/New_York', quiet_hours_start: '12:00', quiet_hours_end: '13:30' };
+    // 12:45 in New York (UTC-4)
+    assert.equal(getQuietHoursEnd(lunch, new Date('2026-10-20T16:45:00Z')).toISOString(), '2026-10-20T17:30:00.000Z');
+    assert.equal(getQuietHoursEnd(lunch, new Date('2026-10-20T18:00:00Z')), null);
+    assert.equal(getQuietHoursEnd(recipient, new Date('2026-10-20T16:45:00Z')), null);
+});
+
+test('checkDelivery defers alerts during quiet hours', () => {
+    const quiet = { ...recipient, quiet_hours_start: '22:00', quiet_hours_end: '07:00' };
+    const decision = checkDelivery(quiet, { now: new Date('2026-10-20T21:30:00Z') });
+
+    assert.equal(decision.allow, true);
+    assert.equal(decision.deferUntil.toISOString(), '2026-10-21T05:00:00.000Z');
+    assert.deepEqual(checkDelivery(quiet, { now: new Date('2026-10-21T10:00:00Z') }), { allow: true, reason: null, deferUntil: null });
+});
+
+test('paused and unsubscribed recipients get nothing until the pause ends', () => {
+    const now = new Date('2026-10-20T12:00:00Z');
+
+    assert.deepEqual(checkDelivery({ ...recipient, status: 'unsubscribed' }, { now }), { allow: false, reason: 'unsubscribed', deferUntil: null });
+    assert.equal(checkDelivery({ ...recipient, status: 'unsubscribed' }, { kind: 'manual', now }).allow, false);
+
+    const paused = { ...recipient, status: 'paused', paused_until: '2026-10-25T12:00:00Z' };
+    assert.deepEqual(checkDelivery(paused, { now }), { allow: false, reason: 'paused until 2026-10-25T12:00:00.000Z', deferUntil: null });
+    assert.equal(checkDelivery(paused, { kind: 'digest', now }).allow, false);
+    assert.equal(checkDelivery(paused, { now: new Date('2026-10-25T12:00:01Z') }).allow, true);
+    assert.equal(checkDelivery({ ...recipient, status: 'paused', paused_until: null }, { now }).reason, 'paused');
+});
+
+test('alert frequency caps rule alerts but not manual sends', () => {
+    const now = new Date('2026-10-20T12:00:00Z');
+    const daily = { ...recipient, frequency: 'daily' };
+
+    assert.equal(checkDelivery(daily, { lastAlertAt: '2026-10-19T18:00:00Z', now }).reason, 'already alerted in the last 24h');
+    assert.equal(checkDelivery(daily, { lastAlertAt: '2026-10-19T11:59:00Z', now }).allow, true);
+    assert.equal(checkDelivery(daily, { lastAlertAt: null, now }).allow, true);
+    assert.equal(checkDelivery(daily, { kind: 'manual', lastAlertAt: '2026-10-19T18:00:00Z', now }).allow, true);
+
+    const off = { ...recipient, frequency: 'off' };
+    assert.equal(checkDelivery(off, { now }).reason, 'alerts off (digests only)');
+    assert.equal(checkDelivery(off, { kind: 'digest', now }).allow, true);
+});
+
+test('a channel preference only lets that channel through', () => {
+    const slackOnly = { ...recipient, channel: 'slack' };
+    assert.equal(checkDelivery(slackOnly, { channel: 'email' }).reason, 'prefers slack');
+    assert.equal(checkDelivery(slackOnly, { channel: 'slack' }).allow, true);
+    assert.equal(checkDelivery(null, { channel: 'email' }).allow, true);
+});
+
+test('chat channels are held, not dropped, during their recipient\'s quiet hours', () => {
+    const owner = { ...recipient, role: 'owner', quiet_hours_start: '22:00', quiet_hours_end: '07:00' };
+    const watcher = { ...recipient, id: 8, email: 'dad@example.com', role: 'watcher', timezone: 'UTC' };
+    const shouldSend = channelFilter([owner, watcher], new Date('2026-10-20T21:30:00Z'));
+
+    // Flight-wide channel follows the owner, who is in quiet hours
+    const flightWide = shouldSend({ channel: 'slack', recipient: null });
+    assert.equal(flightWide.allow, true);
+    assert.equal(flightWide.deferUntil.toISOString(), '2026-10-21T05:00:00.000Z');
+
+    assert.deepEqual(shouldSend({ channel: 'telegram', recipient: 'dad@example.com' }), { allow: true, reason: null, deferUntil: null });
+    assert.equal(shouldSend({ channel: 'ntfy', recipient: 'unknown@example.com' }).allow, true);
+});
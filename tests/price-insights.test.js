@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePriceInsights, describePriceInsight } from '../src/scraper/insights.js';
+import { getPriceInsight, recommendAction } from '../src/agent/analyze.js';
+import { renderPriceDropAlert } from '../src/notifications/email.js';
+import { runPriceCheck } from '../src/pricing/engine.js';
+import { registerProvider } from '../src/pricing/providers.js';
+
+test('insight lines parse into a level and typical range', () => {
+    const text = [
+        'Prices are currently low for your search',
+        '$498 is low — $190 cheaper than usual',
+        'The least expensive flights with similar stops and duration to your search usually cost between $688–1,050.'
+    ].join('\n');
+    assert.deepEqual(parsePriceInsights(text), { price_level: 'low', typical_price_low: 688, typical_price_high: 1050 });
+
+    assert.deepEqual(parsePriceInsights('$1,240 is high'), { price_level: 'high', typical_price_low: null, typical_price_high: null });
+    assert.deepEqual(parsePriceInsights('Typical prices for this trip: $450 to $900'), { price_level: null, typical_price_low: 450, typical_price_high: 900 });
+    assert.equal(parsePriceInsights(''), null);
+    assert.equal(parsePriceInsights('Best departing flights\n$498'), null);
+});
+
+test('insights describe themselves for emails and logs', () => {
+    assert.equal(describePriceInsight({ price_level: 'low', typical_price_low: 688, typical_price_high: 1050 }), 'low (usually $688–$1050)');
+    assert.equal(describePriceInsight({ price_level: 'high' }), 'high');
+    assert.equal(describePriceInsight(null), null);
+});
+
+test('a stored range without a level is judged against the price', () => {
+    assert.deepEqual(getPriceInsight({ price: 612, price_level: null, typical_price_low: 688, typical_price_high: 1050 }),
+        { price: 612, level: 'low', typicalLow: 688, typicalHigh: 1050 });
+    assert.equal(getPriceInsight({ price: 1200, typical_price_low: 688, typical_price_high: 1050 }).level, 'high');
+    assert.equal(getPriceInsight({ price: 612 }), null);
+    assert.equal(getPriceInsight(null), null);
+});
+
+test('a quote above Google\'s band keeps the range but not Google\'s low rating', async () => {
+    // Amadeus first in the order: it wins a disagreement, Google only contributes its band
+    registerProvider({ name: 'test_amadeus', getQuote: () => ({ price: 1200, currency: 'USD', source: 'amadeus' }) });
+    registerProvider({
+        name: 'test_google',
+        getQuote: () => ({ price: 498, currency: 'USD', source: 'google_flights', price_level: 'low', typical_price_low: 688, typical_price_high: 1050 })
+    });
+    const flight = { origin: 'ATL', destination: 'MAD', departure_date: '2026-12-18', price_providers: 'test_amadeus,test_google' };
+
+    const quote = await runPriceCheck(flight);
+    assert.equal(quote.price, 1200);
+    assert.equal(quote.price_level, null);
+    assert.equal(quote.typical_price_low, 688);
+    assert.equal(getPriceInsight(quote).level, 'high');
+    assert.equal(recommendAction({ trend: 'stable', change: 0, current: 1200, average: 1200 }, 60, getPriceInsight(quote)).action, 'MONITOR');
+});
+
+test('a low or high rating drives the recommendation', () => {
+    const stable = { trend: 'stable', change: 0, current: 700, average: 700 };
+    const insight = { price: 700, typicalLow: 688, typicalHigh: 1050 };
+
+    const low = recommendAction(stable, 60, { ...insight, level: 'low' });
+    assert.equal(low.action, 'BOOK NOW');
+    assert.match(low.recommendation, /Google rates \$700 as low \(usually \$688–\$1050\)/);
+
+    const high = recommendAction(stable, 60, { ...insight, level: 'high' });
+    assert.equal(high.action, 'MONITOR');
+    assert.match(high.recommendation, /drops below \$1050/);
+
+    // Close to departure our own rule wins, with Google's rating added
+    assert.equal(recommendAction(stable, 10, { ...insight, level: 'high' }).action, 'BOOK NOW');
+    assert.match(recommendAction(stable, 60, { ...insight, level: 'typical' }).recommendation, /Price stable.*Google rates it typical/);
+    assert.equal(recommendAction(stable, 60).recommendation, 'Price stable. Set alert for drops below $630.');
+});
+
+test('price alert shows Google\'s rating when there is one', () => {
+    const alert = { flightName: 'Christmas in Madrid', route: 'ATL → MAD', currentPrice: 612, previousPrice: 700, lowestPrice: 612 };
+    const priceInsight = { price: 612, level: 'low', typicalLow: 688, typicalHigh: 1050 };
+
+    const { html: body, text } = renderPriceDropAlert({ ...alert, priceInsight });
+    assert.ok(body.includes('<strong>Google says:</strong> <span style="color: #16a34a; font-weight: 600;">low</span> for this route (usually $688–$1050)'));
+    assert.ok(text.includes('Google says: low for this route (usually $688–$1050)'));
+    assert.ok(!renderPriceDropAlert(alert).html.includes('Google says'));
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkCircuit, recordProviderOutcome, getProviderHealth } from '../src/pricing/health.js';
+
+const COOLDOWN_MS = 15 * 60 * 1000;
+
+function openCircuit(provider, now) {
+    for (let i = 0; i < 3; i++) {
+        recordProviderOutcome({ provider, status: 'error', error: 'HTTP 500' }, now);
+    }
+}
+
+test('a half-open circuit lets exactly one trial search through', () => {
+    const t0 = Date.UTC(2026, 9, 1);
+    openCircuit('trial_success', t0);
+    assert.equal(checkCircuit('trial_success', t0 + 1000).allow, false);
+
+    const afterCooldown = t0 + COOLDOWN_MS + 1;
+    assert.equal(checkCircuit('trial_success', afterCooldown).allow, true);
+    assert.equal(checkCircuit('trial_success', afterCooldown + 10).allow, false);
+    assert.equal(getProviderHealth('trial_success', afterCooldown + 10).circuit, 'half_open');
+
+    recordProviderOutcome({ provider: 'trial_success', status: 'success', duration_ms: 900 }, afterCooldown + 20);
+    assert.equal(getProviderHealth('trial_success', afterCooldown + 30).circuit, 'closed');
+    assert.equal(checkCircuit('trial_success', afterCooldown + 30).allow, true);
+    assert.equal(checkCircuit('trial_success', afterCooldown + 40).allow, true);
+});
+
+test('a failed trial reopens the circuit', () => {
+    const t0 = Date.UTC(2026, 9, 2);
+    openCircuit('trial_failure', t0);
+
+    const afterCooldown = t0 + COOLDOWN_MS + 1;
+    assert.equal(checkCircuit('trial_failure', afterCooldown).allow, true);
+    recordProviderOutcome({ provider: 'trial_failure', status: 'error', error: 'HTTP 500' }, afterCooldown + 10);
+    assert.equal(checkCircuit('trial_failure', afterCooldown + 20).allow, false);
+    assert.equal(getProviderHealth('trial_failure', afterCooldown + 20).circuit, 'open');
+
+    // The next cool-down hands out a new trial
+    assert.equal(checkCircuit('trial_failure', afterCooldown + 10 + COOLDOWN_MS + 1).allow, true);
+});
+
+test('a trial that never reports back frees up after another cool-down', () => {
+    const t0 = Date.UTC(2026, 9, 3);
+    openCircuit('trial_lost', t0);
+
+    const afterCooldown = t0 + COOLDOWN_MS + 1;
+    assert.equal(checkCircuit('trial_lost', afterCooldown).allow, true);
+    assert.equal(checkCircuit('trial_lost', afterCooldown + COOLDOWN_MS - 1).allow, false);
+    assert.equal(checkCircuit('trial_lost', afterCooldown + COOLDOWN_MS).allow, true);
+});
+
+test('cached attempts are left out of provider health', () => {
+    const t0 = Date.UTC(2026, 9, 4);
+    openCircuit('cached_hits', t0);
+    recordProviderOutcome({ provider: 'cached_hits', status: 'success', cached: true, duration_ms: 0 }, t0 + 1000);
+
+    const health = getProviderHealth('cached_hits', t0 + 2000);
+    assert.equal(health.circuit, 'open');
+    assert.equal(health.attempts, 3);
+    assert.equal(health.success_rate, 0);
+});
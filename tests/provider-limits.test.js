@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    takeToken,
+    checkBudget,
+    countProviderCall,
+    seedProviderUsage,
+    getProviderUsage,
+    getUsageMonth
+} from '../src/pricing/limits.js';
+
+// Each test uses its own provider name: buckets and usage live in module state
+function provider(name, limits) {
+    return { name, limits };
+}
+
+test('a full bucket serves its burst without waiting, then callers wait their turn', async () => {
+    const fast = provider('limits_burst', { ratePerSecond: 100, burst: 2 });
+    const t0 = Date.UTC(2026, 9, 20);
+
+    assert.equal(await takeToken(fast, t0), 0);
+    assert.equal(await takeToken(fast, t0), 0);
+    // Burst used up: one token every 10ms, and the next caller queues behind this one
+    assert.equal(await takeToken(fast, t0), 10);
+    assert.equal(await takeToken(fast, t0), 20);
+});
+
+test('the bucket refills at the configured rate, up to the burst', async () => {
+    const slow = provider('limits_refill', { ratePerSecond: 2, burst: 2 });
+    const t0 = Date.UTC(2026, 9, 20);
+
+    assert.equal(await takeToken(slow, t0), 0);
+    assert.equal(await takeToken(slow, t0), 0);
+    // One second at 2/s puts both tokens back
+    assert.equal(await takeToken(slow, t0 + 1000), 0);
+    assert.equal(await takeToken(slow, t0 + 1000), 0);
+    // An hour idle still only holds the burst
+    assert.equal(await takeToken(slow, t0 + 3600 * 1000), 0);
+    assert.equal(await takeToken(slow, t0 + 3600 * 1000), 0);
+    assert.equal(await takeToken(slow, t0 + 3600 * 1000), 500);
+});
+
+test('providers without a rate limit never wait', async () => {
+    const open = provider('limits_open', {});
+    for (let i = 0; i < 5; i++) {
+        assert.equal(await takeToken(open, Date.UTC(2026, 9, 20)), 0);
+    }
+});
+
+test('the monthly quota refuses searches once used', () => {
+    const quota = provider('limits_quota', { monthlyQuota: 2 });
+    const now = Date.UTC(2026, 9, 20);
+
+    assert.deepEqual(checkBudget(quota, now), { allow: true, reason: null });
+    countProviderCall('limits_quota', now);
+    countProviderCall('limits_quota', now);
+    assert.deepEqual(checkBudget(quota, now), { allow: false, reason: 'monthly quota used (2/2 in 2026-10)' });
+    assert.deepEqual(getProviderUsage(quota, now).remaining, 0);
+
+    // 0 means unlimited
+    const unlimited = provider('limits_unlimited', { monthlyQuota: 0 });
+    countProviderCall('limits_unlimited', now);
+    assert.equal(checkBudget(unlimited, now).allow, true);
+    assert.equal(getProviderUsage(unlimited, now).remaining, null);
+});
+
+test('usage months roll over at midnight UTC on the 1st', () => {
+    assert.equal(getUsageMonth(Date.UTC(2026, 9, 31, 23, 59, 59)), '2026-10');
+    assert.equal(getUsageMonth(Date.UTC(2026, 10, 1, 0, 0, 0)), '2026-11');
+    assert.equal(getUsageMonth(Date.UTC(2026, 11, 31, 23, 59, 59)), '2026-12');
+    assert.equal(getUsageMonth(Date.UTC(2027, 0, 1)), '2027-01');
+
+    const quota = provider('limits_rollover', { monthlyQuota: 1 });
+    const october = Date.UTC(2026, 9, 31, 23, 0, 0);
+    countProviderCall('limits_rollover', october);
+    assert.equal(checkBudget(quota, october).allow, false);
+
+    const november = Date.UTC(2026, 10, 1, 0, 0, 1);
+    assert.equal(checkBudget(quota, november).allow, true);
+    assert.equal(getProviderUsage(quota, november).calls, 0);
+});
+
+test('seeded usage only counts the current month and never lowers the count', () => {
+    const quota = provider('limits_seeded', { monthlyQuota: 100 });
+    const now = Date.UTC(2026, 9, 20);
+
+    countProviderCall('limits_seeded', now);
+    seedProviderUsage([
+        { provider: 'limits_seeded', month: '2026-09', calls: 99 },
+        { provider: 'limits_seeded', month: '2026-10', calls: '40' }
+    ], now);
+    assert.equal(getProviderUsage(quota, now).calls, 40);
+
+    seedProviderUsage([{ provider: 'limits_seeded', month: '2026-10', calls: 3 }], now);
+    assert.equal(getProviderUsage(quota, now).remaining, 60);
+});
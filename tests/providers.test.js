@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProviderOrder, validateProviderList, listProviders, describeProvider } from '../src/pricing/engine.js';
+
+test('the search-form Google provider is only used when a flight or PRICE_PROVIDERS names it', () => {
+    const saved = process.env.PRICE_PROVIDERS;
+    delete process.env.PRICE_PROVIDERS;
+    try {
+        assert.equal(getProviderOrder({}).order.includes('google_flights_form'), false);
+        assert.deepEqual(getProviderOrder({ price_providers: 'google_flights, google_flights_form' }).order,
+            ['google_flights', 'google_flights_form']);
+
+        process.env.PRICE_PROVIDERS = 'google_flights_form';
+        assert.deepEqual(getProviderOrder({}), { order: ['google_flights_form'], source: 'env' });
+    } finally {
+        if (saved === undefined) delete process.env.PRICE_PROVIDERS;
+        else process.env.PRICE_PROVIDERS = saved;
+    }
+
+    assert.equal(validateProviderList('google_flights_form'), null);
+    const form = listProviders().map(describeProvider).find(p => p.name === 'google_flights_form');
+    assert.equal(form.opt_in, true);
+});
@@ -0,0 +1,104 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSearchKey, getCachedQuote, cacheQuote, clearQuoteCache, getQuoteCacheTtlMs } from '../src/pricing/cache.js';
+
+const MINUTE = 60 * 1000;
+
+const flight = {
+    id: 1,
+    origin: 'ATL',
+    destination: 'MAD',
+    departure_date: '2026-12-18',
+    return_date: '2027-01-02',
+    passengers: 2,
+    cabin_class: 'economy',
+    preferred_airline: 'Delta'
+};
+const quote = { price: 1224, currency: 'USD', airline: 'Delta' };
+
+beforeEach(() => clearQuoteCache());
+
+test('the same search from another flight row shares a key', () => {
+    const sameTrip = {
+        ...flight,
+        id: 2,
+        origin: ' atl ',
+        destination: 'mad',
+        departure_date: '2026-12-18T00:00:00.000Z',
+        return_date: '2027-01-02T00:00:00.000Z',
+        cabin_class: 'Economy',
+        preferred_airline: ' DELTA '
+    };
+    assert.equal(getSearchKey(sameTrip), getSearchKey(flight));
+    // Missing cabin/passengers mean economy for one
+    assert.equal(getSearchKey({ ...flight, cabin_class: null, passengers: 1 }), getSearchKey({ ...flight, cabin_class: undefined, passengers: undefined }));
+    // "any" airline is no preference
+    assert.equal(getSearchKey({ ...flight, preferred_airline: 'Any' }), getSearchKey({ ...flight, preferred_airline: null }));
+});
+
+test('route, dates, passengers, cabin, airline and constraints each separate keys', () => {
+    const variants = [
+        { origin: 'JFK' },
+        { destination: 'BCN' },
+        { departure_date: '2026-12-19' },
+        { return_date: '2027-01-03' },
+        { return_date: null },
+        { passengers: 1 },
+        { cabin_class: 'business' },
+        { preferred_airline: 'Iberia' },
+        { max_stops: 0 },
+        { excluded_airlines: 'NK' }
+    ];
+    const keys = new Set([getSearchKey(flight), ...variants.map(change => getSearchKey({ ...flight, ...change }))]);
+    assert.equal(keys.size, variants.length + 1);
+});
+
+test('a cached quote is only returned for the same provider and search', () => {
+    const now = Date.UTC(2026, 9, 20, 12);
+    cacheQuote('amadeus', flight, quote, now);
+
+    assert.deepEqual(getCachedQuote('amadeus', { ...flight, id: 9 }, now + MINUTE), { quote, cachedAt: now });
+    assert.equal(getCachedQuote('google_flights', flight, now + MINUTE), null);
+    assert.equal(getCachedQuote('amadeus', { ...flight, passengers: 1 }, now + MINUTE), null);
+    assert.equal(getCachedQuote('amadeus', { ...flight, cabin_class: 'business' }, now + MINUTE), null);
+    assert.equal(getCachedQuote('amadeus', { ...flight, departure_date: '2026-12-17' }, now + MINUTE), null);
+    assert.equal(getCachedQuote('amadeus', { ...flight, destination: 'LIS' }, now + MINUTE), null);
+});
+
+test('quotes expire after the TTL', () => {
+    const saved = process.env.QUOTE_CACHE_TTL_MINUTES;
+    try {
+        delete process.env.QUOTE_CACHE_TTL_MINUTES;
+        assert.equal(getQuoteCacheTtlMs(), 30 * MINUTE);
+
+        const now = Date.UTC(2026, 9, 20, 12);
+        cacheQuote('amadeus', flight, quote, now);
+        assert.notEqual(getCachedQuote('amadeus', flight, now + 30 * MINUTE - 1), null);
+        assert.equal(getCachedQuote('amadeus', flight, now + 30 * MINUTE), null);
+        // Expired entries are gone, even when asked with an earlier clock
+        assert.equal(getCachedQuote('amadeus', flight, now), null);
+
+        process.env.QUOTE_CACHE_TTL_MINUTES = '5';
+        cacheQuote('amadeus', flight, quote, now);
+        assert.equal(getCachedQuote('amadeus', flight, now + 5 * MINUTE), null);
+    } finally {
+        if (saved === undefined) delete process.env.QUOTE_CACHE_TTL_MINUTES;
+        else process.env.QUOTE_CACHE_TTL_MINUTES = saved;
+    }
+});
+
+test('nothing is cached with a zero TTL or without a price', () => {
+    const saved = process.env.QUOTE_CACHE_TTL_MINUTES;
+    const now = Date.UTC(2026, 9, 20, 12);
+    try {
+        process.env.QUOTE_CACHE_TTL_MINUTES = '0';
+        cacheQuote('amadeus', flight, quote, now);
+        assert.equal(getCachedQuote('amadeus', flight, now), null);
+    } finally {
+        if (saved === undefined) delete process.env.QUOTE_CACHE_TTL_MINUTES;
+        else process.env.QUOTE_CACHE_TTL_MINUTES = saved;
+    }
+
+    cacheQuote('google_flights', flight, { price: null }, now);
+    assert.equal(getCachedQuote('google_flights', flight, now), null);
+});
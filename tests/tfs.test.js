@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeTfs, buildTfsUrl, getTfsProblem } from '../src/scraper/tfs.js';
+import { buildGoogleFlightsUrl } from '../src/scraper/google-flights.js';
+
+// Just enough protobuf to read a tfs value back: { field: [values] } (length-delimited values as Buffers)
+function decode(buffer) {
+    const fields = {};
+    let pos = 0;
+    const readVarint = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = buffer[pos++];
+            result += (byte & 0x7f) * 2 ** shift;
+            shift += 7;
+        } while (byte & 0x80);
+        return result;
+    };
+    while (pos < buffer.length) {
+        const tag = readVarint();
+        const field = Math.floor(tag / 8);
+        let value;
+        if (tag % 8 === 0) {
+            value = readVarint();
+        } else {
+            const length = readVarint();
+            value = buffer.subarray(pos, pos + length);
+            pos += length;
+        }
+        (fields[field] ||= []).push(value);
+    }
+    return fields;
+}
+
+function decodeSearch(tfs) {
+    const info = decode(Buffer.from(tfs, 'base64url'));
+    const airport = bytes => decode(bytes)[2][0].toString();
+    return {
+        legs: info[3].map(bytes => {
+            const leg = decode(bytes);
+            return {
+                date: leg[2][0].toString(),
+                from: airport(leg[13][0]),
+                to: airport(leg[14][0]),
+                stops: leg[5]?.[0] ?? null
+            };
+        }),
+        passengers: [...info[8][0]],
+        seat: info[9][0],
+        trip: info[19][0]
+    };
+}
+
+const oneWay = { origin: 'ATL', destination: 'MAD', departureDate: '2026-12-18' };
+
+test('encodes a one-way economy search byte for byte', () => {
+    assert.equal(encodeTfs(oneWay), 'Gh4SCjIwMjYtMTItMThqBwgBEgNBVExyBwgBEgNNQURCAQFIAZgBAg');
+});
+
+test('round trip adds the return leg in the opposite direction', () => {
+    const search = decodeSearch(encodeTfs({ ...oneWay, returnDate: '2027-01-02' }));
+
+    assert.equal(search.trip, 1);
+    assert.deepEqual(search.legs.map(l => [l.date, l.from, l.to]), [
+        ['2026-12-18', 'ATL', 'MAD'],
+        ['2027-01-02', 'MAD', 'ATL']
+    ]);
+});
+
+test('cabin and passenger counts', () => {
+    const search = decodeSearch(encodeTfs({
+        ...oneWay,
+        cabin: 'premium_economy',
+        passengers: { adults: 2, children: 1, infantsOnLap: 1 }
+    }));
+
+    assert.equal(search.seat, 2);
+    assert.deepEqual(search.passengers, [1, 1, 2, 4]);
+    assert.equal(decodeSearch(encodeTfs({ ...oneWay, cabin: 'business' })).seat, 3);
+    assert.equal(decodeSearch(encodeTfs({ ...oneWay, cabin: 'first' })).seat, 4);
+});
+
+test('the stops filter applies to every leg', () => {
+    const search = decodeSearch(encodeTfs({
+        ...oneWay,
+        returnDate: '2027-01-02',
+        maxStops: 0
+    }));
+
+    for (const leg of search.legs) {
+        assert.equal(leg.stops, 1);
+    }
+    assert.equal(decodeSearch(encodeTfs({ ...oneWay, maxStops: 1 })).legs[0].stops, 2);
+    assert.equal(decodeSearch(encodeTfs(oneWay)).legs[0].stops, null);
+});
+
+test('lower-case airports are normalized', () => {
+    assert.equal(encodeTfs({ ...oneWay, origin: ' atl', destination: 'mad ' }), encodeTfs(oneWay));
+});
+
+test('searches tfs cannot express are rejected', () => {
+    assert.match(getTfsProblem({ ...oneWay, origin: 'Atlanta' }), /origin/);
+    assert.match(getTfsProblem({ ...oneWay, departureDate: '12/18/2026' }), /departure date/);
+    assert.equal(getTfsProblem(oneWay), null);
+    assert.throws(() => encodeTfs({ ...oneWay, destination: 'Madrid' }), /Cannot encode tfs search/);
+});
+
+test('flight records use tfs, with the free-text query as the fallback', () => {
+    const flight = { origin: 'ATL', destination: 'MAD', departure_date: '2026-12-18', return_date: '2027-01-02', passengers: 2, cabin_class: 'business' };
+    const url = new URL(buildGoogleFlightsUrl(flight));
+
+    assert.equal(url.pathname, '/travel/flights/search');
+    assert.equal(url.searchParams.get('curr'), 'USD');
+    const search = decodeSearch(url.searchParams.get('tfs'));
+    assert.equal(search.seat, 3);
+    assert.deepEqual(search.passengers, [1, 1]);
+    assert.equal(buildTfsUrl({ ...oneWay }).includes('tfs=Gh4S'), true);
+    // The preferred airline is picked from the cards, not filtered by Google
+    assert.equal(buildGoogleFlightsUrl({ ...flight, preferred_airline: 'Delta, SkyTeam' }), url.href);
+
+    const fallback = new URL(buildGoogleFlightsUrl({ ...flight, origin: 'Atlanta' }));
+    assert.equal(fallback.searchParams.get('q'), 'Atlanta to MAD 2026-12-18 to 2027-01-02 2 passenger Business');
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createHmac } from 'node:crypto';
+import { signWebhookBody, sendToChannel } from '../src/notifications/channels.js';
+
+const SECRET = 'whsec_test_secret';
+
+test('webhook signatures are HMAC-SHA256 over "<timestamp>.<body>" in hex', () => {
+    const body = '{"event":"price_alert","price":{"current":598}}';
+    // Computed independently: printf '%s' '1792497600.<body>' | openssl dgst -sha256 -hmac whsec_test_secret
+    assert.equal(
+        signWebhookBody(SECRET, '1792497600', body),
+        'bec6fd2756425e0d6f38bb6fe4ac3dc801f730b8a9f5022f9142fb057518cf90'
+    );
+});
+
+test('webhook deliveries carry the timestamp and sha256= signature headers for the exact body sent', async () => {
+    const received = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/hook`;
+        const alert = { flightName: 'Madrid for Christmas', route: 'ATL → MAD', currentPrice: 598, previousPrice: 655, reasons: [] };
+
+        await sendToChannel('webhook', alert, { url, secret: SECRET });
+        const [{ headers, body }] = received;
+        const timestamp = headers['x-flight-tracker-timestamp'];
+
+        assert.match(timestamp, /^\d{10}$/);
+        assert.equal(
+            headers['x-flight-tracker-signature'],
+            `sha256=${createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`
+        );
+        assert.equal(JSON.parse(body).event, 'price_alert');
+
+        // No secret, no signature headers
+        const saved = process.env.WEBHOOK_SIGNING_SECRET;
+        delete process.env.WEBHOOK_SIGNING_SECRET;
+        try {
+            await sendToChannel('webhook', alert, { url });
+        } finally {
+            if (saved !== undefined) process.env.WEBHOOK_SIGNING_SECRET = saved;
+        }
+        assert.equal(received[1].headers['x-flight-tracker-signature'], undefined);
+        assert.equal(received[1].headers['x-flight-tracker-timestamp'], undefined);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});